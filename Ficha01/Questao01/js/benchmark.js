@@ -0,0 +1,133 @@
+/**
+ * Módulo de benchmark da avaliação de B-splines
+ * Compara o Cox-de Boor recursivo (soma sobre todas as funções base),
+ * o algoritmo de de Boor (apenas o span ativo) e a geração com funções base em cache
+ */
+
+import {
+    bSplineBasis,
+    evaluateBSpline,
+    generateBSplineCurve,
+    generateKnotVector,
+    sampleDomain,
+    clearBasisCache
+} from './spline.js';
+import { axesOf } from './vector.js';
+
+/**
+ * Gera a curva com a abordagem original: Cox-de Boor recursivo para cada ponto de controle
+ * @param {Array} controlPoints - Pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {number} step - Passo de interpolação
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Pontos da curva
+ */
+function generateWithCoxDeBoor(controlPoints, degree, step, knots) {
+    const n = controlPoints.length;
+    const curvePoints = [];
+
+    for (const t of sampleDomain(n, degree, step, knots)) {
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < n; i++) {
+            const basis = bSplineBasis(i, degree, t, knots);
+            x += basis * controlPoints[i].x;
+            y += basis * controlPoints[i].y;
+        }
+        curvePoints.push({ x, y });
+    }
+
+    return curvePoints;
+}
+
+/**
+ * Gera a curva avaliando cada amostra com de Boor, sem cache
+ * @param {Array} controlPoints - Pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {number} step - Passo de interpolação
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Pontos da curva
+ */
+function generateWithDeBoor(controlPoints, degree, step, knots) {
+    const n = controlPoints.length;
+    const axes = axesOf(controlPoints);
+    const curvePoints = [];
+
+    for (const t of sampleDomain(n, degree, step, knots)) {
+        curvePoints.push(evaluateBSpline(controlPoints, t, degree, knots, axes));
+    }
+
+    return curvePoints;
+}
+
+/**
+ * Mede o tempo médio por quadro simulando o arrasto de um ponto de controle
+ * (a cada quadro um ponto muda de posição e a curva é regenerada)
+ * @param {Function} generate - Função (controlPoints) => curva
+ * @param {Array} controlPoints - Pontos de controle (serão modificados)
+ * @param {number} frames - Número de quadros
+ * @returns {number} Milissegundos por quadro
+ */
+function timeFrames(generate, controlPoints, frames) {
+    const dragged = controlPoints[Math.floor(controlPoints.length / 2)];
+    const start = performance.now();
+
+    for (let f = 0; f < frames; f++) {
+        dragged.x += 1;
+        dragged.y -= 1;
+        generate(controlPoints);
+    }
+
+    return (performance.now() - start) / frames;
+}
+
+/**
+ * Executa o benchmark para uma lista de graus
+ * @param {Object} options - {degrees, pointCount, step, frames}
+ * @returns {Array} Resultados {degree, pointCount, samples, coxDeBoor, deBoor, cached,
+ *                  speedupDeBoor, speedupCached} (tempos em ms por quadro)
+ */
+export function runSplineBenchmark(options = {}) {
+    const {
+        degrees = [3, 5, 7],
+        pointCount = 30,
+        step = 0.01,
+        frames = 5
+    } = options;
+
+    return degrees.map(degree => {
+        const controlPoints = [];
+        for (let i = 0; i < pointCount; i++) {
+            controlPoints.push({
+                x: 20 + i * 25,
+                y: 300 + 150 * Math.sin(i * 0.7),
+                weight: 1
+            });
+        }
+
+        const knots = generateKnotVector(pointCount, degree);
+        const samples = sampleDomain(pointCount, degree, step, knots).length;
+
+        const coxDeBoor = timeFrames(
+            cp => generateWithCoxDeBoor(cp, degree, step, knots), controlPoints, frames);
+        const deBoor = timeFrames(
+            cp => generateWithDeBoor(cp, degree, step, knots), controlPoints, frames);
+
+        // Primeiro quadro preenche o cache; os seguintes reaproveitam as funções base
+        clearBasisCache();
+        generateBSplineCurve(controlPoints, degree, step, knots);
+        const cached = timeFrames(
+            cp => generateBSplineCurve(cp, degree, step, knots), controlPoints, frames);
+
+        return {
+            degree,
+            pointCount,
+            samples,
+            coxDeBoor,
+            deBoor,
+            cached,
+            speedupDeBoor: coxDeBoor / deBoor,
+            speedupCached: coxDeBoor / cached
+        };
+    });
+}
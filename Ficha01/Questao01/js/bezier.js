@@ -1,52 +1,50 @@
 /**
  * Módulo para cálculo de Curvas de Bézier
  * Implementa o algoritmo de De Casteljau para Bézier de grau variável
+ * Os pontos podem ter qualquer número de coordenadas (ver vector.js): uma
+ * curva com z é espacial e os resultados também têm z
  */
 
+import {
+    axesOf,
+    coordinates,
+    toHomogeneous,
+    project,
+    toWeighted,
+    lerpPoints,
+    combinePoints,
+    zeroPoint
+} from './vector.js';
+
 /**
  * Algoritmo de De Casteljau para calcular um ponto na curva de Bézier Racional (NURBS)
  * Implementação CORRETA usando coordenadas homogêneas
  * @param {Array} points - Array de pontos de controle {x, y, weight}
  * @param {number} t - Parâmetro t (0 <= t <= 1)
+ * @param {Array} axes - Eixos dos pontos (calculados uma vez por curva; padrão: axesOf)
  * @returns {Object} Ponto calculado {x, y}
  */
-export function deCasteljau(points, t) {
+export function deCasteljau(points, t, axes = axesOf(points)) {
     if (points.length === 0) return null;
-    if (points.length === 1) return { x: points[0].x, y: points[0].y };
+    if (points.length === 1) return coordinates(points[0], axes);
+    if (axes.length <= 3) return deCasteljauCartesian(points, t, axes.length === 3, true);
 
     // Converte para coordenadas homogêneas: (w*x, w*y, w)
-    let currentPoints = points.map(p => {
-        const w = p.weight || 1;
-        return {
-            wx: p.x * w,  // Coordenada homogênea x
-            wy: p.y * w,  // Coordenada homogênea y
-            w: w          // Peso
-        };
-    });
+    const keys = [...axes, 'w'];
+    let currentPoints = toHomogeneous(points, axes);
 
     // Aplica o algoritmo de De Casteljau nas coordenadas homogêneas
     while (currentPoints.length > 1) {
         const newPoints = [];
         for (let i = 0; i < currentPoints.length - 1; i++) {
-            const p0 = currentPoints[i];
-            const p1 = currentPoints[i + 1];
-            
             // Interpolação linear em coordenadas homogêneas
-            newPoints.push({
-                wx: (1 - t) * p0.wx + t * p1.wx,
-                wy: (1 - t) * p0.wy + t * p1.wy,
-                w: (1 - t) * p0.w + t * p1.w
-            });
+            newPoints.push(lerpPoints(currentPoints[i], currentPoints[i + 1], t, keys));
         }
         currentPoints = newPoints;
     }
 
     // Converte de volta para coordenadas cartesianas: (wx/w, wy/w)
-    const final = currentPoints[0];
-    return { 
-        x: final.wx / final.w, 
-        y: final.wy / final.w 
-    };
+    return project(currentPoints[0], axes);
 }
 
 /**
@@ -54,30 +52,152 @@ export function deCasteljau(points, t) {
  * Versão mais simples e rápida quando todos os pesos são 1
  * @param {Array} points - Array de pontos de controle {x, y}
  * @param {number} t - Parâmetro t (0 <= t <= 1)
+ * @param {Array} axes - Eixos dos pontos (padrão: axesOf)
  * @returns {Object} Ponto calculado {x, y}
  */
-export function deCasteljauSimple(points, t) {
+export function deCasteljauSimple(points, t, axes = axesOf(points)) {
     if (points.length === 0) return null;
-    if (points.length === 1) return { x: points[0].x, y: points[0].y };
+    if (axes.length <= 3) return deCasteljauCartesian(points, t, axes.length === 3, false);
 
-    let currentPoints = [...points];
+    let currentPoints = points.map(p => coordinates(p, axes));
 
     while (currentPoints.length > 1) {
         const newPoints = [];
         for (let i = 0; i < currentPoints.length - 1; i++) {
-            const p0 = currentPoints[i];
-            const p1 = currentPoints[i + 1];
-            
             // Interpolação linear simples
-            newPoints.push({
-                x: (1 - t) * p0.x + t * p1.x,
-                y: (1 - t) * p0.y + t * p1.y
-            });
+            newPoints.push(lerpPoints(currentPoints[i], currentPoints[i + 1], t, axes));
         }
         currentPoints = newPoints;
     }
 
-    return { x: currentPoints[0].x, y: currentPoints[0].y };
+    return currentPoints[0];
+}
+
+/**
+ * De Casteljau em 2D e 3D sobre vetores numéricos, reaproveitando o mesmo
+ * espaço a cada nível (sem objetos intermediários)
+ * @param {Array} points - Pontos de controle {x, y, (z), weight}
+ * @param {number} t - Parâmetro t
+ * @param {boolean} spatial - Se os pontos têm z
+ * @param {boolean} rational - Se os pesos entram (coordenadas homogêneas)
+ * @returns {Object} Ponto {x, y} ou {x, y, z}
+ */
+function deCasteljauCartesian(points, t, spatial, rational) {
+    const n = points.length;
+    const x = new Array(n);
+    const y = new Array(n);
+    const z = new Array(n);
+    const w = new Array(n);
+    for (let i = 0; i < n; i++) {
+        const p = points[i];
+        const weight = rational ? (p.weight || 1) : 1;
+        x[i] = p.x * weight;
+        y[i] = p.y * weight;
+        z[i] = spatial ? (p.z ?? 0) * weight : 0;
+        w[i] = weight;
+    }
+
+    for (let level = n - 1; level > 0; level--) {
+        for (let i = 0; i < level; i++) {
+            x[i] = (1 - t) * x[i] + t * x[i + 1];
+            y[i] = (1 - t) * y[i] + t * y[i + 1];
+            if (spatial) z[i] = (1 - t) * z[i] + t * z[i + 1];
+            if (rational) w[i] = (1 - t) * w[i] + t * w[i + 1];
+        }
+    }
+
+    const h = w[0];
+    return spatial
+        ? { x: x[0] / h, y: y[0] / h, z: z[0] / h }
+        : { x: x[0] / h, y: y[0] / h };
+}
+
+/**
+ * Triângulo de De Casteljau da forma polar (blossom) sobre pontos homogêneos:
+ * o nível r interpola o anterior com o r-ésimo parâmetro
+ * @param {Array} points - Pontos homogêneos {x, y, ..., w}
+ * @param {Array} params - Parâmetros (t1, ..., tn)
+ * @returns {Array} Níveis homogêneos; o último tem só f(t1, ..., tn)
+ */
+function blossomTriangle(points, params) {
+    const keys = points.length > 0 ? Object.keys(points[0]) : [];
+    const levels = [points];
+    params.forEach(t => {
+        const previous = levels[levels.length - 1];
+        levels.push(previous.slice(1).map((p1, i) => lerpPoints(previous[i], p1, t, keys)));
+    });
+    return levels;
+}
+
+/**
+ * Forma polar homogênea f(t1, ..., tn) (os parâmetros devem ser n = grau)
+ * @returns {Object} Ponto homogêneo {x, y, ..., w}
+ */
+function blossomHomogeneous(points, params) {
+    const levels = blossomTriangle(points, params);
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Avalia a forma polar (blossom) da Bézier: a única função f(t1, ..., tn)
+ * simétrica e afim em cada argumento com f(t, ..., t) = C(t)
+ * Os pontos de controle são P_i = f(0, ..., 0, 1, ..., 1) (n - i zeros e
+ * i uns); subdivisão, derivadas e elevação de grau saem de f. Em Béziers
+ * racionais f é avaliada em coordenadas homogêneas
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {Array} params - Parâmetros (t1, ..., tn), n = grau
+ * @returns {Object|null} Ponto {x, y, weight}, ou null se a quantidade de parâmetros não é o grau
+ */
+export function bezierBlossom(points, params) {
+    if (points.length === 0 || params.length !== points.length - 1) return null;
+    const axes = axesOf(points);
+    return toWeighted(blossomHomogeneous(toHomogeneous(points, axes), params), axes);
+}
+
+/**
+ * Níveis intermediários da avaliação da forma polar (visualização)
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {Array} params - Parâmetros (t1, ..., tn), n = grau
+ * @returns {Array|null} Níveis projetados: o nível 0 são os pontos de controle e o último tem só f(t1, ..., tn)
+ */
+export function bezierBlossomLevels(points, params) {
+    if (points.length === 0 || params.length !== points.length - 1) return null;
+    const axes = axesOf(points);
+    return blossomTriangle(toHomogeneous(points, axes), params)
+        .map(level => level.map(p => project(p, axes)));
+}
+
+/**
+ * Pontos de controle do trecho [a, b] da Bézier: Q_i = f(a, ..., a, b, ..., b)
+ * (n - i vezes a e i vezes b), em coordenadas homogêneas
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {number} a - Início do trecho
+ * @param {number} b - Fim do trecho (b < a inverte o sentido)
+ * @returns {Array} Pontos de controle {x, y, weight} do trecho
+ */
+export function bezierSubSegment(points, a, b) {
+    if (points.length === 0) return [];
+
+    const n = points.length - 1;
+    const axes = axesOf(points);
+    const homogeneous = toHomogeneous(points, axes);
+    const result = [];
+    for (let i = 0; i <= n; i++) {
+        const params = [...new Array(n - i).fill(a), ...new Array(i).fill(b)];
+        result.push(toWeighted(blossomHomogeneous(homogeneous, params), axes));
+    }
+    return result;
+}
+
+/**
+ * Algoritmo de De Casteljau guardando todos os níveis intermediários
+ * (visualização da construção): a forma polar com todos os parâmetros iguais a t
+ * @param {Array} points - Array de pontos de controle {x, y, weight}
+ * @param {number} t - Parâmetro t (0 <= t <= 1)
+ * @returns {Array} Níveis: o nível 0 são os pontos de controle e o último tem só o ponto da curva
+ */
+export function deCasteljauLevels(points, t) {
+    return bezierBlossomLevels(points, new Array(Math.max(0, points.length - 1)).fill(t));
 }
 
 /**
@@ -95,10 +215,11 @@ export function generateBezierCurve(controlPoints, steps = 100, useWeights = fal
     
     // Usa versão com ou sem pesos dependendo dos pontos
     const algorithm = (hasWeights && useWeights) ? deCasteljau : deCasteljauSimple;
+    const axes = axesOf(controlPoints);
 
     for (let i = 0; i <= steps; i++) {
         const t = i / steps;
-        const point = algorithm(controlPoints, t);
+        const point = algorithm(controlPoints, t, axes);
         if (point) {
             curvePoints.push(point);
         }
@@ -116,6 +237,42 @@ export function getBezierDegree(controlPoints) {
     return Math.max(0, controlPoints.length - 1);
 }
 
+/**
+ * Derivadas de ordem 0 a 2 de uma Bézier homogênea a partir da forma polar
+ * Como f é afim em cada argumento, C'(t) = n [f(t, ..., t, 1) - f(t, ..., t, 0)]
+ * e C''(t) = n(n-1) [f(.., 1, 1) - 2 f(.., 0, 1) + f(.., 0, 0)], com t nos demais
+ * @param {Array} points - Pontos homogêneos {x, y, ..., w}
+ * @param {number} t - Parâmetro t
+ * @returns {Object} {a, da, dda} homogêneos
+ */
+function blossomDerivatives(points, t) {
+    const keys = Object.keys(points[0]);
+    const zero = zeroPoint(keys);
+    const n = points.length - 1;
+    const at = (k, tail) => blossomHomogeneous(points, [...new Array(n - k).fill(t), ...tail]);
+    const combine = (terms, factor) => combinePoints(terms, keys, factor);
+
+    const a = at(0, []);
+    const da = n >= 1 ? combine([[1, at(1, [1])], [-1, at(1, [0])]], n) : zero;
+    const dda = n >= 2
+        ? combine([[1, at(2, [1, 1])], [-2, at(2, [0, 1])], [1, at(2, [0, 0])]], n * (n - 1))
+        : zero;
+    return { a, da, dda };
+}
+
+/**
+ * Pontos de controle do hodógrafo (curva derivada) da Bézier não-racional:
+ * Q_i = n (P_{i+1} - P_i) = n [f(0^{n-1-i}, 1^i, 1) - f(0^{n-1-i}, 1^i, 0)], grau n - 1
+ * @param {Array} points - Pontos de controle {x, y}
+ * @returns {Array} Pontos de controle {x, y} do hodógrafo
+ */
+export function bezierHodograph(points) {
+    const n = points.length - 1;
+    const axes = axesOf(points);
+    return points.slice(1).map((p, i) =>
+        combinePoints([[1, coordinates(p, axes)], [-1, coordinates(points[i], axes)]], axes, n));
+}
+
 /**
  * Calcula a derivada da curva de Bézier em um ponto t
  * Útil para calcular tangentes
@@ -124,61 +281,76 @@ export function getBezierDegree(controlPoints) {
  * @returns {Object} Vetor derivada {x, y}
  */
 export function bezierDerivative(points, t) {
-    if (points.length < 2) return { x: 0, y: 0 };
+    const axes = axesOf(points);
+    if (points.length < 2) return zeroPoint(axes);
 
-    const n = points.length - 1;
-    const derivativePoints = [];
+    const { da } = blossomDerivatives(points.map(p => ({ ...coordinates(p, axes), w: 1 })), t);
+    return coordinates(da, axes);
+}
 
-    // Pontos de controle da derivada
-    for (let i = 0; i < n; i++) {
-        derivativePoints.push({
-            x: n * (points[i + 1].x - points[i].x),
-            y: n * (points[i + 1].y - points[i].y)
-        });
-    }
+/**
+ * Calcula a segunda derivada da curva de Bézier (não-racional) em t
+ * @param {Array} points - Pontos de controle
+ * @param {number} t - Parâmetro t
+ * @returns {Object} Vetor segunda derivada {x, y}
+ */
+export function bezierSecondDerivative(points, t) {
+    const axes = axesOf(points);
+    if (points.length < 3) return zeroPoint(axes);
 
-    return deCasteljauSimple(derivativePoints, t);
+    const { dda } = blossomDerivatives(points.map(p => ({ ...coordinates(p, axes), w: 1 })), t);
+    return coordinates(dda, axes);
+}
+
+/**
+ * Calcula ponto, primeira e segunda derivadas da Bézier racional em t
+ * Com A(t) = Σ B_i w_i P_i e W(t) = Σ B_i w_i, a curva é C = A / W e
+ * C' = (A' - W' C) / W,  C'' = (A'' - 2 W' C' - W'' C) / W
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {number} t - Parâmetro t
+ * @returns {Object} {point, first, second}
+ */
+export function rationalBezierDerivatives(points, t) {
+    const axes = axesOf(points);
+    const zero = zeroPoint(axes);
+    if (points.length === 0) return { point: null, first: zero, second: zero };
+
+    const { a, da, dda } = blossomDerivatives(toHomogeneous(points, axes), t);
+
+    const point = project(a, axes);
+    const first = combinePoints([[1, da], [-da.w, point]], axes, 1 / a.w);
+    const second = combinePoints([[1, dda], [-2 * da.w, first], [-dda.w, point]], axes, 1 / a.w);
+
+    return { point, first, second };
 }
 
 /**
  * Divide uma curva de Bézier em duas no parâmetro t
- * @param {Array} points - Pontos de controle
+ * As metades são os trechos [0, t] e [t, 1] (ver bezierSubSegment), lidos nas
+ * bordas de um único triângulo de De Casteljau: f(t, ..., t, 0, ..., 0) é o
+ * primeiro ponto de cada nível e f(t, ..., t, 1, ..., 1) o último. Em curvas
+ * racionais os pesos resultantes são devolvidos em cada ponto
+ * @param {Array} points - Pontos de controle {x, y, weight}
  * @param {number} t - Parâmetro de divisão
  * @returns {Object} {left: Array, right: Array} - Duas novas curvas
  */
 export function splitBezier(points, t) {
     if (points.length === 0) return { left: [], right: [] };
 
-    const left = [points[0]];
-    const right = [];
-    let currentPoints = [...points];
-
-    while (currentPoints.length > 1) {
-        const newPoints = [];
-        for (let i = 0; i < currentPoints.length - 1; i++) {
-            const p0 = currentPoints[i];
-            const p1 = currentPoints[i + 1];
-            
-            newPoints.push({
-                x: (1 - t) * p0.x + t * p1.x,
-                y: (1 - t) * p0.y + t * p1.y,
-                weight: p0.weight
-            });
-        }
-        
-        left.push(newPoints[0]);
-        right.unshift(newPoints[newPoints.length - 1]);
-        currentPoints = newPoints;
-    }
-    
-    right.unshift(currentPoints[0]);
-
-    return { left, right };
+    const axes = axesOf(points);
+    const levels = blossomTriangle(toHomogeneous(points, axes), new Array(points.length - 1).fill(t));
+    return {
+        left: levels.map(level => toWeighted(level[0], axes)),
+        right: levels.map(level => toWeighted(level[level.length - 1], axes)).reverse()
+    };
 }
 
 /**
  * Eleva o grau da curva de Bézier
- * Adiciona um ponto de controle mantendo a mesma forma da curva
+ * Adiciona um ponto de controle mantendo a mesma forma da curva. A forma
+ * polar de grau n + 1 é a média de f sobre os n + 1 modos de omitir um
+ * argumento: Q_i = [i P_{i-1} + (n + 1 - i) P_i] / (n + 1), em coordenadas
+ * homogêneas para que curvas racionais mantenham a forma
  * @param {Array} points - Pontos de controle
  * @returns {Array} Novos pontos de controle com grau elevado
  */
@@ -186,19 +358,22 @@ export function elevateBezierDegree(points) {
     if (points.length < 2) return points;
 
     const n = points.length - 1;
+    const axes = axesOf(points);
+    const homogeneous = toHomogeneous(points, axes);
+    const blossom = (zeros, ones) => blossomHomogeneous(
+        homogeneous, [...new Array(zeros).fill(0), ...new Array(ones).fill(1)]);
     const newPoints = [];
 
     // Primeiro ponto permanece o mesmo
     newPoints.push({ ...points[0] });
 
-    // Calcula os novos pontos intermediários
+    // Omitir um dos n + 1 - i zeros dá P_i; omitir um dos i uns dá P_{i-1}
     for (let i = 1; i <= n; i++) {
+        const a = blossom(n - i + 1, i - 1);
+        const b = blossom(n - i, i);
         const alpha = i / (n + 1);
-        newPoints.push({
-            x: alpha * points[i - 1].x + (1 - alpha) * points[i].x,
-            y: alpha * points[i - 1].y + (1 - alpha) * points[i].y,
-            weight: points[i].weight
-        });
+        const combined = combinePoints([[alpha, a], [1 - alpha, b]], [...axes, 'w']);
+        newPoints.push(toWeighted(combined, axes));
     }
 
     // Último ponto permanece o mesmo
@@ -248,14 +423,8 @@ export function bezierBernstein(points, t) {
     if (points.length === 0) return null;
     
     const n = points.length - 1;
-    let x = 0;
-    let y = 0;
-
-    for (let i = 0; i <= n; i++) {
-        const b = bernsteinPolynomial(n, i, t);
-        x += b * points[i].x;
-        y += b * points[i].y;
-    }
+    const axes = axesOf(points);
+    const terms = points.map((p, i) => [bernsteinPolynomial(n, i, t), coordinates(p, axes)]);
 
-    return { x, y };
+    return combinePoints(terms, axes);
 }
@@ -0,0 +1,336 @@
+/**
+ * Módulo de extremos e envoltórios das curvas
+ * Os extremos em x e y são as raízes da derivada de cada segmento de Bézier
+ * (ver curves.js), resolvidas na base de potências. A caixa envolvente justa
+ * usa esses extremos e as pontas dos segmentos; a caixa orientada repete o
+ * cálculo com os pontos de controle girados.
+ */
+
+import { deCasteljau } from './bezier.js';
+
+// Amostras por segmento usadas para escolher as orientações candidatas da caixa orientada
+const HULL_SAMPLES = 32;
+
+// Iterações da bisseção de cada raiz (intervalos de [0, 1] até ~1e-18)
+const ROOT_ITERATIONS = 60;
+
+// Raízes mais próximas que isso das pontas de um segmento ficam para o teste das quebras
+const END_MARGIN = 1e-9;
+
+/**
+ * Coeficientes binomiais C(n, k) para k = 0..n
+ * @param {number} n - Grau
+ * @returns {Array} Coeficientes
+ */
+function binomials(n) {
+    const row = [1];
+    for (let k = 1; k <= n; k++) {
+        row.push(row[k - 1] * (n - k + 1) / k);
+    }
+    return row;
+}
+
+/**
+ * Converte um polinômio na base de Bernstein para a base de potências
+ * B_i(u) = C(p, i) u^i (1 - u)^(p - i)  ⇒  coeficiente de u^k: C(p, i) C(p - i, k - i) (-1)^(k - i)
+ * @param {Array} values - Coeficientes de Bernstein
+ * @returns {Array} Coeficientes c[k] de u^k
+ */
+function bernsteinToPower(values) {
+    const p = values.length - 1;
+    const outer = binomials(p);
+    const coefficients = new Array(p + 1).fill(0);
+
+    values.forEach((value, i) => {
+        const inner = binomials(p - i);
+        for (let k = i; k <= p; k++) {
+            const sign = (k - i) % 2 === 0 ? 1 : -1;
+            coefficients[k] += value * outer[i] * inner[k - i] * sign;
+        }
+    });
+    return coefficients;
+}
+
+/**
+ * Derivada de um polinômio na base de potências
+ * @returns {Array} Coeficientes
+ */
+function derivative(coefficients) {
+    return coefficients.slice(1).map((c, k) => c * (k + 1));
+}
+
+/**
+ * Produto de dois polinômios
+ * @returns {Array} Coeficientes
+ */
+function multiply(a, b) {
+    const result = new Array(Math.max(0, a.length + b.length - 1)).fill(0);
+    a.forEach((ai, i) => b.forEach((bj, j) => {
+        result[i + j] += ai * bj;
+    }));
+    return result;
+}
+
+/**
+ * Avalia um polinômio (Horner)
+ * @returns {number}
+ */
+function evaluate(coefficients, u) {
+    let value = 0;
+    for (let k = coefficients.length - 1; k >= 0; k--) {
+        value = value * u + coefficients[k];
+    }
+    return value;
+}
+
+/**
+ * Raízes simples (com troca de sinal) de um polinômio em (a, b)
+ * Os zeros da derivada dividem o intervalo em trechos monótonos, cada um com
+ * no máximo uma raiz, refinada por bisseção. Raízes sem troca de sinal
+ * (tangências) não são extremos e ficam de fora
+ * @param {Array} coefficients - Coeficientes c[k] de u^k
+ * @param {number} a - Início do intervalo
+ * @param {number} b - Fim do intervalo
+ * @returns {Array} Raízes em ordem crescente
+ */
+function realRoots(coefficients, a = 0, b = 1) {
+    // Descarta coeficientes de grau alto desprezíveis (o grau efetivo pode ser menor)
+    const scale = Math.max(...coefficients.map(Math.abs));
+    if (scale === 0) return [];
+    let degree = coefficients.length - 1;
+    while (degree > 0 && Math.abs(coefficients[degree]) <= 1e-12 * scale) degree--;
+    const poly = coefficients.slice(0, degree + 1);
+    if (degree === 0) return [];
+
+    const bounds = [a, ...realRoots(derivative(poly), a, b), b];
+    const roots = [];
+
+    for (let i = 0; i < bounds.length - 1; i++) {
+        let lo = bounds[i];
+        let hi = bounds[i + 1];
+        let fLo = evaluate(poly, lo);
+        const fHi = evaluate(poly, hi);
+        if (fLo * fHi >= 0) continue;
+
+        for (let iter = 0; iter < ROOT_ITERATIONS; iter++) {
+            const mid = (lo + hi) / 2;
+            const fMid = evaluate(poly, mid);
+            if (fLo * fMid <= 0) {
+                hi = mid;
+            } else {
+                lo = mid;
+                fLo = fMid;
+            }
+        }
+        roots.push((lo + hi) / 2);
+    }
+    return roots;
+}
+
+/**
+ * Parâmetros locais u em (0, 1) onde a coordenada de um segmento (racional
+ * ou não) tem derivada nula com troca de sinal
+ * Para X(u) = N(u) / W(u), X' = (N'W - NW') / W², e W > 0
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {string} axis - 'x' ou 'y'
+ * @returns {Array} Parâmetros locais
+ */
+function segmentCriticalParameters(points, axis) {
+    const weights = points.map(p => p.weight || 1);
+    const numerator = bernsteinToPower(points.map((p, i) => p[axis] * weights[i]));
+
+    if (weights.every(w => w === weights[0])) {
+        return realRoots(derivative(numerator));
+    }
+
+    const denominator = bernsteinToPower(weights);
+    const product = multiply(derivative(numerator), denominator);
+    const subtracted = multiply(numerator, derivative(denominator));
+    return realRoots(product.map((c, k) => c - (subtracted[k] || 0)));
+}
+
+/**
+ * Extremos e pontas de uma lista de segmentos de Bézier
+ * @param {Array} segments - Trechos {points, range}
+ * @returns {Object} {extrema: [{t, point, axis}], ends: [pontos]}
+ */
+function segmentExtremes(segments) {
+    const extrema = [];
+    const ends = [];
+
+    segments.forEach(({ points, range }) => {
+        ends.push(points[0], points[points.length - 1]);
+        ['x', 'y'].forEach(axis => {
+            segmentCriticalParameters(points, axis).forEach(u => {
+                if (u < END_MARGIN || u > 1 - END_MARGIN) return;
+                extrema.push({
+                    t: range[0] + (range[1] - range[0]) * u,
+                    point: deCasteljau(points, u),
+                    axis
+                });
+            });
+        });
+    });
+
+    return { extrema, ends };
+}
+
+/**
+ * Caixa alinhada aos eixos de um conjunto de pontos
+ * @param {Array} points - Pontos {x, y}
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+function boxOf(points) {
+    return {
+        minX: Math.min(...points.map(p => p.x)),
+        minY: Math.min(...points.map(p => p.y)),
+        maxX: Math.max(...points.map(p => p.x)),
+        maxY: Math.max(...points.map(p => p.y))
+    };
+}
+
+/**
+ * Extremos nas quebras internas da curva (e no início, se ela for fechada):
+ * a derivada da coordenada troca de sinal ao atravessar a quebra, seja num
+ * canto ou numa junção suave com tangente vertical/horizontal
+ * @param {Object} curve - Curva (ver curves.js)
+ * @returns {Array} Extremos {t, point, axis}
+ */
+function breakExtrema(curve) {
+    const [start, end] = curve.domain;
+    const first = curve.evaluate(start);
+    const last = curve.evaluate(end);
+    const closed = Math.hypot(first.x - last.x, first.y - last.y) < 1e-9;
+    const delta = 1e-7 * (end - start);
+    const breaks = curve.breaks.slice(1, -1);
+    if (closed) breaks.push(start);
+
+    const extrema = [];
+    breaks.forEach(t => {
+        const before = curve.derivatives(t === start ? end - delta : t - delta).first;
+        const after = curve.derivatives(t + delta).first;
+        ['x', 'y'].forEach(axis => {
+            if (before[axis] * after[axis] < 0) {
+                extrema.push({ t, point: curve.evaluate(t), axis });
+            }
+        });
+    });
+    return extrema;
+}
+
+/**
+ * Calcula os extremos da curva em x e em y (pontos de tangente vertical e
+ * horizontal, ou cantos onde a coordenada para de crescer ou decrescer)
+ * @param {Object} curve - Curva (ver curves.js)
+ * @returns {Array} Extremos {t, point, axis} em ordem de t
+ */
+export function curveExtrema(curve) {
+    return [...segmentExtremes(curve.bezierSegments()).extrema, ...breakExtrema(curve)]
+        .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Calcula a caixa envolvente justa da curva (não dos pontos de controle):
+ * extremos internos dos segmentos e suas pontas, incluindo cantos nas quebras
+ * @param {Object} curve - Curva (ver curves.js)
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export function tightBoundingBox(curve) {
+    const { extrema, ends } = segmentExtremes(curve.bezierSegments());
+    return boxOf([...ends, ...extrema.map(e => e.point)]);
+}
+
+/**
+ * Calcula o fecho convexo de um conjunto de pontos (cadeia monótona de Andrew)
+ * @param {Array} points - Pontos {x, y}
+ * @returns {Array} Vértices do fecho, sem pontos colineares nem repetição do primeiro
+ */
+export function convexHull(points) {
+    const sorted = points
+        .map(p => ({ x: p.x, y: p.y }))
+        .sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = list => {
+        const chain = [];
+        list.forEach(p => {
+            while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0) {
+                chain.pop();
+            }
+            chain.push(p);
+        });
+        chain.pop();
+        return chain;
+    };
+
+    return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+/**
+ * Calcula uma caixa envolvente orientada de área mínima
+ * A caixa ótima de um conjunto convexo tem um lado sobre uma aresta do fecho;
+ * as orientações candidatas vêm das arestas do fecho de uma amostragem da
+ * curva, e em cada uma a extensão é exata (extremos dos segmentos girados,
+ * pois girar os pontos de controle gira a curva). A caixa sempre contém a
+ * curva; só a escolha do ângulo é aproximada
+ * @param {Object} curve - Curva (ver curves.js)
+ * @returns {Object} {center, width, height, angle (rad), corners}
+ */
+export function orientedBoundingBox(curve) {
+    const segments = curve.bezierSegments();
+    const samples = segments.flatMap(({ points }) => {
+        const list = [];
+        for (let i = 0; i <= HULL_SAMPLES; i++) {
+            list.push(deCasteljau(points, i / HULL_SAMPLES));
+        }
+        return list;
+    });
+    const hull = convexHull(samples);
+
+    // Ângulos das arestas, reduzidos a [0, π/2) (a caixa tem simetria de 90°)
+    const angles = [0];
+    hull.forEach((p, i) => {
+        const q = hull[(i + 1) % hull.length];
+        if (p.x === q.x && p.y === q.y) return;
+        const angle = Math.atan2(q.y - p.y, q.x - p.x);
+        angles.push(((angle % (Math.PI / 2)) + Math.PI / 2) % (Math.PI / 2));
+    });
+
+    let best = null;
+    angles.forEach(angle => {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        // Gira por -angle: a aresta candidata fica horizontal
+        const rotated = segments.map(({ points, range }) => ({
+            points: points.map(p => ({
+                x: p.x * cos + p.y * sin,
+                y: -p.x * sin + p.y * cos,
+                weight: p.weight
+            })),
+            range
+        }));
+        const { extrema, ends } = segmentExtremes(rotated);
+        const box = boxOf([...ends, ...extrema.map(e => e.point)]);
+        const area = (box.maxX - box.minX) * (box.maxY - box.minY);
+        if (!best || area < best.area - 1e-9) best = { area, angle, box };
+    });
+
+    const { angle, box } = best;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const toWorld = (u, v) => ({ x: u * cos - v * sin, y: u * sin + v * cos });
+
+    return {
+        center: toWorld((box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2),
+        width: box.maxX - box.minX,
+        height: box.maxY - box.minY,
+        angle,
+        corners: [
+            toWorld(box.minX, box.minY),
+            toWorld(box.maxX, box.minY),
+            toWorld(box.maxX, box.maxY),
+            toWorld(box.minX, box.maxY)
+        ]
+    };
+}
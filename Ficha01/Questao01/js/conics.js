@@ -0,0 +1,245 @@
+/**
+ * Módulo de cônicas exatas
+ * Todo trecho de cônica é uma Bézier quadrática racional: P0 e P2 sobre a
+ * curva, P1 no encontro das tangentes nas pontas e peso w no ponto do meio
+ * (pontas com peso 1). w < 1 dá elipse, w = 1 parábola e w > 1 hipérbole.
+ * Num arco de elipse de amplitude Δ (ângulo da parametrização x = a·cos θ,
+ * y = b·sin θ) o peso é cos(Δ/2); num trecho de hipérbole x = a·cosh s,
+ * y = b·sinh s de amplitude Δs, é cosh(Δs/2)
+ */
+
+import { bezierChainToBSpline } from './spline.js';
+
+// Amplitude máxima de cada trecho de elipse (w = cos 45° ≈ 0,707)
+const MAX_ARC_PIECE = Math.PI / 2;
+
+// Tolerância relativa do classificador
+const CLASSIFY_EPSILON = 1e-9;
+
+/**
+ * Leva um ponto do referencial da cônica (centro na origem, eixos alinhados)
+ * para o canvas
+ * @returns {Object} Ponto {x, y}
+ */
+function toWorld(center, rotation, u, v) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+        x: center.x + u * cos - v * sin,
+        y: center.y + u * sin + v * cos
+    };
+}
+
+/**
+ * Monta o trecho [P0, P1 (peso w), P2] no referencial do canvas
+ * @returns {Array} Pontos de controle {x, y, weight}
+ */
+function conicSegment(center, rotation, local, weight) {
+    return local.map(([u, v], i) => ({
+        ...toWorld(center, rotation, u, v),
+        weight: i === 1 ? weight : 1
+    }));
+}
+
+/**
+ * Arco de elipse como cadeia de Béziers quadráticas racionais
+ * O arco é dividido em trechos de no máximo 90°; em cada um, o ponto do meio
+ * é a imagem afim do encontro das tangentes do círculo unitário
+ * (cos m, sin m) / cos(h), com m o ângulo central e h a meia amplitude
+ * @param {Object} center - Centro {x, y}
+ * @param {number} rx - Semi-eixo em x (antes da rotação)
+ * @param {number} ry - Semi-eixo em y (antes da rotação)
+ * @param {number} rotation - Rotação dos eixos (rad)
+ * @param {number} start - Ângulo inicial da parametrização (rad)
+ * @param {number} end - Ângulo final (rad); end < start percorre no sentido oposto
+ * @returns {Object|null} {segments, ranges} com ranges em [0, 1] proporcionais ao ângulo
+ */
+export function ellipseArc(center, rx, ry, rotation, start, end) {
+    const sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, end - start));
+    if (rx <= 0 || ry <= 0 || Math.abs(sweep) < 1e-9) return null;
+
+    const count = Math.ceil(Math.abs(sweep) / MAX_ARC_PIECE - 1e-9);
+    const step = sweep / count;
+    const half = step / 2;
+    const segments = [];
+    const ranges = [];
+
+    for (let i = 0; i < count; i++) {
+        const a0 = start + i * step;
+        const a1 = a0 + step;
+        const middle = a0 + half;
+        segments.push(conicSegment(center, rotation, [
+            [rx * Math.cos(a0), ry * Math.sin(a0)],
+            [rx * Math.cos(middle) / Math.cos(half), ry * Math.sin(middle) / Math.cos(half)],
+            [rx * Math.cos(a1), ry * Math.sin(a1)]
+        ], Math.cos(half)));
+        ranges.push([i / count, (i + 1) / count]);
+    }
+
+    return { segments, ranges };
+}
+
+/**
+ * Elipse completa (quatro trechos de 90°)
+ * @returns {Object} {segments, ranges}
+ */
+export function ellipse(center, rx, ry, rotation = 0) {
+    return ellipseArc(center, rx, ry, rotation, 0, 2 * Math.PI);
+}
+
+/**
+ * Circunferência completa
+ * @returns {Object} {segments, ranges}
+ */
+export function circle(center, radius) {
+    return ellipseArc(center, radius, radius, 0, 0, 2 * Math.PI);
+}
+
+/**
+ * Arco de circunferência
+ * @param {Object} center - Centro {x, y}
+ * @param {number} radius - Raio
+ * @param {number} start - Ângulo inicial (rad)
+ * @param {number} end - Ângulo final (rad)
+ * @returns {Object|null} {segments, ranges}
+ */
+export function circularArc(center, radius, start, end) {
+    return ellipseArc(center, radius, radius, 0, start, end);
+}
+
+/**
+ * Arco de circunferência que começa em p0, passa por p1 e termina em p2
+ * @returns {Object|null} {segments, ranges, center, radius}; null se os pontos forem colineares
+ */
+export function arcThroughPoints(p0, p1, p2) {
+    const d = 2 * (p0.x * (p1.y - p2.y) + p1.x * (p2.y - p0.y) + p2.x * (p0.y - p1.y));
+    const scale = Math.max(Math.hypot(p1.x - p0.x, p1.y - p0.y), Math.hypot(p2.x - p0.x, p2.y - p0.y));
+    if (Math.abs(d) <= 1e-9 * scale * scale) return null;
+
+    const s0 = p0.x * p0.x + p0.y * p0.y;
+    const s1 = p1.x * p1.x + p1.y * p1.y;
+    const s2 = p2.x * p2.x + p2.y * p2.y;
+    const center = {
+        x: (s0 * (p1.y - p2.y) + s1 * (p2.y - p0.y) + s2 * (p0.y - p1.y)) / d,
+        y: (s0 * (p2.x - p1.x) + s1 * (p0.x - p2.x) + s2 * (p1.x - p0.x)) / d
+    };
+    const radius = Math.hypot(p0.x - center.x, p0.y - center.y);
+
+    // Sentido em que p1 fica entre p0 e p2
+    const angleOf = p => Math.atan2(p.y - center.y, p.x - center.x);
+    const turn = angle => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    const start = angleOf(p0);
+    const toEnd = turn(angleOf(p2) - start);
+    const toMiddle = turn(angleOf(p1) - start);
+    const sweep = toMiddle < toEnd ? toEnd : toEnd - 2 * Math.PI;
+
+    return { ...circularArc(center, radius, start, start + sweep), center, radius };
+}
+
+/**
+ * Trecho da parábola v = u² / (4f) (vértice na origem, foco em (0, f)) entre
+ * u0 e u1: uma Bézier quadrática comum (w = 1), com o ponto do meio no
+ * encontro das tangentes, ((u0 + u1)/2, u0·u1 / (4f))
+ * @param {Object} vertex - Vértice {x, y}
+ * @param {number} focal - Distância focal f (o sinal escolhe o lado da abertura)
+ * @param {number} rotation - Rotação do eixo (rad)
+ * @param {number} u0 - Coordenada transversal inicial
+ * @param {number} u1 - Coordenada transversal final
+ * @returns {Object|null} {segments, ranges}
+ */
+export function parabolaArc(vertex, focal, rotation, u0, u1) {
+    if (focal === 0 || u0 === u1) return null;
+    const height = u => u * u / (4 * focal);
+    return {
+        segments: [conicSegment(vertex, rotation, [
+            [u0, height(u0)],
+            [(u0 + u1) / 2, u0 * u1 / (4 * focal)],
+            [u1, height(u1)]
+        ], 1)],
+        ranges: [[0, 1]]
+    };
+}
+
+/**
+ * Trecho do ramo direito da hipérbole u²/a² - v²/b² = 1 entre as ordenadas
+ * locais v0 e v1, como uma única Bézier quadrática racional
+ * Com s = asinh(v / b), o ponto do meio é (a·cosh m, b·sinh m) / cosh h e o
+ * peso cosh h (m: parâmetro central, h: meia amplitude)
+ * @param {Object} center - Centro {x, y}
+ * @param {number} a - Semi-eixo transverso
+ * @param {number} b - Semi-eixo conjugado
+ * @param {number} rotation - Rotação dos eixos (rad)
+ * @param {number} v0 - Ordenada local inicial
+ * @param {number} v1 - Ordenada local final
+ * @returns {Object|null} {segments, ranges}
+ */
+export function hyperbolaArc(center, a, b, rotation, v0, v1) {
+    if (a <= 0 || b <= 0 || v0 === v1) return null;
+    const s0 = Math.asinh(v0 / b);
+    const s1 = Math.asinh(v1 / b);
+    const middle = (s0 + s1) / 2;
+    const half = (s1 - s0) / 2;
+    return {
+        segments: [conicSegment(center, rotation, [
+            [a * Math.cosh(s0), b * Math.sinh(s0)],
+            [a * Math.cosh(middle) / Math.cosh(half), b * Math.sinh(middle) / Math.cosh(half)],
+            [a * Math.cosh(s1), b * Math.sinh(s1)]
+        ], Math.cosh(half))],
+        ranges: [[0, 1]]
+    };
+}
+
+/**
+ * Converte uma cadeia de trechos de cônica em NURBS quadrática
+ * (nós internos duplos nas junções, ver bezierChainToBSpline)
+ * @param {Object} conic - {segments, ranges}
+ * @returns {Object} {controlPoints, degree, knots}
+ */
+export function conicToNURBS(conic) {
+    return { ...bezierChainToBSpline(conic.segments, 2, conic.ranges), degree: 2 };
+}
+
+/**
+ * Classifica a cônica de uma Bézier quadrática racional pelo peso do meio
+ * normalizado w = w1 / √(w0·w2) (invariante à reparametrização): |w| < 1
+ * elipse, |w| = 1 parábola, |w| > 1 hipérbole. Com w < 0 a curva é o arco
+ * complementar (passa "por fora" de P0P2). O arco é de circunferência quando
+ * |P0P1| = |P1P2| e |w| = sin(β/2), β o ângulo em P1; sua amplitude é π - β
+ * (ou π + β com w < 0)
+ * @param {Array} points - Três pontos de controle {x, y, weight}
+ * @returns {Object|null} {type, weight, arcAngle (rad, só em circunferência)}
+ */
+export function classifyConic(points) {
+    if (points.length !== 3) return null;
+    const [p0, p1, p2] = points;
+    const w0 = p0.weight || 1;
+    const w2 = p2.weight || 1;
+    if (w0 <= 0 || w2 <= 0) return null;
+    const weight = (p1.weight ?? 1) / Math.sqrt(w0 * w2);
+
+    const ax = p0.x - p1.x;
+    const ay = p0.y - p1.y;
+    const bx = p2.x - p1.x;
+    const by = p2.y - p1.y;
+    const la = Math.hypot(ax, ay);
+    const lb = Math.hypot(bx, by);
+    const cross = ax * by - ay * bx;
+    if (la === 0 || lb === 0 || Math.abs(cross) <= CLASSIFY_EPSILON * la * lb || weight === 0) {
+        return { type: 'degenerada', weight };
+    }
+
+    const magnitude = Math.abs(weight);
+    if (Math.abs(magnitude - 1) <= CLASSIFY_EPSILON) return { type: 'parábola', weight };
+    if (magnitude > 1) return { type: 'hipérbole', weight };
+
+    const beta = Math.atan2(Math.abs(cross), ax * bx + ay * by);
+    const isosceles = Math.abs(la - lb) <= 1e-6 * Math.max(la, lb);
+    if (isosceles && Math.abs(magnitude - Math.sin(beta / 2)) <= 1e-6) {
+        return {
+            type: 'circunferência',
+            weight,
+            arcAngle: weight > 0 ? Math.PI - beta : Math.PI + beta
+        };
+    }
+    return { type: 'elipse', weight };
+}
@@ -28,6 +28,28 @@ export class ControlPointsManager {
         return this.points.length - 1;
     }
 
+    /**
+     * Insere um ponto de controle em uma posição da lista
+     * @param {number} index - Índice que o novo ponto ocupará
+     * @param {number} x - Coordenada x
+     * @param {number} y - Coordenada y
+     * @param {number} weight - Peso do ponto (padrão 1.0)
+     * @returns {number} Índice do ponto inserido
+     */
+    insertPoint(index, x, y, weight = 1.0) {
+        const position = Math.max(0, Math.min(index, this.points.length));
+        this.points.splice(position, 0, {
+            x: x,
+            y: y,
+            weight: weight,
+            id: Date.now() + Math.random()
+        });
+        if (this.selectedPointIndex >= position) {
+            this.selectedPointIndex++;
+        }
+        return position;
+    }
+
     /**
      * Remove um ponto pelo índice
      * @param {number} index - Índice do ponto
@@ -101,6 +123,65 @@ export class ControlPointsManager {
         return false;
     }
 
+    /**
+     * Atualiza a profundidade (coordenada z) de um ponto; o ponto passa a ser espacial
+     * @param {number} index - Índice do ponto
+     * @param {number} z - Nova coordenada z
+     * @returns {boolean} True se atualizado com sucesso
+     */
+    updateDepth(index, z) {
+        if (index >= 0 && index < this.points.length) {
+            this.points[index].z = z;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Define a tangente explícita de um nó (modo Hermite)
+     * @param {number} index - Índice do ponto
+     * @param {Object|null} tangent - Vetor {x, y}; null volta à tangente automática
+     * @returns {boolean} True se atualizado com sucesso
+     */
+    updateTangent(index, tangent) {
+        if (index >= 0 && index < this.points.length) {
+            if (tangent) {
+                this.points[index].tangent = { x: tangent.x, y: tangent.y };
+            } else {
+                delete this.points[index].tangent;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Remove as tangentes explícitas de todos os nós
+     */
+    clearTangents() {
+        this.points.forEach(p => {
+            delete p.tangent;
+        });
+    }
+
+    /**
+     * Atualiza os parâmetros de Kochanek-Bartels de um ponto
+     * @param {number} index - Índice do ponto
+     * @param {Object} params - {tension, continuity, bias} (apenas os informados são alterados)
+     * @returns {boolean} True se atualizado com sucesso
+     */
+    updateTCB(index, params) {
+        if (index >= 0 && index < this.points.length) {
+            ['tension', 'continuity', 'bias'].forEach(key => {
+                if (params[key] !== undefined) {
+                    this.points[index][key] = Math.max(-1, Math.min(1, params[key]));
+                }
+            });
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Obtém um ponto pelo índice
      * @param {number} index - Índice do ponto
@@ -123,12 +204,21 @@ export class ControlPointsManager {
      * @param {Array} points - Array de pontos
      */
     setAllPoints(points) {
-        this.points = points.map(p => ({
-            x: p.x,
-            y: p.y,
-            weight: p.weight || 1.0,
-            id: p.id || Date.now() + Math.random()
-        }));
+        this.points = points.map(p => {
+            const point = {
+                x: p.x,
+                y: p.y,
+                weight: p.weight || 1.0,
+                id: p.id || Date.now() + Math.random()
+            };
+            // Profundidade (curvas espaciais) e parâmetros TCB são opcionais
+            ['z', 'tension', 'continuity', 'bias'].forEach(key => {
+                if (p[key] !== undefined) point[key] = p[key];
+            });
+            // Tangente explícita do nó (modo Hermite)
+            if (p.tangent) point.tangent = { x: p.tangent.x, y: p.tangent.y };
+            return point;
+        });
         this.selectedPointIndex = -1;
         this.isDragging = false;
     }
@@ -231,7 +321,9 @@ export class ControlPointsManager {
                 index: index,
                 x: Math.round(p.x * 100) / 100,
                 y: Math.round(p.y * 100) / 100,
-                weight: Math.round(p.weight * 100) / 100
+                ...(p.z !== undefined ? { z: Math.round(p.z * 100) / 100 } : {}),
+                weight: Math.round(p.weight * 100) / 100,
+                ...(p.tangent ? { tangent: { x: p.tangent.x, y: p.tangent.y } } : {})
             })),
             count: this.points.length,
             timestamp: new Date().toISOString()
@@ -250,7 +342,9 @@ export class ControlPointsManager {
             if (data.points && Array.isArray(data.points)) {
                 this.clearPoints();
                 data.points.forEach(p => {
-                    this.addPoint(p.x, p.y, p.weight || 1.0);
+                    const index = this.addPoint(p.x, p.y, p.weight || 1.0);
+                    if (p.z !== undefined) this.updateDepth(index, p.z);
+                    if (p.tangent) this.updateTangent(index, p.tangent);
                 });
                 return true;
             }
@@ -367,3 +461,389 @@ export class ControlPointsManager {
         });
     }
 }
+
+/**
+ * Gerenciador de um caminho composto por segmentos de Bézier de mesmo grau
+ * Os pontos ficam numa lista única: as âncoras ocupam os índices múltiplos do
+ * grau e entre elas ficam os pontos internos (alças). Cada âncora interna
+ * guarda em `joint` a continuidade exigida na junção:
+ * - 'C0': só posição
+ * - 'G1': alças colineares (cada uma mantém o próprio comprimento)
+ * - 'C1': alças simétricas (mesma derivada, pois cada segmento usa t em [0, 1])
+ * - 'C2': C1 e mesma segunda derivada (grau 3 ou maior)
+ * Num caminho fechado o último segmento termina na âncora 0 (que não é
+ * repetida na lista) e ela também é uma junção
+ */
+export class BezierPathManager extends ControlPointsManager {
+    constructor(degree = 3) {
+        super();
+        this.degree = degree;
+        this.defaultJoint = 'G1';
+        this.closed = false;
+    }
+
+    /**
+     * Verifica se um índice é de âncora
+     * @param {number} index - Índice do ponto
+     * @returns {boolean}
+     */
+    isAnchor(index) {
+        return index % this.degree === 0;
+    }
+
+    /**
+     * Normaliza um índice (dá a volta na lista se o caminho for fechado)
+     * @param {number} index - Índice, possivelmente fora da lista
+     * @returns {number}
+     */
+    wrap(index) {
+        const n = this.points.length;
+        return this.closed && n > 0 ? ((index % n) + n) % n : index;
+    }
+
+    /**
+     * Obtém o número de segmentos completos
+     * @returns {number}
+     */
+    getSegmentCount() {
+        if (this.closed) return this.points.length / this.degree;
+        return Math.max(0, Math.floor((this.points.length - 1) / this.degree));
+    }
+
+    /**
+     * Obtém os segmentos do caminho
+     * @returns {Array} Segmentos (arrays de grau + 1 pontos de controle)
+     */
+    getSegments() {
+        const segments = [];
+        for (let i = 0; i < this.getSegmentCount(); i++) {
+            const segment = [];
+            for (let k = 0; k <= this.degree; k++) {
+                segment.push(this.points[this.wrap(i * this.degree + k)]);
+            }
+            segments.push(segment);
+        }
+        return segments;
+    }
+
+    /**
+     * Obtém os índices das âncoras que são junções (todas, se fechado)
+     * @returns {Array} Índices
+     */
+    getJointIndices() {
+        const anchors = [];
+        const first = this.closed ? 0 : this.degree;
+        const limit = this.closed ? this.points.length : this.points.length - 1;
+        for (let a = first; a < limit; a += this.degree) {
+            anchors.push(a);
+        }
+        return anchors;
+    }
+
+    /**
+     * Obtém a continuidade de cada âncora, na ordem do caminho
+     * @returns {Array} Continuidades (undefined nas pontas de caminhos abertos)
+     */
+    getJoints() {
+        const joints = [];
+        for (let a = 0; a < this.points.length; a += this.degree) {
+            joints.push(this.points[a].joint);
+        }
+        return joints;
+    }
+
+    /**
+     * Define o caminho a partir de segmentos (o último ponto de cada um é o
+     * primeiro do seguinte)
+     * @param {Array} segments - Segmentos de Bézier
+     * @param {number} degree - Grau dos segmentos
+     * @param {Array} joints - Continuidade de cada âncora, na ordem (opcional)
+     * @param {boolean} closed - Se o último segmento termina no início do primeiro
+     */
+    setSegments(segments, degree, joints = [], closed = false) {
+        const points = [];
+        segments.forEach((segment, s) => {
+            segment.forEach((p, i) => {
+                if (s > 0 && i === 0) return;
+                points.push({ x: p.x, y: p.y, weight: 1.0 });
+            });
+        });
+        if (closed) points.pop();
+
+        for (let k = 0; k * degree < points.length; k++) {
+            const isJoint = closed || (k > 0 && k < segments.length);
+            if (isJoint) points[k * degree].joint = joints[k] || this.defaultJoint;
+        }
+        this.degree = degree;
+        this.setAllPoints(points);
+        this.closed = closed;
+    }
+
+    /**
+     * Define todos os pontos de uma vez, preservando a continuidade das âncoras
+     * @param {Array} points - Array de pontos
+     */
+    setAllPoints(points) {
+        super.setAllPoints(points);
+        this.closed = false;
+        points.forEach((p, index) => {
+            if (p.joint) this.points[index].joint = p.joint;
+        });
+    }
+
+    /**
+     * Remove todos os pontos (e reabre o caminho)
+     */
+    clearPoints() {
+        super.clearPoints();
+        this.closed = false;
+    }
+
+    /**
+     * Acrescenta um segmento reto até uma nova âncora
+     * A âncora que era a última passa a ser uma junção com a continuidade padrão
+     * @param {number} x - Coordenada x
+     * @param {number} y - Coordenada y
+     * @param {number} weight - Ignorado (o caminho não é racional)
+     * @returns {number} Índice da nova âncora (-1 se o caminho estiver fechado)
+     */
+    addPoint(x, y, weight = 1.0) {
+        if (this.closed) return -1;
+        if (this.points.length === 0) {
+            return super.addPoint(x, y, 1.0);
+        }
+
+        const lastIndex = this.points.length - 1;
+        const last = this.points[lastIndex];
+        for (let k = 1; k < this.degree; k++) {
+            super.addPoint(
+                last.x + (x - last.x) * k / this.degree,
+                last.y + (y - last.y) * k / this.degree,
+                1.0
+            );
+        }
+        const index = super.addPoint(x, y, 1.0);
+
+        if (lastIndex > 0) {
+            last.joint = this.defaultJoint;
+            this.enforceConstraints(lastIndex - 1);
+        }
+        return index;
+    }
+
+    /**
+     * Acrescenta um segmento já montado (ex.: pela caneta), sem reaplicar as
+     * continuidades: quem monta o segmento é responsável por elas
+     * @param {Array} segment - Grau + 1 pontos; o primeiro é a última âncora
+     * @param {string} joint - Continuidade da âncora que deixa de ser a última
+     * @returns {number} Índice da nova âncora (-1 se o caminho estiver fechado)
+     */
+    appendSegment(segment, joint = this.defaultJoint) {
+        if (this.closed || this.points.length === 0) return -1;
+
+        const lastIndex = this.points.length - 1;
+        segment.slice(1).forEach(p => super.addPoint(p.x, p.y, 1.0));
+        if (lastIndex > 0) this.points[lastIndex].joint = joint;
+        return this.points.length - 1;
+    }
+
+    /**
+     * Fecha o caminho com um segmento da última âncora até a primeira
+     * A alça de entrada da âncora inicial se ajusta à de saída, que já existia
+     * @param {Array} segment - Grau + 1 pontos (o primeiro e o último são as âncoras)
+     * @param {string} joint - Continuidade da âncora que era a última
+     * @param {string} firstJoint - Continuidade da âncora inicial
+     * @returns {boolean} True se fechado com sucesso
+     */
+    closePath(segment, joint = this.defaultJoint, firstJoint = this.defaultJoint) {
+        if (this.closed || this.getSegmentCount() === 0) return false;
+
+        const lastIndex = this.points.length - 1;
+        segment.slice(1, -1).forEach(p => super.addPoint(p.x, p.y, 1.0));
+        this.points[lastIndex].joint = joint;
+        this.points[0].joint = firstJoint;
+        this.closed = true;
+        this.enforceConstraints(1);
+        return true;
+    }
+
+    /**
+     * Substitui um segmento por uma sequência de segmentos (ex.: as duas metades
+     * de uma divisão). As novas junções recebem a continuidade informada; as
+     * junções vizinhas C1/C2 passam a G1, pois os novos segmentos cobrem
+     * intervalos menores da curva e as derivadas nas pontas mudam de escala
+     * @param {number} segmentIndex - Índice do segmento
+     * @param {Array} segments - Novos segmentos, do mesmo grau
+     * @param {string} joint - Continuidade das novas junções
+     */
+    replaceSegment(segmentIndex, segments, joint = 'G1') {
+        const start = segmentIndex * this.degree;
+        const inserted = [];
+        segments.forEach((segment, s) => {
+            segment.slice(1, s === segments.length - 1 ? -1 : undefined).forEach((p, i) => {
+                const point = { x: p.x, y: p.y, weight: 1.0, id: Date.now() + Math.random() };
+                if (i === this.degree - 1) point.joint = joint;
+                inserted.push(point);
+            });
+        });
+        this.points.splice(start + 1, this.degree - 1, ...inserted);
+        this.selectedPointIndex = -1;
+
+        const end = this.wrap(start + segments.length * this.degree);
+        [start, end].forEach(anchor => {
+            const point = this.points[anchor];
+            if (point.joint === 'C1' || point.joint === 'C2') point.joint = 'G1';
+        });
+    }
+
+    /**
+     * Remove uma âncora e os pontos internos de um segmento vizinho, unindo
+     * os dois segmentos que ela separava. Alças não podem ser removidas
+     * @param {number} index - Índice da âncora
+     * @returns {boolean} True se removido com sucesso
+     */
+    removePoint(index) {
+        if (index < 0 || index >= this.points.length || !this.isAnchor(index)) return false;
+
+        if (this.points.length === 1 || (this.closed && this.getSegmentCount() === 1)) {
+            this.clearPoints();
+            return true;
+        }
+
+        // A última âncora de um caminho aberto leva o segmento anterior; as
+        // demais, o seguinte (no fechado, a âncora seguinte passa a ocupar o índice)
+        const start = !this.closed && index === this.points.length - 1 ? index - this.degree + 1 : index;
+        this.points.splice(start, this.degree);
+        if (!this.closed) {
+            delete this.points[0].joint;
+            delete this.points[this.points.length - 1].joint;
+        }
+        this.selectedPointIndex = -1;
+        this.hoverPointIndex = -1;
+
+        this.enforceConstraints(Math.min(start, this.points.length - 1));
+        return true;
+    }
+
+    /**
+     * Remove o último segmento (ou a âncora inicial, se for o único ponto)
+     * Num caminho fechado, remove o segmento de fechamento e reabre o caminho
+     * @returns {boolean} True se removido com sucesso
+     */
+    removeLastPoint() {
+        if (this.closed) {
+            this.points.splice(this.points.length - this.degree + 1, this.degree - 1);
+            this.closed = false;
+            delete this.points[0].joint;
+            delete this.points[this.points.length - 1].joint;
+            this.selectedPointIndex = -1;
+            this.hoverPointIndex = -1;
+            return true;
+        }
+        return this.removePoint(this.points.length - 1);
+    }
+
+    /**
+     * Move um ponto e atualiza os parceiros para manter as continuidades
+     * Ao mover uma âncora, as alças vizinhas acompanham o deslocamento
+     * @param {number} index - Índice do ponto
+     * @param {number} x - Nova coordenada x
+     * @param {number} y - Nova coordenada y
+     * @returns {boolean} True se movido com sucesso
+     */
+    movePoint(index, x, y) {
+        if (index < 0 || index >= this.points.length) return false;
+
+        const point = this.points[index];
+        if (this.isAnchor(index)) {
+            const dx = x - point.x;
+            const dy = y - point.y;
+            const neighbors = new Set([this.wrap(index - 1), this.wrap(index + 1)]);
+            neighbors.forEach(neighbor => {
+                if (neighbor >= 0 && neighbor < this.points.length && neighbor !== index) {
+                    this.points[neighbor].x += dx;
+                    this.points[neighbor].y += dy;
+                }
+            });
+        }
+        point.x = x;
+        point.y = y;
+
+        this.enforceConstraints(index);
+        return true;
+    }
+
+    /**
+     * Altera a continuidade de uma junção; o lado direito se ajusta ao esquerdo
+     * @param {number} index - Índice da âncora
+     * @param {string} joint - 'C0', 'G1', 'C1' ou 'C2'
+     * @returns {boolean} True se atualizado com sucesso
+     */
+    setJoint(index, joint) {
+        if (!this.getJointIndices().includes(index)) return false;
+
+        this.points[index].joint = joint;
+        this.enforceConstraints(this.wrap(index - 1));
+        return true;
+    }
+
+    /**
+     * Reaplica as continuidades a partir de um ponto alterado: as junções à
+     * direita dele copiam o lado esquerdo e as à esquerda copiam o lado direito,
+     * sempre se afastando do ponto (em C2 o ajuste pode seguir para a próxima junção).
+     * Num caminho fechado, cada junção fica do lado mais próximo do ponto
+     * @param {number} index - Índice do ponto alterado
+     */
+    enforceConstraints(index) {
+        const n = this.points.length;
+        const offset = a => this.closed ? (a - index + n) % n : a - index;
+        const isAhead = a => this.closed ? offset(a) <= n / 2 : a >= index;
+        const anchors = this.getJointIndices();
+
+        anchors.filter(isAhead)
+            .sort((a, b) => offset(a) - offset(b))
+            .forEach(a => this.enforceJoint(a, -1));
+        anchors.filter(a => !isAhead(a))
+            .sort((a, b) => offset(b) - offset(a))
+            .forEach(a => this.enforceJoint(a, 1));
+    }
+
+    /**
+     * Aplica a continuidade de uma junção a partir de um dos lados
+     * @param {number} anchor - Índice da âncora
+     * @param {number} master - Lado que manda: -1 (esquerdo) ou 1 (direito)
+     */
+    enforceJoint(anchor, master) {
+        const joint = this.points[anchor].joint || 'C0';
+        if (joint === 'C0') return;
+
+        const A = this.points[anchor];
+        const from = this.points[this.wrap(anchor + master)];
+        const to = this.points[this.wrap(anchor - master)];
+        const dx = A.x - from.x;
+        const dy = A.y - from.y;
+
+        if (joint === 'G1') {
+            const length = Math.hypot(dx, dy);
+            if (length < 1e-9) return;
+            const own = Math.hypot(to.x - A.x, to.y - A.y);
+            to.x = A.x + dx / length * own;
+            to.y = A.y + dy / length * own;
+            return;
+        }
+
+        // C1: A - H⁻ = H⁺ - A
+        to.x = A.x + dx;
+        to.y = A.y + dy;
+
+        // C2: P[a-2] - 2P[a-1] + A = A - 2P[a+1] + P[a+2]
+        // (ignorada se o caminho fechado for curto demais para ter os quatro pontos)
+        const indices = [-2, -1, 1, 2].map(k => this.wrap(anchor + k));
+        if (joint === 'C2' && this.degree >= 3 && new Set(indices).size === 4) {
+            const from2 = this.points[this.wrap(anchor + 2 * master)];
+            const to2 = this.points[this.wrap(anchor - 2 * master)];
+            to2.x = from2.x + 2 * (to.x - from.x);
+            to2.y = from2.y + 2 * (to.y - from.y);
+        }
+    }
+}
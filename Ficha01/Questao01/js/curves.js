@@ -0,0 +1,467 @@
+/**
+ * Módulo de representação unificada das curvas
+ * Cada modo (Bézier, B-spline/NURBS e curvas interpoladoras) é exposto como um
+ * objeto com domínio, avaliação e derivadas, usado pelas ferramentas de análise
+ */
+
+import {
+    deCasteljau,
+    deCasteljauSimple,
+    bezierDerivative,
+    bezierSecondDerivative,
+    rationalBezierDerivatives
+} from './bezier.js';
+import { evaluateBSpline, bSplineDerivatives, decomposeBSpline } from './spline.js';
+import { axesOf, coordinates } from './vector.js';
+
+/**
+ * Cria a curva de uma Bézier única
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {boolean} rational - Se os pesos devem ser considerados
+ * @returns {Object} Curva {type, domain, breaks, evaluate, derivatives, bezierSegments}
+ */
+export function createBezierCurve(points, rational = false) {
+    const axes = axesOf(points);
+
+    return {
+        type: 'bezier',
+        domain: [0, 1],
+        breaks: [0, 1],
+        controlPoints: points,
+        rational: rational,
+        evaluate: t => rational ? deCasteljau(points, t, axes) : deCasteljauSimple(points, t, axes),
+        derivatives: t => rational
+            ? rationalBezierDerivatives(points, t)
+            : {
+                point: deCasteljauSimple(points, t, axes),
+                first: bezierDerivative(points, t),
+                second: bezierSecondDerivative(points, t)
+            },
+        // Sem pesos, a Bézier é tratada como não-racional também na subdivisão
+        bezierSegments: () => [{
+            points: rational ? points : points.map(p => coordinates(p, axes)),
+            range: [0, 1]
+        }]
+    };
+}
+
+/**
+ * Cria a curva de uma B-spline racional (NURBS)
+ * @param {Array} controlPoints - Pontos de controle efetivos (já repetidos se fechada)
+ * @param {number} degree - Grau
+ * @param {Array} knots - Vetor de nós
+ * @returns {Object} Curva {type, domain, breaks, evaluate, derivatives, bezierSegments}
+ */
+export function createBSplineCurve(controlPoints, degree, knots) {
+    const domain = [knots[degree], knots[controlPoints.length]];
+    const axes = axesOf(controlPoints);
+    // Nós distintos no domínio: a curva é polinomial (racional) entre eles
+    const breaks = knots
+        .slice(degree, controlPoints.length + 1)
+        .filter((u, i, all) => i === 0 || u > all[i - 1]);
+
+    return {
+        type: 'bspline',
+        domain: domain,
+        breaks: breaks,
+        controlPoints: controlPoints,
+        degree: degree,
+        knots: knots,
+        evaluate: t => evaluateBSpline(controlPoints, t, degree, knots, axes),
+        derivatives: t => bSplineDerivatives(controlPoints, t, degree, knots),
+        bezierSegments: () => decomposeBSpline(controlPoints, degree, knots)
+    };
+}
+
+/**
+ * Cria a curva de uma sequência de segmentos de Bézier (não-racionais)
+ * O parâmetro global t em [0, nSegmentos] usa o segmento floor(t)
+ * @param {Array} segments - Segmentos (arrays de pontos de controle)
+ * @returns {Object} Curva {type, domain, breaks, evaluate, derivatives, bezierSegments, segments}
+ */
+export function createSegmentedCurve(segments) {
+    const locate = t => {
+        const index = Math.max(0, Math.min(segments.length - 1, Math.floor(t)));
+        return { segment: segments[index], u: t - index };
+    };
+
+    return {
+        type: 'segments',
+        domain: [0, segments.length],
+        breaks: segments.map((_, i) => i).concat(segments.length),
+        segments: segments,
+        evaluate: t => {
+            const { segment, u } = locate(t);
+            return deCasteljauSimple(segment, u);
+        },
+        derivatives: t => {
+            const { segment, u } = locate(t);
+            return {
+                point: deCasteljauSimple(segment, u),
+                first: bezierDerivative(segment, u),
+                second: bezierSecondDerivative(segment, u)
+            };
+        },
+        bezierSegments: () => segments.map((points, i) => ({ points, range: [i, i + 1] }))
+    };
+}
+
+/**
+ * Curvatura com sinal a partir das derivadas
+ * κ = (x'y'' - y'x'') / |C'|³
+ * @param {Object} derivatives - {first, second}
+ * @returns {number} Curvatura (0 onde a velocidade se anula)
+ */
+export function curvature(derivatives) {
+    const { first, second } = derivatives;
+    const speed = Math.hypot(first.x, first.y);
+    if (speed < 1e-10) return 0;
+    return (first.x * second.y - first.y * second.x) / (speed * speed * speed);
+}
+
+/**
+ * Gera parâmetros uniformemente espaçados no domínio da curva
+ * @param {Object} curve - Curva
+ * @param {number} count - Número de intervalos
+ * @returns {Array} Parâmetros (count + 1 valores)
+ */
+export function sampleParameters(curve, count) {
+    const [t0, t1] = curve.domain;
+    const params = [];
+    for (let i = 0; i <= count; i++) {
+        params.push(t0 + (t1 - t0) * i / count);
+    }
+    return params;
+}
+
+/**
+ * Amostra a curvatura ao longo da curva
+ * @param {Object} curve - Curva
+ * @param {number} count - Número de intervalos
+ * @returns {Array} Amostras {t, point, normal, curvature}; normal é a normal à
+ *                  esquerda da tangente (o centro de curvatura fica em point + normal / κ)
+ */
+export function analyzeCurvature(curve, count = 200) {
+    return sampleParameters(curve, count).map(t => {
+        const d = curve.derivatives(t);
+        const speed = Math.hypot(d.first.x, d.first.y);
+        const normal = speed > 1e-10
+            ? { x: -d.first.y / speed, y: d.first.x / speed }
+            : { x: 0, y: 0 };
+        return { t, point: d.point, normal, curvature: curvature(d) };
+    });
+}
+
+/**
+ * Encontra os pontos de inflexão (troca de sinal de x'y'' - y'x'')
+ * Cada troca entre amostras é refinada por bisseção
+ * @param {Object} curve - Curva
+ * @param {number} count - Número de intervalos de busca
+ * @returns {Array} Inflexões {t, point}
+ */
+export function findInflections(curve, count = 200) {
+    const cross = t => {
+        const { first, second } = curve.derivatives(t);
+        return first.x * second.y - first.y * second.x;
+    };
+
+    const params = sampleParameters(curve, count);
+    const values = params.map(cross);
+    const scale = Math.max(...values.map(Math.abs), 1e-12);
+    const inflections = [];
+    let last = -1; // Última amostra com valor não nulo
+
+    for (let i = 0; i < params.length; i++) {
+        // Valores numericamente nulos (trechos retos ou a própria inflexão) são saltados
+        if (Math.abs(values[i]) < scale * 1e-9) continue;
+        const previous = last;
+        last = i;
+        if (previous < 0 || values[previous] * values[i] > 0) continue;
+
+        let lo = params[previous];
+        let hi = params[i];
+        let fLo = values[previous];
+        for (let iter = 0; iter < 40; iter++) {
+            const mid = (lo + hi) / 2;
+            const fMid = cross(mid);
+            if (fLo * fMid <= 0) {
+                hi = mid;
+            } else {
+                lo = mid;
+                fLo = fMid;
+            }
+        }
+
+        const t = (lo + hi) / 2;
+        inflections.push({ t, point: curve.evaluate(t) });
+    }
+
+    return inflections;
+}
+
+/**
+ * Encontra o parâmetro da amostra mais próxima de um ponto
+ * @param {Array} samples - Amostras {t, point}
+ * @param {Object} target - Ponto {x, y}
+ * @returns {Object|null} Amostra mais próxima com a distância {t, point, distance}
+ */
+export function nearestSample(samples, target) {
+    let best = null;
+    samples.forEach(sample => {
+        if (!sample.point) return;
+        const distance = Math.hypot(sample.point.x - target.x, sample.point.y - target.y);
+        if (!best || distance < best.distance) {
+            best = { t: sample.t, point: sample.point, distance };
+        }
+    });
+    return best;
+}
+
+/**
+ * Projeta um ponto na curva (ponto da curva mais próximo)
+ * Cada trecho entre quebras é amostrado e cada mínimo local da distância é
+ * refinado por Newton em f(t) = (C(t) - P)·C'(t), cuja derivada é
+ * f'(t) = |C'(t)|² + (C(t) - P)·C''(t), sem sair do intervalo entre as amostras vizinhas
+ * @param {Object} curve - Curva
+ * @param {Object} target - Ponto {x, y}
+ * @param {number} samplesPerPiece - Amostras por trecho entre quebras
+ * @returns {Object} {t, point, distance}
+ */
+export function closestPoint(curve, target, samplesPerPiece = 16) {
+    const params = [];
+    for (let k = 0; k < curve.breaks.length - 1; k++) {
+        const a = curve.breaks[k];
+        const b = curve.breaks[k + 1];
+        for (let i = 0; i < samplesPerPiece; i++) {
+            params.push(a + (b - a) * i / samplesPerPiece);
+        }
+    }
+    params.push(curve.breaks[curve.breaks.length - 1]);
+
+    const distanceAt = t => {
+        const p = curve.evaluate(t);
+        return Math.hypot(p.x - target.x, p.y - target.y);
+    };
+    const distances = params.map(distanceAt);
+
+    let best = null;
+    const consider = t => {
+        const point = curve.evaluate(t);
+        const distance = Math.hypot(point.x - target.x, point.y - target.y);
+        if (!best || distance < best.distance) {
+            best = { t, point, distance };
+        }
+    };
+
+    for (let i = 0; i < params.length; i++) {
+        const isLocalMinimum = (i === 0 || distances[i] <= distances[i - 1]) &&
+                               (i === params.length - 1 || distances[i] <= distances[i + 1]);
+        if (!isLocalMinimum) continue;
+
+        const lo = params[Math.max(i - 1, 0)];
+        const hi = params[Math.min(i + 1, params.length - 1)];
+        let t = params[i];
+
+        for (let iter = 0; iter < 12; iter++) {
+            const { point, first, second } = curve.derivatives(t);
+            const dx = point.x - target.x;
+            const dy = point.y - target.y;
+            const f = dx * first.x + dy * first.y;
+            const df = first.x * first.x + first.y * first.y + dx * second.x + dy * second.y;
+            if (Math.abs(df) < 1e-12) break;
+
+            const next = Math.min(Math.max(t - f / df, lo), hi);
+            const converged = Math.abs(next - t) < 1e-12 * (hi - lo + 1);
+            t = next;
+            if (converged) break;
+        }
+
+        consider(params[i]);
+        consider(t);
+    }
+
+    return best;
+}
+
+// Quadratura de Gauss-Legendre com 5 pontos em [-1, 1]
+const GAUSS_NODES = [0, -0.5384693101056831, 0.5384693101056831, -0.9061798459386640, 0.9061798459386640];
+const GAUSS_WEIGHTS = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665, 0.2369268850561891, 0.2369268850561891];
+
+/**
+ * Integra a velocidade |C'(t)| em [a, b] por Gauss-Legendre
+ * @param {Object} curve - Curva
+ * @param {number} a - Parâmetro inicial
+ * @param {number} b - Parâmetro final
+ * @returns {number} Comprimento do trecho
+ */
+function integrateSpeed(curve, a, b) {
+    const half = (b - a) / 2;
+    const mid = (a + b) / 2;
+    let sum = 0;
+    for (let i = 0; i < GAUSS_NODES.length; i++) {
+        const { first } = curve.derivatives(mid + half * GAUSS_NODES[i]);
+        sum += GAUSS_WEIGHTS[i] * Math.hypot(first.x, first.y);
+    }
+    return sum * half;
+}
+
+/**
+ * Constrói a tabela de comprimento de arco da curva
+ * Cada trecho entre breakpoints é dividido em intervalos integrados por
+ * Gauss-Legendre, de modo que nenhuma quadratura atravessa uma junção
+ * @param {Object} curve - Curva
+ * @param {number} intervalsPerPiece - Intervalos por trecho
+ * @returns {Object} Tabela {curve, params, lengths, total}; lengths[i] é o
+ *                   comprimento acumulado até params[i]
+ */
+export function buildArcLengthTable(curve, intervalsPerPiece = 16) {
+    const breaks = curve.breaks || curve.domain;
+    const params = [breaks[0]];
+    const lengths = [0];
+
+    for (let b = 0; b < breaks.length - 1; b++) {
+        const t0 = breaks[b];
+        const t1 = breaks[b + 1];
+        for (let i = 1; i <= intervalsPerPiece; i++) {
+            const a = params[params.length - 1];
+            const t = i === intervalsPerPiece ? t1 : t0 + (t1 - t0) * i / intervalsPerPiece;
+            params.push(t);
+            lengths.push(lengths[lengths.length - 1] + integrateSpeed(curve, a, t));
+        }
+    }
+
+    return { curve, params, lengths, total: lengths[lengths.length - 1] };
+}
+
+/**
+ * Comprimento de uma polilinha (estimativa barata do comprimento da curva,
+ * por baixo, que converge com o refinamento da amostragem)
+ * @param {Array} polyline - Pontos {x, y}
+ * @returns {number} Soma dos comprimentos das arestas
+ */
+export function polylineLength(polyline) {
+    let total = 0;
+    for (let i = 1; i < polyline.length; i++) {
+        total += Math.hypot(polyline[i].x - polyline[i - 1].x, polyline[i].y - polyline[i - 1].y);
+    }
+    return total;
+}
+
+/**
+ * Comprimento de arco desde o início do domínio até t
+ * @param {Object} table - Tabela de comprimento de arco
+ * @param {number} t - Parâmetro
+ * @returns {number} Comprimento acumulado
+ */
+export function lengthAtParameter(table, t) {
+    const { params, lengths } = table;
+    if (t <= params[0]) return 0;
+    if (t >= params[params.length - 1]) return table.total;
+
+    // Busca binária do intervalo [params[lo], params[lo + 1]] que contém t
+    let lo = 0;
+    let hi = params.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (params[mid] <= t) lo = mid; else hi = mid;
+    }
+
+    return lengths[lo] + integrateSpeed(table.curve, params[lo], t);
+}
+
+/**
+ * Comprimento de arco de um trecho [t0, t1]
+ * @param {Object} table - Tabela de comprimento de arco
+ * @param {number} t0 - Parâmetro inicial
+ * @param {number} t1 - Parâmetro final
+ * @returns {number} Comprimento do trecho
+ */
+export function arcLength(table, t0 = table.params[0], t1 = table.params[table.params.length - 1]) {
+    return lengthAtParameter(table, t1) - lengthAtParameter(table, t0);
+}
+
+/**
+ * Inverte a tabela: parâmetro t na distância s do início
+ * Busca o intervalo na tabela e refina por Newton (ds/dt = |C'(t)|),
+ * caindo para bisseção se o passo sair do intervalo
+ * @param {Object} table - Tabela de comprimento de arco
+ * @param {number} s - Distância ao longo da curva
+ * @param {number} tolerance - Tolerância em unidades de comprimento
+ * @returns {number} Parâmetro t
+ */
+export function parameterAtLength(table, s, tolerance = 1e-6) {
+    const { params, lengths } = table;
+    if (s <= 0) return params[0];
+    if (s >= table.total) return params[params.length - 1];
+
+    let lo = 0;
+    let hi = lengths.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (lengths[mid] <= s) lo = mid; else hi = mid;
+    }
+
+    let a = params[lo];
+    let b = params[hi];
+    const span = lengths[hi] - lengths[lo];
+    let t = span > 0 ? a + (b - a) * (s - lengths[lo]) / span : a;
+
+    for (let iter = 0; iter < 20; iter++) {
+        const error = lengths[lo] + integrateSpeed(table.curve, params[lo], t) - s;
+        if (Math.abs(error) < tolerance) break;
+
+        if (error > 0) b = t; else a = t;
+        const { first } = table.curve.derivatives(t);
+        const speed = Math.hypot(first.x, first.y);
+        const next = speed > 1e-12 ? t - error / speed : NaN;
+        t = next > a && next < b ? next : (a + b) / 2;
+    }
+
+    return t;
+}
+
+/**
+ * Suavização cúbica: parte e chega com derivada nula, u ∈ [0, 1]
+ * @param {number} u - Progresso
+ * @returns {number} Progresso suavizado
+ */
+function easeInOut(u) {
+    return u < 0.5 ? 4 * u * u * u : 1 - Math.pow(2 - 2 * u, 3) / 2;
+}
+
+/**
+ * Parâmetro t de um movimento ao longo da curva, dado o progresso no tempo
+ * - 'parameter': t uniforme no domínio (a velocidade na tela acompanha |C'|)
+ * - 'arc-length': distância percorrida proporcional ao tempo
+ * - 'ease': distância pela suavização cúbica (acelera no início e freia no fim)
+ * @param {Object} table - Tabela de comprimento de arco
+ * @param {number} progress - Fração do tempo, em [0, 1]
+ * @param {string} profile - Perfil de velocidade
+ * @returns {number} Parâmetro t
+ */
+export function parameterAtProgress(table, progress, profile = 'arc-length') {
+    const u = Math.max(0, Math.min(1, progress));
+    if (profile === 'parameter') {
+        const t0 = table.params[0];
+        const t1 = table.params[table.params.length - 1];
+        return t0 + (t1 - t0) * u;
+    }
+    const fraction = profile === 'ease' ? easeInOut(u) : u;
+    return parameterAtLength(table, table.total * fraction);
+}
+
+/**
+ * Amostra a curva com pontos igualmente espaçados ao longo do arco
+ * @param {Object} table - Tabela de comprimento de arco
+ * @param {number} count - Número de intervalos (count + 1 pontos, incluindo os extremos)
+ * @returns {Array} Pontos {x, y, t}
+ */
+export function sampleByArcLength(table, count) {
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+        const t = parameterAtLength(table, table.total * i / count);
+        const point = table.curve.evaluate(t);
+        points.push({ x: point.x, y: point.y, t });
+    }
+    return points;
+}
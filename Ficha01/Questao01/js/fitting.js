@@ -0,0 +1,690 @@
+/**
+ * Módulo de ajuste de curvas por mínimos quadrados
+ * Converte um traço à mão livre (sequência de amostras) em uma B-spline
+ * ou em uma cadeia de Béziers dentro de uma tolerância em pixels, e
+ * aproxima uma Bézier por outra de grau menor (redução de grau)
+ */
+
+import {
+    chordParameters,
+    findKnotSpan,
+    basisFunctions,
+    evaluateBSpline,
+    bSplineDerivative
+} from './spline.js';
+import {
+    deCasteljau,
+    deCasteljauSimple,
+    bezierDerivative,
+    bernsteinPolynomial,
+    binomialCoefficient,
+    splitBezier
+} from './bezier.js';
+import { axesOf, toHomogeneous, project, zeroPoint, distance } from './vector.js';
+
+/**
+ * Remove amostras muito próximas da anterior (ruído do mouse)
+ * @param {Array} samples - Amostras {x, y}
+ * @param {number} minDistance - Distância mínima entre amostras
+ * @returns {Array} Amostras filtradas
+ */
+export function simplifyStroke(samples, minDistance = 2) {
+    if (samples.length === 0) return [];
+
+    const result = [samples[0]];
+    for (let i = 1; i < samples.length; i++) {
+        const last = result[result.length - 1];
+        if (Math.hypot(samples[i].x - last.x, samples[i].y - last.y) >= minDistance) {
+            result.push(samples[i]);
+        }
+    }
+
+    // Mantém sempre o ponto final do traço
+    const end = samples[samples.length - 1];
+    if (result.length > 1 && result[result.length - 1] !== end) {
+        result[result.length - 1] = end;
+    } else if (result.length === 1 && samples.length > 1) {
+        result.push(end);
+    }
+
+    return result;
+}
+
+/**
+ * Resolve um sistema linear denso por eliminação de Gauss com pivotamento parcial
+ * @param {Array} A - Matriz n×n (modificada)
+ * @param {Array} b - Vetor do lado direito (modificado)
+ * @returns {Array|null} Solução ou null se o sistema for singular
+ */
+export function solveLinearSystem(A, b) {
+    const n = b.length;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) return null;
+
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) {
+                A[row][k] -= factor * A[col][k];
+            }
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= A[row][k] * x[k];
+        }
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Ajuste linear genérico por mínimos quadrados
+ * Cada ponto de controle é modelado como P_i = base_i + Σ z_j * v_ij, onde z são
+ * as incógnitas escalares. Assim o mesmo resolvedor atende pontos livres
+ * (z = coordenadas x e y) e restrições de tangente (z = comprimento ao longo da direção).
+ * @param {Array} samples - Amostras {x, y}
+ * @param {Array} basisRows - Para cada amostra, lista {index, value} das funções base não nulas
+ * @param {Array} model - Para cada ponto de controle, {base: {x, y}, terms: [{unknown, x, y}]}
+ * @param {number} unknownCount - Número de incógnitas
+ * @returns {Array|null} Pontos de controle {x, y} ou null se o sistema for singular
+ */
+function solveModel(samples, basisRows, model, unknownCount) {
+    const A = Array.from({ length: unknownCount }, () => new Array(unknownCount).fill(0));
+    const b = new Array(unknownCount).fill(0);
+
+    samples.forEach((q, k) => {
+        // Resíduo constante e coeficientes vetoriais de cada incógnita nesta amostra
+        let ex = q.x;
+        let ey = q.y;
+        const gx = new Array(unknownCount).fill(0);
+        const gy = new Array(unknownCount).fill(0);
+
+        basisRows[k].forEach(({ index, value }) => {
+            const cp = model[index];
+            ex -= value * cp.base.x;
+            ey -= value * cp.base.y;
+            cp.terms.forEach(term => {
+                gx[term.unknown] += value * term.x;
+                gy[term.unknown] += value * term.y;
+            });
+        });
+
+        for (let j = 0; j < unknownCount; j++) {
+            if (gx[j] === 0 && gy[j] === 0) continue;
+            for (let l = 0; l < unknownCount; l++) {
+                A[j][l] += gx[j] * gx[l] + gy[j] * gy[l];
+            }
+            b[j] += gx[j] * ex + gy[j] * ey;
+        }
+    });
+
+    const z = unknownCount > 0 ? solveLinearSystem(A, b) : [];
+    if (!z) return null;
+
+    return model.map(cp => {
+        let x = cp.base.x;
+        let y = cp.base.y;
+        cp.terms.forEach(term => {
+            x += z[term.unknown] * term.x;
+            y += z[term.unknown] * term.y;
+        });
+        return { x, y };
+    });
+}
+
+/**
+ * Calcula o erro máximo e RMS entre as amostras e a curva nos parâmetros dados
+ * @param {Array} samples - Amostras {x, y}
+ * @param {Array} params - Parâmetro de cada amostra
+ * @param {Function} evaluate - Função (t) => {x, y}
+ * @returns {Object} {maxError, rmsError, maxIndex}
+ */
+function measureError(samples, params, evaluate) {
+    let maxError = 0;
+    let maxIndex = 0;
+    let sumSq = 0;
+
+    samples.forEach((q, k) => {
+        const p = evaluate(params[k]);
+        const d = Math.hypot(p.x - q.x, p.y - q.y);
+        sumSq += d * d;
+        if (d > maxError) {
+            maxError = d;
+            maxIndex = k;
+        }
+    });
+
+    return { maxError, rmsError: Math.sqrt(sumSq / samples.length), maxIndex };
+}
+
+/**
+ * Correção de parâmetros (Gauss-Newton): aproxima cada parâmetro do ponto
+ * da curva mais próximo da amostra
+ * @param {Array} samples - Amostras {x, y}
+ * @param {Array} params - Parâmetros atuais
+ * @param {Function} evaluate - (t) => {x, y}
+ * @param {Function} derivative - (t) => {x, y}
+ * @param {number} tMin - Início do domínio
+ * @param {number} tMax - Fim do domínio
+ * @returns {Array} Novos parâmetros (extremos preservados)
+ */
+function refineParameters(samples, params, evaluate, derivative, tMin, tMax) {
+    return params.map((u, k) => {
+        if (k === 0 || k === params.length - 1) return u;
+
+        const p = evaluate(u);
+        const d = derivative(u);
+        const denom = d.x * d.x + d.y * d.y;
+        if (denom < 1e-12) return u;
+
+        const next = u - ((p.x - samples[k].x) * d.x + (p.y - samples[k].y) * d.y) / denom;
+        return Math.max(tMin, Math.min(tMax, next));
+    });
+}
+
+/**
+ * Gera o vetor de nós clamped para ajuste, posicionando os nós internos pela
+ * média dos parâmetros das amostras (Piegl & Tiller, eq. 9.69)
+ * @param {Array} params - Parâmetros das amostras em [0, 1]
+ * @param {number} controlCount - Número de pontos de controle
+ * @param {number} degree - Grau
+ * @returns {Array} Vetor de nós em [0, 1]
+ */
+function fittingKnotVector(params, controlCount, degree) {
+    const knots = new Array(degree + 1).fill(0);
+    const d = params.length / (controlCount - degree);
+
+    for (let j = 1; j < controlCount - degree; j++) {
+        const i = Math.floor(j * d);
+        const alpha = j * d - i;
+        const a = params[Math.max(0, i - 1)];
+        const b = params[Math.min(params.length - 1, i)];
+        knots.push((1 - alpha) * a + alpha * b);
+    }
+
+    for (let i = 0; i <= degree; i++) {
+        knots.push(1);
+    }
+    return knots;
+}
+
+/**
+ * Ajusta uma B-spline clamped com número fixo de pontos de controle
+ * Os extremos interpolam a primeira e a última amostra
+ * @param {Array} samples - Amostras {x, y}
+ * @param {number} degree - Grau da spline
+ * @param {number} controlCount - Número de pontos de controle (>= degree + 1)
+ * @param {number} iterations - Iterações de correção de parâmetros
+ * @returns {Object|null} {controlPoints, knots, maxError, rmsError}
+ */
+export function fitBSpline(samples, degree, controlCount, iterations = 3) {
+    if (samples.length < 2 || controlCount < degree + 1) return null;
+
+    let params = chordParameters(samples, 1);
+    const knots = fittingKnotVector(params, controlCount, degree);
+    let result = null;
+
+    for (let iter = 0; iter <= iterations; iter++) {
+        const basisRows = params.map(u => {
+            const span = findKnotSpan(controlCount, degree, u, knots);
+            const N = basisFunctions(span, u, degree, knots);
+            return N.map((value, j) => ({ index: span - degree + j, value }));
+        });
+
+        // Extremos fixos, pontos internos livres (2 incógnitas cada)
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const model = [];
+        for (let i = 0; i < controlCount; i++) {
+            if (i === 0) {
+                model.push({ base: first, terms: [] });
+            } else if (i === controlCount - 1) {
+                model.push({ base: last, terms: [] });
+            } else {
+                const u = 2 * (i - 1);
+                model.push({
+                    base: { x: 0, y: 0 },
+                    terms: [{ unknown: u, x: 1, y: 0 }, { unknown: u + 1, x: 0, y: 1 }]
+                });
+            }
+        }
+
+        const points = solveModel(samples, basisRows, model, 2 * Math.max(0, controlCount - 2));
+        if (!points) break;
+
+        const controlPoints = points.map(p => ({ x: p.x, y: p.y, weight: 1 }));
+        const evaluate = t => evaluateBSpline(controlPoints, t, degree, knots);
+        const error = measureError(samples, params, evaluate);
+        result = { controlPoints, knots, params, ...error };
+
+        if (iter < iterations) {
+            params = refineParameters(samples, params, evaluate,
+                t => bSplineDerivative(controlPoints, t, degree, knots), 0, 1);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Ajusta uma B-spline com o menor número de pontos de controle cujo erro
+ * máximo fica abaixo da tolerância. O erro cai (quase sempre) com o número de
+ * pontos, então a busca é por bisseção entre p + 1 e o limite: O(log n)
+ * ajustes em vez de um por contagem
+ * @param {Array} samples - Amostras {x, y}
+ * @param {number} degree - Grau da spline
+ * @param {number} tolerance - Erro máximo aceito (pixels)
+ * @param {number} maxControlPoints - Limite de pontos de controle
+ * @returns {Object|null} {controlPoints, knots, maxError, rmsError, withinTolerance}
+ */
+export function fitBSplineToTolerance(samples, degree, tolerance, maxControlPoints = 60) {
+    const limit = Math.min(maxControlPoints, Math.max(degree + 1, samples.length - 1));
+    const fits = new Map();
+    const fitWith = count => {
+        if (!fits.has(count)) fits.set(count, fitBSpline(samples, degree, count));
+        return fits.get(count);
+    };
+    const meets = count => {
+        const fit = fitWith(count);
+        return fit !== null && fit.maxError <= tolerance;
+    };
+
+    let low = degree + 1;
+    let high = limit;
+    if (meets(low)) {
+        high = low;
+    } else if (meets(high)) {
+        // Invariante: low não atinge a tolerância, high atinge
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (meets(mid)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+    }
+
+    // Sem contagem dentro da tolerância, fica o menor erro entre as testadas
+    let best = meets(high) ? fitWith(high) : null;
+    if (!best) {
+        fits.forEach(fit => {
+            if (fit && (!best || fit.maxError < best.maxError)) best = fit;
+        });
+    }
+
+    if (!best) return null;
+    return { ...best, withinTolerance: best.maxError <= tolerance };
+}
+
+/**
+ * Estima a tangente unitária do traço em uma amostra (diferença central)
+ * @param {Array} samples - Amostras {x, y}
+ * @param {number} index - Índice da amostra
+ * @returns {Object} Vetor unitário {x, y}
+ */
+function strokeTangent(samples, index) {
+    const a = samples[Math.max(0, index - 2)];
+    const b = samples[Math.min(samples.length - 1, index + 2)];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+}
+
+/**
+ * Direção unitária do fim de uma Bézier (do penúltimo para o último ponto)
+ * @param {Array} points - Pontos de controle {x, y}
+ * @returns {Object|null} Vetor unitário {x, y}, ou null se os pontos coincidem
+ */
+function endDirection(points) {
+    const a = points[points.length - 2];
+    const b = points[points.length - 1];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    return len > 1e-9 ? { x: (b.x - a.x) / len, y: (b.y - a.y) / len } : null;
+}
+
+/**
+ * Verifica se as pontas de uma Bézier seguem as direções do traço: o segundo
+ * ponto à frente do primeiro e o penúltimo atrás do último (no sentido oposto
+ * a junção seria uma cúspide, não G1)
+ * @param {Array} points - Pontos de controle {x, y}
+ * @param {Object|null} startTangent - Direção no início
+ * @param {Object|null} endTangent - Direção no fim
+ * @returns {boolean}
+ */
+function followsTangents(points, startTangent, endTangent) {
+    const n = points.length - 1;
+    const ahead = (a, b, t) => !t || (b.x - a.x) * t.x + (b.y - a.y) * t.y >= 0;
+    return ahead(points[0], points[1], startTangent) && ahead(points[n - 1], points[n], endTangent);
+}
+
+/**
+ * Ajusta uma única Bézier de grau p a um trecho do traço
+ * Extremos fixos; se informadas, as tangentes nos extremos restringem o
+ * segundo e o penúltimo ponto à direção dada, sempre no sentido dela
+ * (continuidade G1 entre segmentos)
+ * @param {Array} samples - Amostras {x, y}
+ * @param {number} degree - Grau da Bézier
+ * @param {Object} startTangent - Direção unitária no início (ou null)
+ * @param {Object} endTangent - Direção unitária no fim (ou null)
+ * @param {number} iterations - Iterações de correção de parâmetros
+ * @returns {Object|null} {controlPoints, maxError, rmsError, maxIndex}
+ */
+export function fitBezierSegment(samples, degree, startTangent = null, endTangent = null, iterations = 4) {
+    if (samples.length < 2) return null;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    // Com grau < 3 não há pontos suficientes para restringir as duas tangentes
+    const useStart = startTangent && degree >= 2;
+    const useEnd = endTangent && degree >= 3;
+
+    // Poucas amostras: segmento reto
+    if (samples.length <= 2 || degree === 1) {
+        const controlPoints = [];
+        for (let i = 0; i <= degree; i++) {
+            const t = i / degree;
+            controlPoints.push({ x: first.x + (last.x - first.x) * t, y: first.y + (last.y - first.y) * t });
+        }
+        const params = samples.map((_, k) => samples.length > 1 ? k / (samples.length - 1) : 0);
+        const error = measureError(samples, params, t => deCasteljauSimple(controlPoints, t));
+        return { controlPoints, ...error };
+    }
+
+    let params = chordParameters(samples, 1);
+    let result = null;
+
+    const step = Math.hypot(last.x - first.x, last.y - first.y) / degree;
+    const along = (p, t, length) => ({ x: p.x + t.x * length, y: p.y + t.y * length });
+    const pinned = { start: false, end: false };
+
+    for (let iter = 0; iter <= iterations; iter++) {
+        const basisRows = params.map(u => {
+            const row = [];
+            for (let i = 0; i <= degree; i++) {
+                row.push({ index: i, value: bernsteinPolynomial(degree, i, u) });
+            }
+            return row;
+        });
+
+        const solve = () => {
+            const model = [];
+            let unknown = 0;
+            for (let i = 0; i <= degree; i++) {
+                if (i === 0) {
+                    model.push({ base: first, terms: [] });
+                } else if (i === degree) {
+                    model.push({ base: last, terms: [] });
+                } else if (i === 1 && useStart) {
+                    model.push(pinned.start
+                        ? { base: along(first, startTangent, step), terms: [] }
+                        : { base: first, terms: [{ unknown: unknown++, x: startTangent.x, y: startTangent.y }] });
+                } else if (i === degree - 1 && useEnd) {
+                    model.push(pinned.end
+                        ? { base: along(last, endTangent, -step), terms: [] }
+                        : { base: last, terms: [{ unknown: unknown++, x: -endTangent.x, y: -endTangent.y }] });
+                } else {
+                    model.push({
+                        base: { x: 0, y: 0 },
+                        terms: [{ unknown: unknown++, x: 1, y: 0 }, { unknown: unknown++, x: 0, y: 1 }]
+                    });
+                }
+            }
+            return solveModel(samples, basisRows, model, unknown);
+        };
+
+        let points = solve();
+        if (!points) break;
+
+        // Comprimento negativo ao longo da tangente faria uma cúspide na junção:
+        // como na heurística de Schneider, fixa o ponto a 1/p da corda e
+        // reajusta os demais
+        const reversedStart = useStart && !pinned.start && !followsTangents(points, startTangent, null);
+        const reversedEnd = useEnd && !pinned.end && !followsTangents(points, null, endTangent);
+        if (reversedStart || reversedEnd) {
+            pinned.start = pinned.start || reversedStart;
+            pinned.end = pinned.end || reversedEnd;
+            points = solve();
+            if (!points) break;
+        }
+
+        const controlPoints = points;
+        const evaluate = t => deCasteljauSimple(controlPoints, t);
+        const error = measureError(samples, params, evaluate);
+        result = { controlPoints, ...error };
+
+        if (iter < iterations) {
+            params = refineParameters(samples, params, evaluate,
+                t => bezierDerivative(controlPoints, t), 0, 1);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Maior ângulo entre as tangentes dos dois lados das junções de uma cadeia
+ * (0 em junções G1; π numa cúspide)
+ * @param {Array} segments - Segmentos (arrays de pontos de controle)
+ * @returns {number} Ângulo em radianos
+ */
+export function maxJointAngle(segments) {
+    let max = 0;
+    for (let k = 1; k < segments.length; k++) {
+        const u = endDirection(segments[k - 1]);
+        const v = endDirection([...segments[k]].reverse());
+        if (!u || !v) continue;
+        // endDirection do segmento invertido aponta para trás
+        max = Math.max(max, Math.abs(Math.atan2(-(u.x * v.y - u.y * v.x), -(u.x * v.x + u.y * v.y))));
+    }
+    return max;
+}
+
+/**
+ * Ajusta uma cadeia de Béziers de grau p ao traço, subdividindo recursivamente
+ * no ponto de maior erro até respeitar a tolerância (estratégia de Schneider).
+ * As junções compartilham o ponto e a direção da tangente (G1). No grau 2 o
+ * ponto do meio só restringe uma tangente: os segmentos são ajustados em
+ * ordem e cada um parte na direção real do fim do anterior; se o fim volta
+ * contra o traço, o trecho é subdividido como se excedesse a tolerância
+ * @param {Array} samples - Amostras {x, y}
+ * @param {number} degree - Grau dos segmentos
+ * @param {number} tolerance - Erro máximo aceito (pixels)
+ * @returns {Object} {segments, maxError, rmsError, withinTolerance, jointAngle}
+ *                   (jointAngle: maior quebra de tangente nas junções, em radianos)
+ */
+export function fitBezierChain(samples, degree, tolerance) {
+    const segments = [];
+    const errors = [];
+
+    const fitRange = (start, end, startTangent, endTangent, depth) => {
+        const slice = samples.slice(start, end + 1);
+        const fit = fitBezierSegment(slice, degree, startTangent, endTangent);
+
+        // Só subdivide se houver amostras suficientes dos dois lados
+        const canSplit = end - start >= 2 * Math.max(2, degree) && depth < 12;
+        // No grau 2 o fim é livre: confere com o traço para não passar ao
+        // próximo segmento uma direção invertida
+        const smooth = degree !== 2 || (fit && followsTangents(fit.controlPoints, null, endTangent));
+        if (fit && ((smooth && fit.maxError <= tolerance) || !canSplit)) {
+            segments.push(fit.controlPoints);
+            errors.push({ ...fit, count: slice.length });
+            return;
+        }
+
+        let split = start + (fit ? fit.maxIndex : Math.floor((end - start) / 2));
+        const margin = Math.max(2, degree);
+        split = Math.max(start + margin, Math.min(end - margin, split));
+
+        const tangent = strokeTangent(samples, split);
+        fitRange(start, split, startTangent, tangent, depth + 1);
+        const joint = degree === 2 ? endDirection(segments[segments.length - 1]) || tangent : tangent;
+        fitRange(split, end, joint, endTangent, depth + 1);
+    };
+
+    if (samples.length >= 2) {
+        fitRange(0, samples.length - 1, null, null, 0);
+    }
+
+    // Erro global a partir dos erros de cada segmento
+    // (RMS ponderado pelo número de amostras; as junções contam nos dois segmentos)
+    let maxError = 0;
+    let sumSq = 0;
+    let count = 0;
+    errors.forEach(fit => {
+        maxError = Math.max(maxError, fit.maxError);
+        sumSq += fit.rmsError * fit.rmsError * fit.count;
+        count += fit.count;
+    });
+
+    return {
+        segments,
+        maxError,
+        rmsError: count > 0 ? Math.sqrt(sumSq / count) : 0,
+        withinTolerance: maxError <= tolerance,
+        jointAngle: maxJointAngle(segments)
+    };
+}
+
+/**
+ * Integral em [0, 1] do produto de duas funções de Bernstein
+ * ∫ B_i^m B_j^n dt = C(m,i) C(n,j) / ((m+n+1) C(m+n, i+j))
+ * @returns {number} Valor da integral
+ */
+function bernsteinProductIntegral(m, i, n, j) {
+    return binomialCoefficient(m, i) * binomialCoefficient(n, j) /
+        ((m + n + 1) * binomialCoefficient(m + n, i + j));
+}
+
+/**
+ * Produto de dois polinômios na base de Bernstein (graus a e b):
+ * h_k = Σ C(a,i) C(b,k-i) / C(a+b,k) f_i g_{k-i}
+ * @param {Array} f - Coeficientes de grau a
+ * @param {Array} g - Coeficientes de grau b
+ * @returns {Array} Coeficientes de grau a + b
+ */
+function multiplyBernstein(f, g) {
+    const a = f.length - 1;
+    const b = g.length - 1;
+    return Array.from({ length: a + b + 1 }, (_, k) => {
+        let sum = 0;
+        for (let i = Math.max(0, k - b); i <= Math.min(a, k); i++) {
+            sum += binomialCoefficient(a, i) * binomialCoefficient(b, k - i) * f[i] * g[k - i];
+        }
+        return sum / binomialCoefficient(a + b, k);
+    });
+}
+
+/**
+ * Reduz o grau de uma Bézier em uma unidade pela melhor aproximação em
+ * mínimos quadrados contínuos (norma L2 em t), mantendo os extremos fixos.
+ * Bézier racionais são reduzidas em coordenadas homogêneas (w·x, w·y, w),
+ * de modo que o resultado também é racional.
+ * O limite de erro usa a diferença entre as curvas, que é a Bézier racional
+ * C1 - C2 = (A1 W2 - A2 W1) / (W1 W2) de grau n + m (A e W são as curvas
+ * homogênea e dos pesos). Com pesos positivos ela fica no fecho convexo dos
+ * seus pontos de controle, logo o erro nunca os excede. A diferença é
+ * subdividida em 16 trechos para apertar o limite
+ * @param {Array} points - Pontos de controle {x, y, ..., weight}
+ * @returns {Object|null} {points, errorBound, maxError}, ou null se grau < 2
+ *                        ou se algum peso do resultado não for positivo
+ */
+export function reduceBezierDegree(points) {
+    const n = points.length - 1;
+    if (n < 2) return null;
+
+    const axes = axesOf(points);
+    const rational = points.some(p => (p.weight || 1) !== 1);
+    // Sem pesos, w = 1 já é reproduzido exatamente e fica de fora do sistema
+    const keys = rational ? [...axes, 'w'] : axes;
+    const homogeneous = toHomogeneous(points, axes);
+    const m = n - 1;
+    const reduced = new Array(m + 1);
+    reduced[0] = { ...homogeneous[0] };
+    reduced[m] = { ...homogeneous[n] };
+
+    // Equações normais para os pontos internos R_1..R_{m-1}, uma por coordenada
+    const unknowns = m - 1;
+    if (unknowns > 0) {
+        const G = [];
+        const rhs = keys.map(() => []);
+        for (let j = 1; j < m; j++) {
+            G.push(Array.from({ length: unknowns }, (_, k) => bernsteinProductIntegral(m, j, m, k + 1)));
+            // Extremos fixos passam para o lado direito
+            const g0 = bernsteinProductIntegral(m, j, m, 0);
+            const gm = bernsteinProductIntegral(m, j, m, m);
+            keys.forEach((key, a) => {
+                let sum = 0;
+                for (let i = 0; i <= n; i++) {
+                    sum += bernsteinProductIntegral(m, j, n, i) * homogeneous[i][key];
+                }
+                rhs[a].push(sum - g0 * reduced[0][key] - gm * reduced[m][key]);
+            });
+        }
+
+        const solutions = rhs.map(b => solveLinearSystem(G.map(row => [...row]), b));
+        if (solutions.some(solution => !solution)) return null;
+        for (let j = 1; j < m; j++) {
+            reduced[j] = { w: 1 };
+            keys.forEach((key, a) => {
+                reduced[j][key] = solutions[a][j - 1];
+            });
+        }
+    }
+
+    if (reduced.some(h => h.w <= 1e-9)) return null;
+    const result = reduced.map(h => ({ ...project(h, axes), weight: rational ? h.w : 1 }));
+
+    // Diferença C1 - C2 como Bézier racional de grau n + m
+    const w1 = homogeneous.map(h => h.w);
+    const w2 = reduced.map(h => h.w);
+    const denominator = multiplyBernstein(w1, w2);
+    const numerators = axes.map(axis => {
+        const a1w2 = multiplyBernstein(homogeneous.map(h => h[axis]), w2);
+        const a2w1 = multiplyBernstein(reduced.map(h => h[axis]), w1);
+        return a1w2.map((value, k) => value - a2w1[k]);
+    });
+    const difference = denominator.map((d, k) => {
+        const p = { weight: d };
+        axes.forEach((axis, a) => {
+            p[axis] = numerators[a][k] / d;
+        });
+        return p;
+    });
+    let pieces = [difference];
+    for (let level = 0; level < 4; level++) {
+        pieces = pieces.flatMap(piece => {
+            const { left, right } = splitBezier(piece, 0.5);
+            return [left, right];
+        });
+    }
+    const origin = zeroPoint(axes);
+    const errorBound = Math.max(...pieces.flat().map(p => distance(p, origin, axes)));
+
+    let maxError = 0;
+    for (let k = 0; k <= 200; k++) {
+        const a = deCasteljau(points, k / 200, axes);
+        const b = deCasteljau(result, k / 200, axes);
+        maxError = Math.max(maxError, distance(a, b, axes));
+    }
+
+    return {
+        points: result,
+        errorBound,
+        maxError
+    };
+}
@@ -0,0 +1,346 @@
+/**
+ * Módulo para curvas interpoladoras (passam exatamente pelos pontos)
+ * Implementa Catmull-Rom (uniforme, centrípeta e cordal), spline cúbica
+ * natural/fixada e Kochanek-Bartels (TCB). Todas são cúbicas de Hermite
+ * por partes, convertidas em segmentos de Bézier cúbica. No modo Hermite as
+ * tangentes são dadas diretamente em cada nó.
+ */
+
+import { deCasteljauSimple } from './bezier.js';
+
+/**
+ * Converte um segmento de Hermite cúbico em pontos de controle de Bézier
+ * @param {Object} p0 - Ponto inicial {x, y}
+ * @param {Object} m0 - Tangente inicial (em relação ao parâmetro local [0, 1])
+ * @param {Object} p1 - Ponto final {x, y}
+ * @param {Object} m1 - Tangente final (em relação ao parâmetro local [0, 1])
+ * @returns {Array} 4 pontos de controle da Bézier cúbica
+ */
+export function hermiteToBezier(p0, m0, p1, m1) {
+    return [
+        { x: p0.x, y: p0.y },
+        { x: p0.x + m0.x / 3, y: p0.y + m0.y / 3 },
+        { x: p1.x - m1.x / 3, y: p1.y - m1.y / 3 },
+        { x: p1.x, y: p1.y }
+    ];
+}
+
+/**
+ * Funções base cúbicas de Hermite em [0, 1], pesos de p0, m0, p1 e m1:
+ * h00 = 2t³ - 3t² + 1, h10 = t³ - 2t² + t, h01 = -2t³ + 3t², h11 = t³ - t²
+ * @param {number} t - Parâmetro local
+ * @returns {Array} [h00, h10, h01, h11]
+ */
+export function hermiteBasis(t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return [
+        2 * t3 - 3 * t2 + 1,
+        t3 - 2 * t2 + t,
+        -2 * t3 + 3 * t2,
+        t3 - t2
+    ];
+}
+
+/**
+ * Avalia um segmento de Hermite cúbico pelas funções base
+ * @param {Object} p0 - Ponto inicial {x, y}
+ * @param {Object} m0 - Tangente inicial (em relação ao parâmetro local [0, 1])
+ * @param {Object} p1 - Ponto final {x, y}
+ * @param {Object} m1 - Tangente final (em relação ao parâmetro local [0, 1])
+ * @param {number} t - Parâmetro local
+ * @returns {Object} Ponto {x, y}
+ */
+export function evaluateHermite(p0, m0, p1, m1, t) {
+    const [h00, h10, h01, h11] = hermiteBasis(t);
+    return {
+        x: h00 * p0.x + h10 * m0.x + h01 * p1.x + h11 * m1.x,
+        y: h00 * p0.y + h10 * m0.y + h01 * p1.y + h11 * m1.y
+    };
+}
+
+/**
+ * Tangentes dos nós de uma curva de Hermite: a tangente explícita do ponto
+ * (propriedade tangent) ou, se ele não tiver uma, a de Catmull-Rom uniforme
+ * (p_{i+1} - p_{i-1}) / 2, com a diferença de um lado só nas pontas
+ * @param {Array} points - Nós {x, y, tangent?}
+ * @returns {Array} Tangentes {x, y} (em relação ao parâmetro local de cada segmento)
+ */
+export function hermiteTangents(points) {
+    const n = points.length;
+    return points.map((p, i) => {
+        if (p.tangent) return { x: p.tangent.x, y: p.tangent.y };
+        if (n < 2) return { x: 0, y: 0 };
+
+        const prev = points[Math.max(0, i - 1)];
+        const next = points[Math.min(n - 1, i + 1)];
+        const scale = i === 0 || i === n - 1 ? 1 : 0.5;
+        return { x: scale * (next.x - prev.x), y: scale * (next.y - prev.y) };
+    });
+}
+
+/**
+ * Gera os segmentos de Bézier cúbica equivalentes a uma curva de Hermite
+ * (ver hermiteToBezier): as alças são p ± m/3
+ * @param {Array} points - Nós {x, y, tangent?}
+ * @returns {Array} Segmentos (cada um com 4 pontos de controle)
+ */
+export function hermiteToBezierSegments(points) {
+    const tangents = hermiteTangents(points);
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        segments.push(hermiteToBezier(points[i], tangents[i], points[i + 1], tangents[i + 1]));
+    }
+    return segments;
+}
+
+/**
+ * Amostra uma curva de Hermite diretamente pelas funções base
+ * @param {Array} points - Nós {x, y, tangent?}
+ * @param {number} steps - Passos por segmento
+ * @returns {Array} Pontos da curva
+ */
+export function sampleHermite(points, steps = 30) {
+    const tangents = hermiteTangents(points);
+    const curvePoints = [];
+
+    for (let s = 0; s < points.length - 1; s++) {
+        // O primeiro ponto de cada segmento repete o último do anterior
+        for (let i = s === 0 ? 0 : 1; i <= steps; i++) {
+            curvePoints.push(evaluateHermite(points[s], tangents[s], points[s + 1], tangents[s + 1], i / steps));
+        }
+    }
+
+    return curvePoints;
+}
+
+/**
+ * Ponto fantasma antes do primeiro (ou depois do último) ponto, por reflexão
+ * @param {Object} end - Ponto extremo
+ * @param {Object} neighbor - Vizinho do ponto extremo
+ * @returns {Object} Ponto refletido {x, y}
+ */
+function reflect(end, neighbor) {
+    return { x: 2 * end.x - neighbor.x, y: 2 * end.y - neighbor.y };
+}
+
+/**
+ * Gera os segmentos de Bézier de uma Catmull-Rom parametrizada por alpha
+ * alpha = 0: uniforme, 0.5: centrípeta (sem laços nem cúspides), 1: cordal
+ * @param {Array} points - Pontos a interpolar {x, y}
+ * @param {number} alpha - Expoente da parametrização
+ * @returns {Array} Segmentos (cada um com 4 pontos de controle)
+ */
+export function catmullRomToBezier(points, alpha = 0.5) {
+    const n = points.length;
+    if (n < 2) return [];
+
+    const extended = [reflect(points[0], points[1]), ...points, reflect(points[n - 1], points[n - 2])];
+    const segments = [];
+
+    for (let i = 1; i < extended.length - 2; i++) {
+        const p0 = extended[i - 1];
+        const p1 = extended[i];
+        const p2 = extended[i + 1];
+        const p3 = extended[i + 2];
+
+        // Intervalos de parâmetro (evita zero em pontos coincidentes)
+        const d01 = Math.max(Math.pow(Math.hypot(p1.x - p0.x, p1.y - p0.y), alpha), 1e-6);
+        const d12 = Math.max(Math.pow(Math.hypot(p2.x - p1.x, p2.y - p1.y), alpha), 1e-6);
+        const d23 = Math.max(Math.pow(Math.hypot(p3.x - p2.x, p3.y - p2.y), alpha), 1e-6);
+
+        // Tangentes de Barry-Goldman, escaladas para o parâmetro local do segmento
+        const m1 = {
+            x: ((p1.x - p0.x) / d01 - (p2.x - p0.x) / (d01 + d12) + (p2.x - p1.x) / d12) * d12,
+            y: ((p1.y - p0.y) / d01 - (p2.y - p0.y) / (d01 + d12) + (p2.y - p1.y) / d12) * d12
+        };
+        const m2 = {
+            x: ((p2.x - p1.x) / d12 - (p3.x - p1.x) / (d12 + d23) + (p3.x - p2.x) / d23) * d12,
+            y: ((p2.y - p1.y) / d12 - (p3.y - p1.y) / (d12 + d23) + (p3.y - p2.y) / d23) * d12
+        };
+
+        segments.push(hermiteToBezier(p1, m1, p2, m2));
+    }
+
+    return segments;
+}
+
+/**
+ * Resolve um sistema tridiagonal pelo algoritmo de Thomas
+ * @param {Array} a - Subdiagonal (a[0] ignorado)
+ * @param {Array} b - Diagonal
+ * @param {Array} c - Superdiagonal (c[n-1] ignorado)
+ * @param {Array} d - Lado direito
+ * @returns {Array} Solução
+ */
+function solveTridiagonal(a, b, c, d) {
+    const n = b.length;
+    const cp = new Array(n);
+    const dp = new Array(n);
+
+    cp[0] = c[0] / b[0];
+    dp[0] = d[0] / b[0];
+    for (let i = 1; i < n; i++) {
+        const m = b[i] - a[i] * cp[i - 1];
+        cp[i] = c[i] / m;
+        dp[i] = (d[i] - a[i] * dp[i - 1]) / m;
+    }
+
+    const x = new Array(n);
+    x[n - 1] = dp[n - 1];
+    for (let i = n - 2; i >= 0; i--) {
+        x[i] = dp[i] - cp[i] * x[i + 1];
+    }
+    return x;
+}
+
+/**
+ * Gera os segmentos de Bézier de uma spline cúbica interpoladora C2
+ * Parametrização por comprimento de corda. Condições de extremidade:
+ * - 'natural': segunda derivada nula nos extremos
+ * - 'clamped': primeira derivada fixada nos extremos (por padrão, a direção
+ *   da primeira/última corda)
+ * @param {Array} points - Pontos a interpolar {x, y}
+ * @param {string} endCondition - 'natural' ou 'clamped'
+ * @param {Object} tangents - {start, end} derivadas nos extremos (opcional, apenas 'clamped')
+ * @returns {Array} Segmentos (cada um com 4 pontos de controle)
+ */
+export function cubicSplineToBezier(points, endCondition = 'natural', tangents = {}) {
+    const n = points.length;
+    if (n < 2) return [];
+
+    // Intervalos de parâmetro por comprimento de corda
+    const h = [];
+    for (let i = 0; i < n - 1; i++) {
+        h.push(Math.max(Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y), 1e-6));
+    }
+
+    const a = new Array(n).fill(0);
+    const b = new Array(n).fill(0);
+    const c = new Array(n).fill(0);
+    const dx = new Array(n).fill(0);
+    const dy = new Array(n).fill(0);
+
+    const startTangent = tangents.start || {
+        x: (points[1].x - points[0].x) / h[0],
+        y: (points[1].y - points[0].y) / h[0]
+    };
+    const endTangent = tangents.end || {
+        x: (points[n - 1].x - points[n - 2].x) / h[n - 2],
+        y: (points[n - 1].y - points[n - 2].y) / h[n - 2]
+    };
+
+    // Primeira linha
+    if (endCondition === 'clamped') {
+        b[0] = 1;
+        dx[0] = startTangent.x;
+        dy[0] = startTangent.y;
+    } else {
+        b[0] = 2;
+        c[0] = 1;
+        dx[0] = 3 * (points[1].x - points[0].x) / h[0];
+        dy[0] = 3 * (points[1].y - points[0].y) / h[0];
+    }
+
+    // Linhas internas: continuidade da segunda derivada
+    for (let i = 1; i < n - 1; i++) {
+        a[i] = h[i];
+        b[i] = 2 * (h[i - 1] + h[i]);
+        c[i] = h[i - 1];
+        dx[i] = 3 * (h[i] * (points[i].x - points[i - 1].x) / h[i - 1] +
+                     h[i - 1] * (points[i + 1].x - points[i].x) / h[i]);
+        dy[i] = 3 * (h[i] * (points[i].y - points[i - 1].y) / h[i - 1] +
+                     h[i - 1] * (points[i + 1].y - points[i].y) / h[i]);
+    }
+
+    // Última linha
+    if (endCondition === 'clamped') {
+        b[n - 1] = 1;
+        dx[n - 1] = endTangent.x;
+        dy[n - 1] = endTangent.y;
+    } else {
+        a[n - 1] = 1;
+        b[n - 1] = 2;
+        dx[n - 1] = 3 * (points[n - 1].x - points[n - 2].x) / h[n - 2];
+        dy[n - 1] = 3 * (points[n - 1].y - points[n - 2].y) / h[n - 2];
+    }
+
+    const derivX = solveTridiagonal(a, b, c, dx);
+    const derivY = solveTridiagonal(a, b, c, dy);
+
+    const segments = [];
+    for (let i = 0; i < n - 1; i++) {
+        segments.push(hermiteToBezier(
+            points[i],
+            { x: derivX[i] * h[i], y: derivY[i] * h[i] },
+            points[i + 1],
+            { x: derivX[i + 1] * h[i], y: derivY[i + 1] * h[i] }
+        ));
+    }
+
+    return segments;
+}
+
+/**
+ * Gera os segmentos de Bézier de uma spline de Kochanek-Bartels (TCB)
+ * Cada ponto pode ter tension, continuity e bias (padrão 0, que resulta
+ * na Catmull-Rom uniforme)
+ * @param {Array} points - Pontos a interpolar {x, y, tension, continuity, bias}
+ * @returns {Array} Segmentos (cada um com 4 pontos de controle)
+ */
+export function kochanekBartelsToBezier(points) {
+    const n = points.length;
+    if (n < 2) return [];
+
+    const extended = [reflect(points[0], points[1]), ...points, reflect(points[n - 1], points[n - 2])];
+    const incoming = [];
+    const outgoing = [];
+
+    for (let i = 1; i <= n; i++) {
+        const prev = extended[i - 1];
+        const p = extended[i];
+        const next = extended[i + 1];
+        const t = points[i - 1].tension || 0;
+        const c = points[i - 1].continuity || 0;
+        const b = points[i - 1].bias || 0;
+
+        const back = { x: p.x - prev.x, y: p.y - prev.y };
+        const ahead = { x: next.x - p.x, y: next.y - p.y };
+
+        // Tangente de saída (início do próximo segmento)
+        const oa = (1 - t) * (1 + b) * (1 - c) / 2;
+        const ob = (1 - t) * (1 - b) * (1 + c) / 2;
+        outgoing.push({ x: oa * back.x + ob * ahead.x, y: oa * back.y + ob * ahead.y });
+
+        // Tangente de chegada (fim do segmento anterior)
+        const ia = (1 - t) * (1 + b) * (1 + c) / 2;
+        const ib = (1 - t) * (1 - b) * (1 - c) / 2;
+        incoming.push({ x: ia * back.x + ib * ahead.x, y: ia * back.y + ib * ahead.y });
+    }
+
+    const segments = [];
+    for (let i = 0; i < n - 1; i++) {
+        segments.push(hermiteToBezier(points[i], outgoing[i], points[i + 1], incoming[i + 1]));
+    }
+
+    return segments;
+}
+
+/**
+ * Amostra uma sequência de segmentos de Bézier
+ * @param {Array} segments - Segmentos (arrays de pontos de controle)
+ * @param {number} steps - Passos por segmento
+ * @returns {Array} Pontos da curva
+ */
+export function sampleBezierSegments(segments, steps = 30) {
+    const curvePoints = [];
+
+    segments.forEach((segment, index) => {
+        // O primeiro ponto de cada segmento repete o último do anterior
+        for (let i = index === 0 ? 0 : 1; i <= steps; i++) {
+            curvePoints.push(deCasteljauSimple(segment, i / steps));
+        }
+    });
+
+    return curvePoints;
+}
@@ -0,0 +1,358 @@
+/**
+ * Módulo de interseções entre curvas
+ * Cada curva é convertida em segmentos de Bézier (ver curves.js) e os pares de
+ * segmentos são subdivididos recursivamente, descartando os pares cujas caixas
+ * envolventes não se sobrepõem. Quando os dois trechos ficam planos dentro da
+ * tolerância, as cordas são intersectadas como segmentos de reta; cordas
+ * colineares (curvas sobrepostas) viram um intervalo de sobreposição, relatado
+ * uma única vez em vez de uma interseção por subtrecho.
+ */
+
+import { splitBezier } from './bezier.js';
+import { bezierFlatness } from './tessellation.js';
+
+// Interseções mais próximas que isso (px) são consideradas a mesma
+const MERGE_DISTANCE = 0.1;
+
+// Limite de pares examinados (evita explosão em curvas sobrepostas)
+const MAX_PAIRS = 50000;
+
+/**
+ * Caixa envolvente dos pontos de controle (contém a curva pelo fecho convexo)
+ * @param {Array} points - Pontos de controle
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+function boundingBox(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys)
+    };
+}
+
+/**
+ * Verifica se duas caixas se sobrepõem (com folga)
+ * @returns {boolean}
+ */
+function boxesOverlap(a, b, margin) {
+    return a.minX - margin <= b.maxX && b.minX - margin <= a.maxX &&
+           a.minY - margin <= b.maxY && b.minY - margin <= a.maxY;
+}
+
+/**
+ * Divide um trecho {points, range} ao meio, mantendo o intervalo de parâmetro
+ * @param {Object} piece - Trecho de Bézier
+ * @returns {Array} Dois trechos
+ */
+function halve(piece) {
+    const { left, right } = splitBezier(piece.points, 0.5);
+    const mid = (piece.range[0] + piece.range[1]) / 2;
+    return [
+        { points: left, range: [piece.range[0], mid] },
+        { points: right, range: [mid, piece.range[1]] }
+    ];
+}
+
+/**
+ * Interseção de dois segmentos de reta p0p1 e q0q1
+ * @returns {Object|null} {s, u} parâmetros em [0, 1] de cada segmento
+ */
+function segmentIntersection(p0, p1, q0, q1) {
+    const rx = p1.x - p0.x;
+    const ry = p1.y - p0.y;
+    const sx = q1.x - q0.x;
+    const sy = q1.y - q0.y;
+    const denominator = rx * sy - ry * sx;
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const qpx = q0.x - p0.x;
+    const qpy = q0.y - p0.y;
+    const s = (qpx * sy - qpy * sx) / denominator;
+    const u = (qpx * ry - qpy * rx) / denominator;
+    const eps = 1e-9;
+    if (s < -eps || s > 1 + eps || u < -eps || u > 1 + eps) return null;
+
+    return { s: Math.min(Math.max(s, 0), 1), u: Math.min(Math.max(u, 0), 1) };
+}
+
+/**
+ * Distância de um ponto à reta (infinita) por p0 e p1
+ * @returns {number} Distância
+ */
+function distanceToLine(p, p0, p1) {
+    const dx = p1.x - p0.x;
+    const dy = p1.y - p0.y;
+    const length = Math.hypot(dx, dy);
+    if (length < 1e-12) return Math.hypot(p.x - p0.x, p.y - p0.y);
+    return Math.abs((p.x - p0.x) * dy - (p.y - p0.y) * dx) / length;
+}
+
+/**
+ * Parte comum de dois segmentos colineares (cada extremo a menos de tolerance
+ * da reta do outro), como intervalos de parâmetro em cada segmento
+ * @returns {Object|null} {s: [s0, s1], u: [u0, u1]}, ou null se não são colineares
+ *                        ou a parte comum não passa de tolerance
+ */
+function collinearOverlap(p0, p1, q0, q1, tolerance) {
+    if (distanceToLine(q0, p0, p1) > tolerance || distanceToLine(q1, p0, p1) > tolerance ||
+        distanceToLine(p0, q0, q1) > tolerance || distanceToLine(p1, q0, q1) > tolerance) {
+        return null;
+    }
+
+    const rx = p1.x - p0.x;
+    const ry = p1.y - p0.y;
+    const length2 = rx * rx + ry * ry;
+    if (length2 < 1e-24) return null;
+
+    // Projeta o outro segmento na corda p0p1
+    const along = q => ((q.x - p0.x) * rx + (q.y - p0.y) * ry) / length2;
+    const a0 = along(q0);
+    const a1 = along(q1);
+    const s0 = Math.max(0, Math.min(a0, a1));
+    const s1 = Math.min(1, Math.max(a0, a1));
+    // Segmentos que só se tocam na ponta (ex.: trechos consecutivos) não se sobrepõem
+    if ((s1 - s0) * Math.sqrt(length2) <= tolerance) return null;
+
+    // Mesmo intervalo no parâmetro do outro segmento (a projeção é afim)
+    const toU = s => Math.abs(a1 - a0) < 1e-12 ? 0 : (s - a0) / (a1 - a0);
+    const u0 = toU(s0);
+    const u1 = toU(s1);
+    return { s: [s0, s1], u: [Math.min(u0, u1), Math.max(u0, u1)] };
+}
+
+/**
+ * Busca recursiva das interseções entre dois trechos de Bézier
+ * Pares planos e colineares, e os pares que sobram quando o limite de pares
+ * se esgota (tipicamente curvas sobrepostas), vão para overlaps
+ * @param {Object} a - Trecho {points, range}
+ * @param {Object} b - Trecho {points, range}
+ * @param {number} tolerance - Planicidade em que os trechos viram retas (px)
+ * @param {Array} results - Acumulador de {tA, tB, point}
+ * @param {Object} budget - Contador de pares restantes {remaining}
+ * @param {Array} overlaps - Acumulador de sobreposições {rangeA, rangeB}
+ */
+function intersectPieces(a, b, tolerance, results, budget, overlaps) {
+    const boxA = boundingBox(a.points);
+    const boxB = boundingBox(b.points);
+    if (!boxesOverlap(boxA, boxB, tolerance)) return;
+
+    if (--budget.remaining < 0) {
+        overlaps.push({ rangeA: a.range, rangeB: b.range });
+        return;
+    }
+
+    const flatA = bezierFlatness(a.points) <= tolerance;
+    const flatB = bezierFlatness(b.points) <= tolerance;
+
+    if (flatA && flatB) {
+        const p0 = a.points[0];
+        const p1 = a.points[a.points.length - 1];
+        const q0 = b.points[0];
+        const q1 = b.points[b.points.length - 1];
+        const overlap = collinearOverlap(p0, p1, q0, q1, tolerance);
+        if (overlap) {
+            const lerp = (range, s) => range[0] + (range[1] - range[0]) * s;
+            overlaps.push({
+                rangeA: overlap.s.map(s => lerp(a.range, s)),
+                rangeB: overlap.u.map(u => lerp(b.range, u))
+            });
+            return;
+        }
+
+        const hit = segmentIntersection(
+            a.points[0], a.points[a.points.length - 1],
+            b.points[0], b.points[b.points.length - 1]
+        );
+        if (hit) {
+            results.push({
+                tA: a.range[0] + (a.range[1] - a.range[0]) * hit.s,
+                tB: b.range[0] + (b.range[1] - b.range[0]) * hit.u,
+                point: { x: p0.x + (p1.x - p0.x) * hit.s, y: p0.y + (p1.y - p0.y) * hit.s }
+            });
+        }
+        return;
+    }
+
+    // Subdivide o trecho não plano de maior caixa
+    const sizeA = flatA ? -1 : Math.hypot(boxA.maxX - boxA.minX, boxA.maxY - boxA.minY);
+    const sizeB = flatB ? -1 : Math.hypot(boxB.maxX - boxB.minX, boxB.maxY - boxB.minY);
+
+    if (sizeA >= sizeB) {
+        halve(a).forEach(half => intersectPieces(half, b, tolerance, results, budget, overlaps));
+    } else {
+        halve(b).forEach(half => intersectPieces(a, half, tolerance, results, budget, overlaps));
+    }
+}
+
+/**
+ * Junta os intervalos de sobreposição vizinhos (nos dois parâmetros) em trechos
+ * contínuos, cada um relatado uma vez
+ * @param {Array} overlaps - Sobreposições {rangeA, rangeB}
+ * @param {Object} curveA - Curva do parâmetro tA
+ * @returns {Array} Sobreposições {rangeA, rangeB, point}, com point no meio do trecho
+ */
+function mergeOverlaps(overlaps, curveA) {
+    // Os intervalos vêm da projeção nas cordas, então vizinhos podem ficar
+    // separados por uma fração do próprio tamanho
+    const touches = (r, s) => {
+        const gap = (s[1] - s[0]) / 2;
+        return s[0] <= r[1] + gap && r[0] <= s[1] + gap;
+    };
+    const runs = [];
+
+    [...overlaps].sort((p, q) => p.rangeA[0] - q.rangeA[0]).forEach(({ rangeA, rangeB }) => {
+        const run = runs.find(r => touches(r.rangeA, rangeA) && touches(r.rangeB, rangeB));
+        if (run) {
+            run.rangeA = [Math.min(run.rangeA[0], rangeA[0]), Math.max(run.rangeA[1], rangeA[1])];
+            run.rangeB = [Math.min(run.rangeB[0], rangeB[0]), Math.max(run.rangeB[1], rangeB[1])];
+        } else {
+            runs.push({ rangeA: [...rangeA], rangeB: [...rangeB] });
+        }
+    });
+
+    return runs.map(run => ({ ...run, point: curveA.evaluate((run.rangeA[0] + run.rangeA[1]) / 2) }));
+}
+
+/**
+ * Descarta interseções pontuais dentro de um trecho sobreposto
+ * @param {Array} hits - Interseções {tA, tB, point}
+ * @param {Array} overlaps - Sobreposições {rangeA, rangeB}
+ * @returns {Array} Interseções fora das sobreposições
+ */
+function outsideOverlaps(hits, overlaps) {
+    const eps = 1e-9;
+    return hits.filter(hit => !overlaps.some(({ rangeA }) =>
+        hit.tA >= rangeA[0] - eps && hit.tA <= rangeA[1] + eps));
+}
+
+/**
+ * Remove interseções repetidas (encontradas por trechos vizinhos)
+ * @param {Array} results - Interseções {tA, tB, point}
+ * @returns {Array} Interseções distintas
+ */
+function mergeDuplicates(results) {
+    const merged = [];
+    results.forEach(hit => {
+        const duplicate = merged.some(other =>
+            Math.hypot(other.point.x - hit.point.x, other.point.y - hit.point.y) < MERGE_DISTANCE);
+        if (!duplicate) merged.push(hit);
+    });
+    return merged;
+}
+
+/**
+ * Calcula as interseções entre duas curvas
+ * @param {Object} curveA - Curva (ver curves.js)
+ * @param {Object} curveB - Curva
+ * @param {number} tolerance - Precisão em pixels
+ * @returns {Object} {points, overlaps}: interseções {tA, tB, point}, com os
+ *                   parâmetros de cada curva, e trechos sobrepostos {rangeA, rangeB, point}
+ */
+export function intersectCurves(curveA, curveB, tolerance = 1e-3) {
+    const results = [];
+    const overlaps = [];
+    const budget = { remaining: MAX_PAIRS };
+
+    curveA.bezierSegments().forEach(a => {
+        curveB.bezierSegments().forEach(b => {
+            intersectPieces(a, b, tolerance, results, budget, overlaps);
+        });
+    });
+
+    const merged = mergeOverlaps(overlaps, curveA);
+    return {
+        points: outsideOverlaps(mergeDuplicates(results), merged).sort((p, q) => p.tA - q.tA),
+        overlaps: merged
+    };
+}
+
+/**
+ * Verifica se os vetores cabem em um semiplano aberto (maior vão angular > π)
+ * @param {Array} vectors - Vetores {x, y}
+ * @returns {boolean}
+ */
+function inOpenHalfPlane(vectors) {
+    const angles = vectors
+        .filter(v => Math.hypot(v.x, v.y) > 1e-12)
+        .map(v => Math.atan2(v.y, v.x))
+        .sort((a, b) => a - b);
+    if (angles.length < 2) return true;
+
+    let largestGap = angles[0] + 2 * Math.PI - angles[angles.length - 1];
+    for (let i = 1; i < angles.length; i++) {
+        largestGap = Math.max(largestGap, angles[i] - angles[i - 1]);
+    }
+    return largestGap > Math.PI;
+}
+
+/**
+ * Divide um trecho até que cada parte não possa se auto-intersectar: se as
+ * diferenças entre pontos de controle consecutivos cabem em um semiplano, a
+ * derivada (também para Béziers racionais) tem projeção positiva numa mesma
+ * direção e o trecho é monótono nela
+ * @param {Object} piece - Trecho {points, range}
+ * @param {number} depth - Profundidade atual
+ * @returns {Array} Trechos monótonos
+ */
+function monotonePieces(piece, depth = 0) {
+    const differences = [];
+    for (let i = 0; i < piece.points.length - 1; i++) {
+        differences.push({
+            x: piece.points[i + 1].x - piece.points[i].x,
+            y: piece.points[i + 1].y - piece.points[i].y
+        });
+    }
+    if (depth >= 10 || inOpenHalfPlane(differences)) return [piece];
+
+    return halve(piece).flatMap(half => monotonePieces(half, depth + 1));
+}
+
+/**
+ * Calcula as auto-interseções de uma curva
+ * A curva é dividida em trechos monótonos e todos os pares são testados;
+ * encontros no ponto compartilhado por trechos consecutivos (e no ponto de
+ * fechamento de curvas fechadas) não contam como interseção
+ * @param {Object} curve - Curva (ver curves.js)
+ * @param {number} tolerance - Precisão em pixels
+ * @returns {Object} {points, overlaps}: interseções {tA, tB, point} com tA < tB
+ *                   e trechos em que a curva passa sobre si mesma {rangeA, rangeB, point}
+ */
+export function selfIntersections(curve, tolerance = 1e-3) {
+    const pieces = curve.bezierSegments().flatMap(segment => monotonePieces(segment));
+    const [start, end] = curve.domain;
+    const first = curve.evaluate(start);
+    const last = curve.evaluate(end);
+    const closed = Math.hypot(first.x - last.x, first.y - last.y) < MERGE_DISTANCE;
+    const budget = { remaining: MAX_PAIRS };
+    const results = [];
+    const overlaps = [];
+
+    for (let i = 0; i < pieces.length; i++) {
+        for (let j = i + 1; j < pieces.length; j++) {
+            const a = pieces[i];
+            const b = pieces[j];
+            const hits = [];
+            intersectPieces(a, b, tolerance, hits, budget, overlaps);
+
+            // Pontos compartilhados: junção de trechos consecutivos e fechamento da curva
+            const shared = [];
+            if (a.range[1] === b.range[0]) shared.push(b.points[0]);
+            if (closed && a.range[0] === start && b.range[1] === end) shared.push(a.points[0]);
+
+            hits.forEach(hit => {
+                const atShared = shared.some(p =>
+                    Math.hypot(p.x - hit.point.x, p.y - hit.point.y) < MERGE_DISTANCE);
+                if (!atShared) results.push(hit);
+            });
+        }
+    }
+
+    const merged = mergeOverlaps(overlaps, curve);
+    return {
+        points: outsideOverlaps(mergeDuplicates(results), merged).sort((p, q) => p.tA - q.tA),
+        overlaps: merged
+    };
+}
@@ -5,21 +5,110 @@
 
 import * as Bezier from './bezier.js';
 import * as Spline from './spline.js';
-import { ControlPointsManager } from './controlPoints.js';
+import * as Interpolation from './interpolation.js';
+import * as Fitting from './fitting.js';
+import * as Curves from './curves.js';
+import * as Tessellation from './tessellation.js';
+import * as Intersection from './intersection.js';
+import * as Offset from './offset.js';
+import * as Bounds from './bounds.js';
+import * as Conics from './conics.js';
+import * as Subdivision from './subdivision.js';
+import { ControlPointsManager, BezierPathManager } from './controlPoints.js';
 import { Renderer } from './renderer.js';
+import { CurveRenderer3D } from './renderer3D.js';
+
+// Modos de curva interpoladora (passam pelos pontos)
+const INTERPOLATING_MODES = ['catmull-rom', 'cubic-spline', 'tcb', 'hermite'];
+
+// Cor da curva e dos pontos de cada modo
+const MODE_COLORS = {
+    'bezier': '#667eea',
+    'spline': '#764ba2',
+    'catmull-rom': '#e91e63',
+    'cubic-spline': '#009688',
+    'tcb': '#ff5722',
+    'hermite': '#3f51b5',
+    'subdivision': '#607d8b',
+    'path': '#795548'
+};
+
+// Cor das curvas paralelas (offset)
+const OFFSET_COLOR = '#f9a825';
+
+// Cor dos trechos em que as curvas se sobrepõem (mesma das marcas de interseção)
+const OVERLAP_COLOR = '#d32f2f';
+
+// Amostras de cada trecho sobreposto desenhado
+const OVERLAP_SAMPLES = 64;
+
+// Cor da B-spline limite no modo de subdivisão
+const LIMIT_COLOR = '#ff9800';
+
+// Passo da amostragem da B-spline limite (o vetor de nós é inteiro: 32 amostras por vão)
+const LIMIT_STEP = 1 / 32;
+
+// Amostras uniformes de cada função no gráfico das funções base (os nós também são amostrados)
+const BASIS_SAMPLES = 200;
+
+// Duração (ms) de uma passagem da animação da construção por todo o domínio
+const CONSTRUCTION_PERIOD = 4000;
+
+// Quadros por segundo da animação ao longo da curva (o controle de quadro tem essa resolução)
+const MOTION_FPS = 60;
+
+// Maior dimensão (px) da imagem que percorre a curva
+const MOTION_SPRITE_SIZE = 48;
+
+// Amostras do hodógrafo por trecho entre quebras
+const HODOGRAPH_SAMPLES = 64;
+
+// Abaixo dessa fração da maior velocidade amostrada, a tangente é tratada como indefinida
+const STALL_RATIO = 1e-3;
+
+// Modos cujos pontos têm profundidade z (Bézier e B-spline/NURBS são n-dimensionais)
+const SPACE_MODES = ['bezier', 'spline'];
+
+// Amostras da curva na vista 3D
+const SPACE_SAMPLES = 200;
+
+// Cores das caixas envolventes (alinhada aos eixos e orientada)
+const BOX_COLORS = {
+    tight: '#1e88e5',
+    oriented: '#8e24aa'
+};
+
+// Distância máxima (px) do mouse à curva para editar clicando nela
+const CURVE_PICK_DISTANCE = 8;
+
+// Arrastos mais curtos que isso (px) com a caneta criam um nó de canto
+const PEN_MIN_HANDLE = 3;
+
+// Distância máxima (px) do mouse à ponta de uma alça de tangente de Hermite
+const HANDLE_PICK_DISTANCE = 8;
 
 // Estado da aplicação
 const state = {
-    currentMode: 'bezier', // 'bezier' ou 'spline'
+    currentMode: 'bezier', // 'bezier', 'spline', 'catmull-rom', 'cubic-spline', 'tcb', 'hermite', 'subdivision' ou 'path'
     bezierManager: new ControlPointsManager(),
     splineManager: new ControlPointsManager(),
+    catmullRomManager: new ControlPointsManager(),
+    cubicSplineManager: new ControlPointsManager(),
+    tcbManager: new ControlPointsManager(),
+    hermiteManager: new ControlPointsManager(),
+    subdivisionManager: new ControlPointsManager(),
+    pathManager: new BezierPathManager(3),
     renderer: null,
     canvas: null,
+    basisRenderer: null, // Gráfico das funções base, abaixo do canvas
     
     // Configurações de Bézier
     bezierConfig: {
         degree: 3,
         steps: 100,
+        sampling: 'adaptive', // 'adaptive', 'parametric' (uniforme em t) ou 'arc-length'
+        tolerance: 0.5, // Erro máximo em pixels da tesselação adaptativa
+        spacing: 10, // Espaçamento em pixels da amostragem por comprimento de arco
         showControlPolygon: true,
         showPoints: true,
         showWeights: false
@@ -29,10 +118,167 @@ const state = {
     splineConfig: {
         degree: 3,
         step: 0.01,
+        sampling: 'adaptive', // 'adaptive', 'parametric' (uniforme em t) ou 'arc-length'
+        tolerance: 0.5, // Erro máximo em pixels da tesselação adaptativa
+        spacing: 10, // Espaçamento em pixels da amostragem por comprimento de arco
+        showControlPolygon: true,
+        showPoints: true,
+        showWeights: false,
+        knotType: 'clamped', // 'clamped', 'uniform', 'chord', 'centripetal' ou 'custom'
+        closed: false,
+        knots: null, // Vetor de nós explícito (apenas quando knotType === 'custom')
+        showKnots: true,
+        showBezierSegments: false, // Polígono de controle de cada segmento de Bézier
+        freehand: false, // Cliques desenham um traço a ser ajustado
+        fitType: 'bspline', // 'bspline' ou 'bezier-chain'
+        fitTolerance: 3,
+        knotRemovalTolerance: 1 // Desvio máximo (px) na remoção de nós
+    },
+    
+    // Configurações das curvas interpoladoras
+    catmullRomConfig: {
+        alpha: 0.5, // 0: uniforme, 0.5: centrípeta, 1: cordal
+        steps: 30,
+        showControlPolygon: false,
+        showPoints: true
+    },
+    
+    cubicSplineConfig: {
+        endCondition: 'natural', // 'natural' ou 'clamped'
+        steps: 30,
+        showControlPolygon: false,
+        showPoints: true
+    },
+    
+    tcbConfig: {
+        steps: 30,
+        showControlPolygon: false,
+        showPoints: true
+    },
+    
+    hermiteConfig: {
+        steps: 30,
+        showControlPolygon: false,
+        showPoints: true,
+        showTangents: true // Alças p ± m/3 das tangentes
+    },
+    
+    // Curvas de subdivisão
+    subdivisionConfig: {
+        scheme: 'chaikin', // 'chaikin', 'lane-riesenfeld' ou 'four-point'
+        degree: 3, // Grau do Lane-Riesenfeld
+        iterations: 4,
+        closed: false,
+        showLevels: false, // Polígonos dos níveis intermediários
+        showLimit: true, // B-spline uniforme limite (esquemas aproximadores)
         showControlPolygon: true,
         showPoints: true
     },
     
+    // Caminho de Béziers (grau e continuidade padrão ficam no gerenciador)
+    pathConfig: {
+        steps: 30,
+        showControlPolygon: false,
+        showHandles: true,
+        showPoints: true,
+        penTool: false // Cliques criam nós de canto, arrastos criam nós suaves
+    },
+    
+    // Arrasto de nós da spline ({first, last} índices do grupo de nós) e hover
+    knotDrag: null,
+    hoverKnotIndex: -1,
+    
+    // Projeção do mouse na curva ({t, point, distance}) quando está perto dela
+    curveHover: null,
+    
+    // Alça de tangente de Hermite sendo arrastada e em hover ({index, side})
+    hermiteDrag: null,
+    hoverHandle: null,
+    
+    // Traço à mão livre (amostras do mouse) e se está sendo desenhado
+    stroke: null,
+    isDrawingStroke: false,
+    
+    // Caneta do caminho: alça de saída da última âncora ({id, out, joint}),
+    // alça de entrada da âncora inicial ({id, in, joint}, usada ao fechar) e
+    // o nó cuja alça está sendo arrastada ({index, broken})
+    pen: {
+        pending: null,
+        first: null,
+        drag: null
+    },
+    
+    // Ferramentas de análise (comuns a todos os modos)
+    analysis: {
+        showComb: false,
+        combScale: 3000, // Pixels por unidade de curvatura
+        showInflections: false,
+        showOsculating: false,
+        showHodograph: false,
+        showFrenet: false,
+        frenetT: 0.5, // Normalizado em [0, 1] no domínio da curva
+        showSelfIntersections: false,
+        showCurveIntersections: false,
+        showOffset: false,
+        offsetDistance: 20, // Com sinal: lado da normal (-y', x'), à direita do percurso na tela
+        offsetTolerance: 0.5,
+        showExtrema: false,
+        showTightBox: false,
+        showOrientedBox: false,
+        showConvexHull: false // Fecho convexo dos pontos de controle
+    },
+    
+    // Último offset calculado ({key, result}); evita recalcular a cada movimento do mouse
+    offsetCache: null,
+    
+    // Últimas interseções com as outras curvas e auto-interseções ({key, result})
+    intersectionCache: null,
+    selfIntersectionCache: null,
+    
+    // Funções base amostradas ({key, plot}); só mudam com grau, nós e pesos
+    basisCache: null,
+    
+    // Por modo: tabela de comprimento de arco ({key, table}) e polilinha
+    // adaptativa ({key, polyline}), refeitas só quando a geometria muda
+    arcLengthCache: {},
+    polylineCache: {},
+    
+    // Construção de De Casteljau / de Boor: t normalizado em [0, 1] no domínio
+    // da curva e a animação (lastTime: instante do quadro anterior)
+    construction: {
+        show: false,
+        t: 0.5,
+        playing: false,
+        lastTime: null
+    },
+    
+    // Animação ao longo da curva: tempo (ms) dentro da duração, perfil de
+    // velocidade e imagem opcional (sprite, orientada pela tangente)
+    motion: {
+        show: false,
+        playing: false,
+        loop: true,
+        profile: 'arc-length', // 'arc-length', 'parameter' ou 'ease'
+        duration: 3, // Segundos
+        time: 0,
+        lastTime: null,
+        sprite: null
+    },
+    
+    // Forma polar: parâmetros informados (null: nenhum) e rótulos dos pontos
+    blossom: {
+        params: null,
+        showLabels: false
+    },
+    
+    // Modo 3D: vista em perspectiva (criada ao ligar o modo) e arrasto de
+    // profundidade com Shift ({index, startY, startZ})
+    space: {
+        show: false,
+        view: null,
+        depthDrag: null
+    },
+    
     // Mouse
     mouseCoords: { x: 0, y: 0 }
 };
@@ -44,12 +290,17 @@ function init() {
     // Obtém elementos do DOM
     state.canvas = document.getElementById('canvas');
     state.renderer = new Renderer(state.canvas);
+    state.basisRenderer = new Renderer(document.getElementById('basis-canvas'));
     
     // Configura event listeners
     setupCanvasEvents();
     setupTabEvents();
     setupBezierControls();
     setupSplineControls();
+    INTERPOLATING_MODES.forEach(setupInterpolationControls);
+    setupSubdivisionControls();
+    setupPathControls();
+    setupAnalysisControls();
     
     // Renderiza inicial
     render();
@@ -74,11 +325,58 @@ function setupCanvasEvents() {
         
         const manager = getCurrentManager();
         
+        // Desenha traço à mão livre
+        if (state.isDrawingStroke) {
+            state.stroke.push(coords);
+            render();
+            return;
+        }
+        
+        // Arrasta a alça do nó recém-criado pela caneta (Alt quebra a simetria)
+        if (state.pen.drag) {
+            dragPenHandle(coords, e.altKey);
+            render();
+            return;
+        }
+        
+        // Arrasta nó da spline
+        if (state.knotDrag) {
+            dragKnot(coords);
+            render();
+            return;
+        }
+        
+        // Arrasta a alça de tangente de Hermite
+        if (state.hermiteDrag) {
+            dragTangentHandle(coords);
+            updatePointsList();
+            render();
+            return;
+        }
+        
+        // Arrasto de profundidade: subir o mouse aumenta z
+        if (state.space.depthDrag) {
+            const drag = state.space.depthDrag;
+            manager.updateDepth(drag.index, drag.startZ + drag.startY - coords.y);
+            updatePointsList();
+            render();
+            return;
+        }
+        
         // Verifica hover
         if (!manager.isCurrentlyDragging()) {
             const hoverIndex = manager.findPointNear(coords.x, coords.y, 15);
             manager.setHoverPoint(hoverIndex);
-            canvas.style.cursor = hoverIndex >= 0 ? 'pointer' : 'crosshair';
+            state.hoverKnotIndex = hoverIndex < 0 ? findKnotMarkerNear(coords) : -1;
+            state.hoverHandle = hoverIndex < 0 ? findTangentHandleNear(coords) : null;
+            state.curveHover = hoverIndex < 0 && state.hoverKnotIndex < 0 && !state.hoverHandle
+                ? findCurveHit(coords)
+                : null;
+            if (hoverIndex >= 0 || state.hoverKnotIndex >= 0 || state.hoverHandle) {
+                canvas.style.cursor = 'pointer';
+            } else {
+                canvas.style.cursor = state.curveHover ? 'copy' : 'crosshair';
+            }
         }
         
         // Arrasta ponto
@@ -96,10 +394,49 @@ function setupCanvasEvents() {
         const coords = state.renderer.getCanvasCoordinates(e.clientX, e.clientY);
         const manager = getCurrentManager();
         
+        // Inicia traço à mão livre
+        if (state.currentMode === 'spline' && state.splineConfig.freehand) {
+            state.stroke = [coords];
+            state.isDrawingStroke = true;
+            render();
+            return;
+        }
+        
         const pointIndex = manager.findPointNear(coords.x, coords.y, 15);
+        const knotIndex = pointIndex < 0 ? findKnotMarkerNear(coords) : -1;
+        const handle = pointIndex < 0 ? findTangentHandleNear(coords) : null;
+        const curveHit = pointIndex < 0 && knotIndex < 0 && !handle ? findCurveHit(coords) : null;
+        state.curveHover = null;
         
-        if (pointIndex >= 0) {
+        // Caneta: clicar na âncora inicial fecha o caminho
+        if (isPenActive() && pointIndex === 0 && closePenPath()) {
+            return;
+        }
+        
+        if (pointIndex >= 0 && e.shiftKey && hasDepth()) {
+            manager.selectPoint(pointIndex);
+            state.space.depthDrag = {
+                index: pointIndex,
+                startY: coords.y,
+                startZ: manager.getPoint(pointIndex).z ?? 0
+            };
+            updatePointsList();
+        } else if (pointIndex >= 0) {
             manager.startDragging(pointIndex);
+        } else if (knotIndex >= 0) {
+            startKnotDrag(knotIndex);
+        } else if (handle) {
+            manager.selectPoint(handle.index);
+            state.hermiteDrag = handle;
+            updatePointsList();
+        } else if (curveHit) {
+            // Clique sobre a curva: divide/insere em t em vez de acrescentar ponto
+            insertOnCurve(curveHit);
+            return;
+        } else if (state.currentMode === 'path' && manager.closed) {
+            setStatusMessage('path-status', 'O caminho está fechado. Remova o último segmento para continuar desenhando.');
+        } else if (isPenActive()) {
+            placePenNode(coords);
         } else {
             // Adiciona novo ponto
             manager.addPoint(coords.x, coords.y, 1.0);
@@ -112,15 +449,32 @@ function setupCanvasEvents() {
     
     // Mouse up - finaliza arrasto
     canvas.addEventListener('mouseup', () => {
+        if (state.isDrawingStroke) {
+            fitStroke();
+        }
         getCurrentManager().stopDragging();
+        state.knotDrag = null;
+        state.pen.drag = null;
+        state.space.depthDrag = null;
+        state.hermiteDrag = null;
         render();
     });
     
     // Mouse leave - finaliza arrasto e remove hover
     canvas.addEventListener('mouseleave', () => {
+        if (state.isDrawingStroke) {
+            fitStroke();
+        }
         const manager = getCurrentManager();
         manager.stopDragging();
         manager.setHoverPoint(-1);
+        state.knotDrag = null;
+        state.pen.drag = null;
+        state.space.depthDrag = null;
+        state.hermiteDrag = null;
+        state.hoverKnotIndex = -1;
+        state.hoverHandle = null;
+        state.curveHover = null;
         canvas.style.cursor = 'crosshair';
         render();
     });
@@ -145,6 +499,56 @@ function setupTabEvents() {
     });
 }
 
+/**
+ * Projeta um ponto na curva atual
+ * @param {Object} coords - Ponto {x, y}
+ * @returns {Object|null} Projeção {t, point, distance} se o ponto está perto do
+ *                        interior da curva (os extremos ficam para acrescentar pontos)
+ */
+function findCurveHit(coords) {
+    // Na subdivisão a curva é a B-spline limite, sem relação direta com os
+    // índices dos pontos: cliques sempre acrescentam pontos
+    if (state.currentMode === 'subdivision') return null;
+    
+    const curve = getActiveCurve();
+    if (!curve) return null;
+    
+    const hit = Curves.closestPoint(curve, coords);
+    const [start, end] = curve.domain;
+    if (hit.distance > CURVE_PICK_DISTANCE || hit.t <= start || hit.t >= end) return null;
+    return hit;
+}
+
+/**
+ * Edita a curva atual no ponto clicado: divide a Bézier (ou o segmento do
+ * caminho), insere um nó na spline ou um ponto entre os vizinhos nos modos
+ * interpoladores (no Hermite, com a tangente da curva naquele ponto)
+ * @param {Object} hit - Projeção {t, point, distance}
+ */
+function insertOnCurve(hit) {
+    if (state.currentMode === 'bezier') {
+        splitBezierAt(hit.t);
+    } else if (state.currentMode === 'path') {
+        splitPathAt(hit.t);
+    } else if (state.currentMode === 'spline') {
+        insertSplineKnotAt(hit.t);
+    } else {
+        // O segmento floor(t) liga os pontos floor(t) e floor(t) + 1
+        const manager = getCurrentManager();
+        const index = Math.min(Math.floor(hit.t) + 1, manager.getPointCount() - 1);
+        // Hermite: o novo nó recebe a tangente da curva no ponto, reescalada para
+        // o parâmetro local dos dois novos segmentos (que cobrem τ e 1 - τ do
+        // original; usa a média, 1/2). As tangentes dos vizinhos não são
+        // reescaladas, então a curva muda um pouco
+        const first = state.currentMode === 'hermite' ? getActiveCurve().derivatives(hit.t).first : null;
+        manager.selectPoint(manager.insertPoint(index, hit.point.x, hit.point.y, 1.0));
+        if (first) manager.updateTangent(index, { x: first.x / 2, y: first.y / 2 });
+        updatePointsList();
+        updatePointCount();
+        render();
+    }
+}
+
 /**
  * Alterna entre abas
  */
@@ -161,6 +565,7 @@ function switchTab(tab) {
         content.classList.toggle('active', content.id === `${tab}-controls`);
     });
     
+    updatePointsList();
     updatePointCount();
     render();
 }
@@ -214,6 +619,24 @@ function setupBezierControls() {
         render();
     });
     
+    // Amostragem (uniforme em t ou por comprimento de arco)
+    document.getElementById('bezier-sampling').addEventListener('change', (e) => {
+        state.bezierConfig.sampling = e.target.value;
+        render();
+    });
+    
+    document.getElementById('bezier-spacing').addEventListener('input', (e) => {
+        state.bezierConfig.spacing = parseInt(e.target.value);
+        document.getElementById('bezier-spacing-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('bezier-tolerance').addEventListener('input', (e) => {
+        state.bezierConfig.tolerance = parseFloat(e.target.value);
+        document.getElementById('bezier-tolerance-value').textContent = e.target.value;
+        render();
+    });
+    
     // Checkboxes de visualização
     document.getElementById('show-control-polygon-bezier').addEventListener('change', (e) => {
         state.bezierConfig.showControlPolygon = e.target.checked;
@@ -230,6 +653,13 @@ function setupBezierControls() {
         render();
     });
     
+    // Redução de grau
+    document.getElementById('reduce-degree-bezier').addEventListener('click', reduceBezierDegree);
+    
+    // Cônicas exatas
+    document.getElementById('create-conic').addEventListener('click', createConic);
+    document.getElementById('arc-through-points').addEventListener('click', createArcThroughPoints);
+    
     // Exportar JSON
     document.getElementById('export-bezier').addEventListener('click', () => {
         exportToJSON('bezier');
@@ -255,6 +685,7 @@ function setupSplineControls() {
     document.getElementById('clear-points-spline').addEventListener('click', () => {
         if (confirm('Deseja realmente limpar todos os pontos?')) {
             state.splineManager.clearPoints();
+            state.stroke = null;
             updatePointsList();
             updatePointCount();
             render();
@@ -283,6 +714,7 @@ function setupSplineControls() {
     degreeSlider.addEventListener('input', (e) => {
         state.splineConfig.degree = parseInt(e.target.value);
         document.getElementById('spline-degree-value').textContent = e.target.value;
+        resetCustomKnots();
         render();
     });
     
@@ -294,6 +726,24 @@ function setupSplineControls() {
         render();
     });
     
+    // Amostragem (uniforme em t ou por comprimento de arco)
+    document.getElementById('spline-sampling').addEventListener('change', (e) => {
+        state.splineConfig.sampling = e.target.value;
+        render();
+    });
+    
+    document.getElementById('spline-spacing').addEventListener('input', (e) => {
+        state.splineConfig.spacing = parseInt(e.target.value);
+        document.getElementById('spline-spacing-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('spline-tolerance').addEventListener('input', (e) => {
+        state.splineConfig.tolerance = parseFloat(e.target.value);
+        document.getElementById('spline-tolerance-value').textContent = e.target.value;
+        render();
+    });
+    
     // Checkboxes de visualização
     document.getElementById('show-control-polygon-spline').addEventListener('change', (e) => {
         state.splineConfig.showControlPolygon = e.target.checked;
@@ -305,142 +755,2821 @@ function setupSplineControls() {
         render();
     });
     
-    // Exportar JSON
-    document.getElementById('export-spline').addEventListener('click', () => {
-        exportToJSON('spline');
+    document.getElementById('show-weights-spline').addEventListener('change', (e) => {
+        state.splineConfig.showWeights = e.target.checked;
+        render();
     });
-}
-
-/**
- * Obtém o gerenciador de pontos atual
- */
-function getCurrentManager() {
-    return state.currentMode === 'bezier' ? state.bezierManager : state.splineManager;
-}
-
-/**
- * Obtém a configuração atual
- */
-function getCurrentConfig() {
-    return state.currentMode === 'bezier' ? state.bezierConfig : state.splineConfig;
-}
-
-/**
- * Atualiza a lista de pontos na interface
- */
-function updatePointsList() {
-    const manager = getCurrentManager();
-    const listId = state.currentMode === 'bezier' ? 'bezier-points-list' : 'spline-points-list';
-    const listElement = document.getElementById(listId);
     
-    const points = manager.getAllPoints();
+    // Vetor de nós
+    document.getElementById('spline-knot-type').addEventListener('change', (e) => {
+        state.splineConfig.knotType = e.target.value;
+        if (e.target.value !== 'custom') {
+            state.splineConfig.knots = null;
+        }
+        setKnotStatus('');
+        render();
+    });
     
-    if (points.length === 0) {
-        listElement.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">Nenhum ponto adicionado</p>';
-        return;
-    }
+    document.getElementById('spline-closed').addEventListener('change', (e) => {
+        state.splineConfig.closed = e.target.checked;
+        // Um vetor explícito não serve para a curva com pontos repetidos (ou sem eles)
+        resetCustomKnots();
+        render();
+    });
     
-    listElement.innerHTML = points.map((point, index) => `
-        <div class="point-item ${index === manager.getSelectedIndex() ? 'selected' : ''}" data-index="${index}">
-            <div class="point-header">
-                <span>Ponto ${index}</span>
-                <div class="point-actions">
-                    <button class="btn-small btn-select" onclick="window.selectPoint(${index})">Selecionar</button>
-                    <button class="btn-small btn-delete" onclick="window.deletePoint(${index})">Excluir</button>
-                </div>
-            </div>
-            <div class="point-coords">
-                x: ${Math.round(point.x)}, y: ${Math.round(point.y)}
-            </div>
-            ${state.currentMode === 'bezier' ? `
-            <div class="point-weight">
-                <label>Peso:</label>
-                <input type="range" min="0.1" max="5" step="0.1" value="${point.weight}" 
-                       onchange="window.updatePointWeight(${index}, this.value)">
-                <input type="number" min="0.1" max="5" step="0.1" value="${point.weight}" 
-                       onchange="window.updatePointWeight(${index}, this.value)">
-            </div>
-            ` : ''}
-        </div>
-    `).join('');
-}
-
-/**
- * Atualiza contador de pontos
- */
-function updatePointCount() {
-    const count = getCurrentManager().getPointCount();
-    document.getElementById('point-count').textContent = `Pontos: ${count}`;
-}
-
-/**
- * Renderiza a cena
- */
-function render() {
-    const manager = getCurrentManager();
-    const config = getCurrentConfig();
-    const points = manager.getAllPoints();
+    document.getElementById('apply-knots').addEventListener('click', () => {
+        const text = document.getElementById('spline-knots').value;
+        const knots = text.split(/[\s,;]+/).filter(v => v !== '').map(Number);
+        const geometry = getSplineGeometry();
+        const error = Spline.validateKnotVector(knots, geometry.controlPoints.length, geometry.degree);
+        
+        if (error) {
+            setKnotStatus(error, true);
+            return;
+        }
+        
+        state.splineConfig.knotType = 'custom';
+        state.splineConfig.knots = knots;
+        setKnotStatus('Vetor de nós aplicado.');
+        render();
+    });
     
-    // Limpa canvas
-    state.renderer.clear();
+    document.getElementById('reset-knots').addEventListener('click', () => {
+        resetCustomKnots();
+        state.splineConfig.knotType = 'clamped';
+        setKnotStatus('');
+        render();
+    });
     
-    if (points.length === 0) {
-        state.renderer.drawCenteredMessage('Clique no canvas para adicionar pontos');
-        return;
-    }
+    document.getElementById('show-bezier-segments-spline').addEventListener('change', (e) => {
+        state.splineConfig.showBezierSegments = e.target.checked;
+        render();
+    });
     
-    // Desenha a curva
-    if (state.currentMode === 'bezier' && points.length >= 2) {
-        const curvePoints = Bezier.generateBezierCurve(
-            points, 
-            config.steps,
-            config.showWeights
-        );
-        state.renderer.drawCurve(curvePoints, '#667eea', 3);
-    } else if (state.currentMode === 'spline' && points.length >= config.degree + 1) {
-        const curvePoints = Spline.generateBSplineCurve(
-            points,
-            config.degree,
-            config.step
-        );
-        state.renderer.drawCurve(curvePoints, '#764ba2', 3);
-    }
+    document.getElementById('show-knots-spline').addEventListener('change', (e) => {
+        state.splineConfig.showKnots = e.target.checked;
+        render();
+    });
     
-    // Desenha polígono de controle
-    if (config.showControlPolygon && points.length >= 2) {
-        state.renderer.drawControlPolygon(points);
-    }
+    // Ajuste de traço à mão livre
+    document.getElementById('freehand-spline').addEventListener('change', (e) => {
+        state.splineConfig.freehand = e.target.checked;
+        if (!e.target.checked) {
+            state.stroke = null;
+        }
+        render();
+    });
     
-    // Desenha pesos (apenas Bézier)
-    if (state.currentMode === 'bezier' && config.showWeights) {
-        state.renderer.drawAllWeights(points);
-    }
+    document.getElementById('fit-type').addEventListener('change', (e) => {
+        state.splineConfig.fitType = e.target.value;
+    });
     
-    // Desenha pontos de controle
-    if (config.showPoints) {
-        const color = state.currentMode === 'bezier' ? '#667eea' : '#764ba2';
-        state.renderer.drawAllControlPoints(
-            points,
-            manager.getSelectedIndex(),
-            manager.getHoverIndex(),
-            color
-        );
-    }
+    document.getElementById('fit-tolerance').addEventListener('input', (e) => {
+        state.splineConfig.fitTolerance = parseFloat(e.target.value);
+        document.getElementById('fit-tolerance-value').textContent = e.target.value;
+    });
+    
+    // Remoção de nós
+    document.getElementById('knot-removal-tolerance').addEventListener('input', (e) => {
+        state.splineConfig.knotRemovalTolerance = parseFloat(e.target.value);
+        document.getElementById('knot-removal-tolerance-value').textContent = e.target.value;
+    });
+    
+    document.getElementById('remove-knots').addEventListener('click', removeSplineKnots);
+    
+    // Segmentos de Bézier e inserção de nós
+    document.getElementById('decompose-spline').addEventListener('click', decomposeSpline);
+    document.getElementById('merge-spline').addEventListener('click', mergeSpline);
+    document.getElementById('insert-knot').addEventListener('click', insertSplineKnot);
+    
+    // Exportar JSON
+    document.getElementById('export-spline').addEventListener('click', () => {
+        exportToJSON('spline');
+    });
 }
 
 /**
- * Exporta dados para JSON
+ * Configura controles de uma curva interpoladora
+ * Os modos compartilham a mesma estrutura de elementos, com ids sufixados pelo modo
+ * @param {string} mode - 'catmull-rom', 'cubic-spline', 'tcb' ou 'hermite'
  */
-function exportToJSON(mode) {
-    const manager = mode === 'bezier' ? state.bezierManager : state.splineManager;
-    const config = mode === 'bezier' ? state.bezierConfig : state.splineConfig;
+function setupInterpolationControls(mode) {
+    const manager = getManager(mode);
+    const config = getConfig(mode);
     
-    const data = {
-        mode: mode,
-        config: config,
-        points: manager.getAllPoints(),
-        timestamp: new Date().toISOString()
-    };
+    // Adicionar ponto
+    document.getElementById(`add-point-${mode}`).addEventListener('click', () => {
+        const center = state.renderer.getCanvasSize();
+        const x = center.width / 2 + (Math.random() - 0.5) * 100;
+        const y = center.height / 2 + (Math.random() - 0.5) * 100;
+        manager.addPoint(x, y, 1.0);
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    // Limpar pontos
+    document.getElementById(`clear-points-${mode}`).addEventListener('click', () => {
+        if (confirm('Deseja realmente limpar todos os pontos?')) {
+            manager.clearPoints();
+            updatePointsList();
+            updatePointCount();
+            render();
+        }
+    });
+    
+    // Remover último
+    document.getElementById(`remove-last-${mode}`).addEventListener('click', () => {
+        manager.removeLastPoint();
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    // Copiar de Bézier
+    document.getElementById(`copy-from-bezier-${mode}`).addEventListener('click', () => {
+        manager.setAllPoints(state.bezierManager.getAllPoints());
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    // Resolução por segmento
+    document.getElementById(`${mode}-steps`).addEventListener('input', (e) => {
+        config.steps = parseInt(e.target.value);
+        document.getElementById(`${mode}-steps-value`).textContent = e.target.value;
+        render();
+    });
+    
+    // Parâmetros específicos de cada modo
+    if (mode === 'catmull-rom') {
+        document.getElementById('catmull-rom-alpha').addEventListener('change', (e) => {
+            config.alpha = parseFloat(e.target.value);
+            render();
+        });
+    } else if (mode === 'cubic-spline') {
+        document.getElementById('cubic-spline-end').addEventListener('change', (e) => {
+            config.endCondition = e.target.value;
+            render();
+        });
+    } else if (mode === 'hermite') {
+        document.getElementById('show-tangents-hermite').addEventListener('change', (e) => {
+            config.showTangents = e.target.checked;
+            state.hoverHandle = null;
+            render();
+        });
+        
+        // Todas as tangentes voltam a ser automáticas
+        document.getElementById('auto-tangents-hermite').addEventListener('click', () => {
+            manager.clearTangents();
+            updatePointsList();
+            render();
+        });
+    }
+    
+    // Checkboxes de visualização
+    document.getElementById(`show-control-polygon-${mode}`).addEventListener('change', (e) => {
+        config.showControlPolygon = e.target.checked;
+        render();
+    });
+    
+    document.getElementById(`show-points-${mode}`).addEventListener('change', (e) => {
+        config.showPoints = e.target.checked;
+        render();
+    });
+    
+    // Exportar JSON
+    document.getElementById(`export-${mode}`).addEventListener('click', () => {
+        exportToJSON(mode);
+    });
+}
+
+/**
+ * Configura controles das curvas de subdivisão
+ */
+function setupSubdivisionControls() {
+    const manager = state.subdivisionManager;
+    const config = state.subdivisionConfig;
+    
+    document.getElementById('add-point-subdivision').addEventListener('click', () => {
+        const center = state.renderer.getCanvasSize();
+        const x = center.width / 2 + (Math.random() - 0.5) * 100;
+        const y = center.height / 2 + (Math.random() - 0.5) * 100;
+        manager.addPoint(x, y, 1.0);
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    document.getElementById('clear-points-subdivision').addEventListener('click', () => {
+        if (confirm('Deseja realmente limpar todos os pontos?')) {
+            manager.clearPoints();
+            updatePointsList();
+            updatePointCount();
+            render();
+        }
+    });
+    
+    document.getElementById('remove-last-subdivision').addEventListener('click', () => {
+        manager.removeLastPoint();
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    document.getElementById('copy-from-bezier-subdivision').addEventListener('click', () => {
+        manager.setAllPoints(state.bezierManager.getAllPoints());
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    // Esquema, grau do Lane-Riesenfeld e número de passos
+    document.getElementById('subdivision-scheme').addEventListener('change', (e) => {
+        config.scheme = e.target.value;
+        render();
+    });
+    
+    document.getElementById('subdivision-degree').addEventListener('input', (e) => {
+        config.degree = parseInt(e.target.value);
+        document.getElementById('subdivision-degree-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('subdivision-iterations').addEventListener('input', (e) => {
+        config.iterations = parseInt(e.target.value);
+        document.getElementById('subdivision-iterations-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('subdivision-closed').addEventListener('change', (e) => {
+        config.closed = e.target.checked;
+        render();
+    });
+    
+    // Checkboxes de visualização
+    document.getElementById('show-levels-subdivision').addEventListener('change', (e) => {
+        config.showLevels = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-limit-subdivision').addEventListener('change', (e) => {
+        config.showLimit = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-control-polygon-subdivision').addEventListener('change', (e) => {
+        config.showControlPolygon = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-points-subdivision').addEventListener('change', (e) => {
+        config.showPoints = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('export-subdivision').addEventListener('click', () => {
+        exportToJSON('subdivision');
+    });
+}
+
+/**
+ * Configura controles do caminho de Béziers
+ */
+function setupPathControls() {
+    const manager = state.pathManager;
+    const config = state.pathConfig;
+    
+    document.getElementById('clear-points-path').addEventListener('click', () => {
+        if (confirm('Deseja realmente limpar todos os pontos?')) {
+            manager.clearPoints();
+            updatePointsList();
+            updatePointCount();
+            render();
+        }
+    });
+    
+    document.getElementById('remove-last-path').addEventListener('click', () => {
+        manager.removeLastPoint();
+        updatePointsList();
+        updatePointCount();
+        render();
+    });
+    
+    document.getElementById('path-degree').addEventListener('change', (e) => {
+        const degree = parseInt(e.target.value);
+        if (config.penTool && degree !== 3) {
+            // A caneta monta segmentos cúbicos
+            config.penTool = false;
+            document.getElementById('pen-tool-path').checked = false;
+        }
+        changePathDegree(degree);
+    });
+    
+    document.getElementById('pen-tool-path').addEventListener('change', (e) => {
+        config.penTool = e.target.checked;
+        state.pen.pending = null;
+        state.pen.drag = null;
+        if (config.penTool && manager.degree !== 3) {
+            document.getElementById('path-degree').value = '3';
+            changePathDegree(3);
+        }
+        setStatusMessage('path-status', config.penTool
+            ? 'Caneta: clique cria um nó de canto, arrastar cria um nó suave (Alt quebra a simetria); clique na primeira âncora para fechar.'
+            : '');
+    });
+    
+    document.getElementById('path-joint').addEventListener('change', (e) => {
+        manager.defaultJoint = e.target.value;
+    });
+    
+    document.getElementById('apply-joint-path').addEventListener('click', () => {
+        manager.getJointIndices().forEach(a => manager.setJoint(a, manager.defaultJoint));
+        updatePointsList();
+        render();
+    });
+    
+    document.getElementById('path-steps').addEventListener('input', (e) => {
+        config.steps = parseInt(e.target.value);
+        document.getElementById('path-steps-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('show-control-polygon-path').addEventListener('change', (e) => {
+        config.showControlPolygon = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-handles-path').addEventListener('change', (e) => {
+        config.showHandles = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-points-path').addEventListener('change', (e) => {
+        config.showPoints = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('export-path').addEventListener('click', () => {
+        exportToJSON('path');
+    });
+}
+
+/**
+ * Configura as ferramentas de análise da curva
+ */
+function setupAnalysisControls() {
+    document.getElementById('show-curvature-comb').addEventListener('change', (e) => {
+        state.analysis.showComb = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('comb-scale').addEventListener('input', (e) => {
+        state.analysis.combScale = parseInt(e.target.value);
+        document.getElementById('comb-scale-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('show-inflections').addEventListener('change', (e) => {
+        state.analysis.showInflections = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-osculating').addEventListener('change', (e) => {
+        state.analysis.showOsculating = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-self-intersections').addEventListener('change', (e) => {
+        state.analysis.showSelfIntersections = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-curve-intersections').addEventListener('change', (e) => {
+        state.analysis.showCurveIntersections = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-offset').addEventListener('change', (e) => {
+        state.analysis.showOffset = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('offset-distance').addEventListener('input', (e) => {
+        state.analysis.offsetDistance = parseInt(e.target.value);
+        document.getElementById('offset-distance-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('offset-tolerance').addEventListener('input', (e) => {
+        state.analysis.offsetTolerance = parseFloat(e.target.value);
+        document.getElementById('offset-tolerance-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('show-hodograph').addEventListener('change', (e) => {
+        state.analysis.showHodograph = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-frenet').addEventListener('change', (e) => {
+        state.analysis.showFrenet = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('frenet-t').addEventListener('input', (e) => {
+        state.analysis.frenetT = parseFloat(e.target.value);
+        document.getElementById('frenet-t-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('show-construction').addEventListener('change', (e) => {
+        state.construction.show = e.target.checked;
+        if (!e.target.checked) setConstructionPlaying(false);
+        render();
+    });
+    
+    document.getElementById('construction-t').addEventListener('input', (e) => {
+        state.construction.t = parseFloat(e.target.value);
+        document.getElementById('construction-t-value').textContent = e.target.value;
+        render();
+    });
+    
+    document.getElementById('play-construction').addEventListener('click', () => {
+        setConstructionPlaying(!state.construction.playing);
+    });
+    
+    document.getElementById('show-motion').addEventListener('change', (e) => {
+        state.motion.show = e.target.checked;
+        if (!e.target.checked) setMotionPlaying(false);
+        render();
+    });
+    
+    document.getElementById('motion-profile').addEventListener('change', (e) => {
+        state.motion.profile = e.target.value;
+        render();
+    });
+    
+    // A nova duração mantém a fração do tempo já percorrida
+    document.getElementById('motion-duration').addEventListener('input', (e) => {
+        const motion = state.motion;
+        const duration = parseFloat(e.target.value);
+        motion.time *= duration / motion.duration;
+        motion.duration = duration;
+        document.getElementById('motion-duration-value').textContent = e.target.value;
+        updateMotionControls();
+        render();
+    });
+    
+    document.getElementById('motion-frame').addEventListener('input', (e) => {
+        setMotionPlaying(false);
+        state.motion.show = true;
+        document.getElementById('show-motion').checked = true;
+        state.motion.time = parseInt(e.target.value) * 1000 / MOTION_FPS;
+        updateMotionControls();
+        render();
+    });
+    
+    document.getElementById('motion-loop').addEventListener('change', (e) => {
+        state.motion.loop = e.target.checked;
+    });
+    
+    document.getElementById('play-motion').addEventListener('click', () => {
+        setMotionPlaying(!state.motion.playing);
+    });
+    
+    document.getElementById('motion-sprite').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const image = new Image();
+        image.onload = () => {
+            clearMotionSprite();
+            state.motion.sprite = image;
+            setStatusMessage('motion-status', '');
+            render();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(image.src);
+            setStatusMessage('motion-status', 'Não foi possível carregar a imagem.', true);
+        };
+        image.src = URL.createObjectURL(file);
+    });
+    
+    document.getElementById('clear-motion-sprite').addEventListener('click', () => {
+        clearMotionSprite();
+        document.getElementById('motion-sprite').value = '';
+        render();
+    });
+    
+    document.getElementById('show-space').addEventListener('change', (e) => {
+        setSpaceMode(e.target.checked);
+    });
+    
+    document.getElementById('reset-space-camera').addEventListener('click', () => {
+        if (state.space.view) state.space.view.resetCamera();
+    });
+    
+    document.getElementById('evaluate-blossom').addEventListener('click', () => {
+        const text = document.getElementById('blossom-params').value;
+        const params = text.split(/[\s,;]+/).filter(v => v !== '').map(Number);
+        
+        if (params.length === 0 || params.some(isNaN)) {
+            state.blossom.params = null;
+            setStatusMessage('blossom-status', 'Informe os parâmetros como números separados por vírgula.', true);
+            return;
+        }
+        state.blossom.params = params;
+        render();
+    });
+    
+    document.getElementById('clear-blossom').addEventListener('click', () => {
+        state.blossom.params = null;
+        render();
+    });
+    
+    document.getElementById('show-blossom-labels').addEventListener('change', (e) => {
+        state.blossom.showLabels = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-extrema').addEventListener('change', (e) => {
+        state.analysis.showExtrema = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-tight-box').addEventListener('change', (e) => {
+        state.analysis.showTightBox = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-oriented-box').addEventListener('change', (e) => {
+        state.analysis.showOrientedBox = e.target.checked;
+        render();
+    });
+    
+    document.getElementById('show-convex-hull').addEventListener('change', (e) => {
+        state.analysis.showConvexHull = e.target.checked;
+        render();
+    });
+}
+
+/**
+ * Obtém o gerenciador de pontos de um modo
+ * @param {string} mode - Modo da curva
+ */
+function getManager(mode) {
+    return {
+        'bezier': state.bezierManager,
+        'spline': state.splineManager,
+        'catmull-rom': state.catmullRomManager,
+        'cubic-spline': state.cubicSplineManager,
+        'tcb': state.tcbManager,
+        'hermite': state.hermiteManager,
+        'subdivision': state.subdivisionManager,
+        'path': state.pathManager
+    }[mode];
+}
+
+/**
+ * Obtém a configuração de um modo
+ * @param {string} mode - Modo da curva
+ */
+function getConfig(mode) {
+    return {
+        'bezier': state.bezierConfig,
+        'spline': state.splineConfig,
+        'catmull-rom': state.catmullRomConfig,
+        'cubic-spline': state.cubicSplineConfig,
+        'tcb': state.tcbConfig,
+        'hermite': state.hermiteConfig,
+        'subdivision': state.subdivisionConfig,
+        'path': state.pathConfig
+    }[mode];
+}
+
+/**
+ * Obtém o gerenciador de pontos atual
+ */
+function getCurrentManager() {
+    return getManager(state.currentMode);
+}
+
+/**
+ * Obtém a configuração atual
+ */
+function getCurrentConfig() {
+    return getConfig(state.currentMode);
+}
+
+/**
+ * Gera os segmentos de Bézier cúbica de uma curva interpoladora
+ * @param {string} mode - 'catmull-rom', 'cubic-spline', 'tcb' ou 'hermite'
+ * @param {Array} points - Pontos a interpolar
+ * @returns {Array} Segmentos (arrays de 4 pontos de controle)
+ */
+function getInterpolationSegments(mode, points) {
+    const config = getConfig(mode);
+    
+    if (mode === 'catmull-rom') {
+        return Interpolation.catmullRomToBezier(points, config.alpha);
+    }
+    if (mode === 'cubic-spline') {
+        return Interpolation.cubicSplineToBezier(points, config.endCondition);
+    }
+    if (mode === 'hermite') {
+        return Interpolation.hermiteToBezierSegments(points);
+    }
+    return Interpolation.kochanekBartelsToBezier(points);
+}
+
+/**
+ * Monta a geometria da spline ativa: pontos efetivos (repetidos se fechada),
+ * vetor de nós e grau. Um vetor personalizado que não corresponde mais ao
+ * número de pontos é descartado e substituído pelo vetor clamped.
+ * @returns {Object} {controlPoints, knots, degree}
+ */
+function getSplineGeometry() {
+    const config = state.splineConfig;
+    const points = state.splineManager.getAllPoints();
+    const degree = config.degree;
+    const controlPoints = config.closed ? Spline.wrapControlPoints(points, degree) : points;
+    const n = controlPoints.length;
+    
+    if (config.knotType === 'custom' && config.knots) {
+        if (!Spline.validateKnotVector(config.knots, n, degree)) {
+            return { controlPoints, knots: config.knots, degree };
+        }
+        resetCustomKnots();
+        setKnotStatus('Vetor de nós personalizado descartado (pontos ou grau mudaram).', true);
+    }
+    
+    const knots = config.closed
+        ? Spline.generatePeriodicKnotVector(points, degree, config.knotType)
+        : Spline.generateKnotVector(n, degree, config.knotType, controlPoints);
+    
+    return { controlPoints, knots, degree };
+}
+
+/**
+ * Número mínimo de pontos do esquema de subdivisão atual: p + 1 para os que
+ * convergem para a B-spline de grau p (como na aba Spline)
+ * @returns {number} Mínimo de pontos
+ */
+function getSubdivisionMinimum() {
+    const config = state.subdivisionConfig;
+    const degree = Subdivision.limitDegree(config.scheme, config.degree);
+    if (degree === null) return config.closed ? 3 : 2;
+    return degree + 1;
+}
+
+/**
+ * Níveis de refinamento do modo de subdivisão
+ * @returns {Array|null} Polígonos [inicial, passo 1, ..., passo k], ou null se faltam pontos
+ */
+function getSubdivisionLevels() {
+    const config = state.subdivisionConfig;
+    const points = state.subdivisionManager.getAllPoints();
+    if (points.length < getSubdivisionMinimum()) return null;
+    
+    return Subdivision.subdivisionLevels(points, config.scheme, config.iterations, {
+        degree: config.degree,
+        closed: config.closed
+    });
+}
+
+/**
+ * Geometria da B-spline uniforme limite da subdivisão (nós inteiros; periódica
+ * se o polígono é fechado). Os pesos são ignorados, como na própria subdivisão
+ * @returns {Object|null} {controlPoints, knots, degree}, ou null para o esquema
+ *                        de quatro pontos ou se faltam pontos
+ */
+function getSubdivisionLimit() {
+    const config = state.subdivisionConfig;
+    const points = state.subdivisionManager.getAllPoints().map(p => ({ x: p.x, y: p.y }));
+    const degree = Subdivision.limitDegree(config.scheme, config.degree);
+    if (degree === null || points.length < degree + 1) return null;
+    
+    if (config.closed) {
+        return {
+            controlPoints: Spline.wrapControlPoints(points, degree),
+            knots: Spline.generatePeriodicKnotVector(points, degree, 'uniform'),
+            degree
+        };
+    }
+    return {
+        controlPoints: points,
+        knots: Spline.generateKnotVector(points.length, degree, 'uniform'),
+        degree
+    };
+}
+
+/**
+ * Desenha os níveis intermediários da subdivisão e a B-spline limite, e
+ * informa quantos vértices tem o último nível e quão perto ele está do limite
+ * @param {Object|null} curve - Curva do modo atual (a B-spline limite)
+ */
+function drawSubdivision(curve) {
+    if (state.currentMode !== 'subdivision') return;
+    
+    const config = state.subdivisionConfig;
+    const levels = getSubdivisionLevels();
+    if (!levels) {
+        setStatusMessage('subdivision-status', `Adicione ao menos ${getSubdivisionMinimum()} pontos.`);
+        return;
+    }
+    
+    const close = level => config.closed ? [...level, level[0]] : level;
+    if (config.showLevels && levels.length > 1) {
+        state.renderer.drawRefinementLevels(levels.slice(0, -1).map(close), MODE_COLORS.subdivision);
+    }
+    
+    const k = levels.length - 1;
+    const last = levels[k];
+    let message = `Nível ${k}: ${last.length} vértices.`;
+    if (curve) {
+        if (config.showLimit) {
+            const limit = Spline.generateBSplineCurve(curve.controlPoints, curve.degree, LIMIT_STEP, curve.knots);
+            state.renderer.drawCurve(limit, LIMIT_COLOR, 1.5);
+        }
+        // Vértice j comparado com C(ξ_j), ξ_j a sua abscissa de Greville
+        const deviation = Subdivision.distanceToLimit(last, k, curve, config.closed);
+        message += ` Distância à B-spline uniforme de grau ${curve.degree}: ${deviation.toFixed(3)} px`
+            + (config.closed
+                ? ' (cai por 4 a cada nível).'
+                : ' (cai por 2 a cada nível: o polígono aberto começa e termina antes da curva).');
+    } else {
+        message += ' O limite passa pelos pontos originais e não é uma B-spline.';
+    }
+    setStatusMessage('subdivision-status', message);
+}
+
+/**
+ * Monta a representação unificada da curva de um modo (ver curves.js)
+ * @param {string} mode - Modo da curva
+ * @returns {Object|null} Curva, ou null se não há pontos suficientes
+ */
+function getCurve(mode) {
+    const config = getConfig(mode);
+    const points = getManager(mode).getAllPoints();
+    
+    if (mode === 'bezier') {
+        return points.length >= 2 ? Curves.createBezierCurve(points, config.showWeights) : null;
+    }
+    if (mode === 'spline') {
+        if (points.length < config.degree + 1) return null;
+        const geometry = getSplineGeometry();
+        return Curves.createBSplineCurve(geometry.controlPoints, geometry.degree, geometry.knots);
+    }
+    if (mode === 'path') {
+        const segments = state.pathManager.getSegments();
+        return segments.length > 0 ? Curves.createSegmentedCurve(segments) : null;
+    }
+    if (mode === 'subdivision') {
+        // As análises usam o limite analítico (o esquema de quatro pontos não tem um)
+        const limit = getSubdivisionLimit();
+        return limit ? Curves.createBSplineCurve(limit.controlPoints, limit.degree, limit.knots) : null;
+    }
+    if (points.length < 2) return null;
+    return Curves.createSegmentedCurve(getInterpolationSegments(mode, points));
+}
+
+/**
+ * Curva do modo atual
+ * @returns {Object|null} Curva, ou null se não há pontos suficientes
+ */
+function getActiveCurve() {
+    return getCurve(state.currentMode);
+}
+
+/**
+ * Amostra a curva com pontos igualmente espaçados (modo 'arc-length')
+ * O número de intervalos é arredondado para dividir o comprimento em partes iguais
+ * @param {Object} table - Tabela de comprimento de arco da curva
+ * @param {number} spacing - Espaçamento desejado em pixels
+ * @returns {Array} Pontos {x, y, t}
+ */
+function sampleUniformSpacing(table, spacing) {
+    const count = Math.max(1, Math.round(table.total / spacing));
+    return Curves.sampleByArcLength(table, count);
+}
+
+/**
+ * Tabela de comprimento de arco de um modo, reaproveitada enquanto a
+ * geometria não muda (a tabela avalia a derivada em 80 nós por trecho)
+ * @param {string} mode - Modo da curva
+ * @returns {Object|null} Tabela (ver Curves.buildArcLengthTable), ou null sem curva
+ */
+function getArcLengthTable(mode) {
+    const curve = getCurve(mode);
+    if (!curve) return null;
+    
+    const key = JSON.stringify(curveGeometryKey(mode));
+    const cached = state.arcLengthCache[mode];
+    if (cached && cached.key === key) return cached.table;
+    
+    const table = Curves.buildArcLengthTable(curve);
+    state.arcLengthCache[mode] = { key, table };
+    return table;
+}
+
+/**
+ * Polilinha adaptativa de um modo (Bézier ou B-spline), reaproveitada enquanto
+ * a geometria e a tolerância não mudam
+ * @param {string} mode - 'bezier' ou 'spline'
+ * @param {Function} flatten - Calcula a polilinha
+ * @returns {Array} Polilinha {x, y}
+ */
+function getAdaptivePolyline(mode, flatten) {
+    const key = JSON.stringify(curveGeometryKey(mode));
+    const cached = state.polylineCache[mode];
+    if (cached && cached.key === key) return cached.polyline;
+    
+    const polyline = flatten();
+    state.polylineCache[mode] = { key, polyline };
+    return polyline;
+}
+
+/**
+ * Gera a polilinha que representa a curva de um modo, conforme a amostragem
+ * configurada. Usada tanto no desenho quanto na exportação
+ * @param {string} mode - Modo da curva
+ * @param {Object} arcTable - Tabela de comprimento de arco (opcional, reaproveitada se dada)
+ * @returns {Array|null} Pontos da polilinha, ou null se não há pontos suficientes
+ */
+function getCurvePolyline(mode, arcTable = null) {
+    const config = getConfig(mode);
+    const points = getManager(mode).getAllPoints();
+    
+    if (mode === 'path') {
+        const segments = state.pathManager.getSegments();
+        return segments.length > 0 ? Interpolation.sampleBezierSegments(segments, config.steps) : null;
+    }
+    
+    // Subdivisão: o polígono do último nível
+    if (mode === 'subdivision') {
+        const levels = getSubdivisionLevels();
+        if (!levels) return null;
+        const last = levels[levels.length - 1];
+        return config.closed ? [...last, last[0]] : last;
+    }
+    
+    if (mode === 'hermite') {
+        // Avaliada pelas funções base de Hermite (os segmentos de Bézier são a mesma curva)
+        return points.length >= 2 ? Interpolation.sampleHermite(points, config.steps) : null;
+    }
+    
+    if (INTERPOLATING_MODES.includes(mode)) {
+        if (points.length < 2) return null;
+        return Interpolation.sampleBezierSegments(getInterpolationSegments(mode, points), config.steps);
+    }
+    
+    const curve = getCurve(mode);
+    if (!curve) return null;
+    
+    if (config.sampling === 'arc-length') {
+        return sampleUniformSpacing(arcTable || getArcLengthTable(mode), config.spacing);
+    }
+    
+    if (mode === 'bezier') {
+        if (config.sampling === 'adaptive') {
+            // Sem "Mostrar Pesos" a Bézier é desenhada como não-racional
+            const controlPoints = config.showWeights ? points : points.map(p => ({ x: p.x, y: p.y }));
+            return getAdaptivePolyline(mode, () => Tessellation.flattenBezier(controlPoints, config.tolerance));
+        }
+        return Bezier.generateBezierCurve(points, config.steps, config.showWeights);
+    }
+    
+    if (config.sampling === 'adaptive') {
+        return getAdaptivePolyline(mode, () =>
+            Tessellation.flattenBSpline(curve.controlPoints, curve.degree, curve.knots, config.tolerance));
+    }
+    return Spline.generateBSplineCurve(curve.controlPoints, curve.degree, config.step, curve.knots);
+}
+
+/**
+ * Atualiza a leitura do número de segmentos da polilinha desenhada
+ * @param {Array|null} polyline - Polilinha da curva
+ */
+function updateSegmentCount(polyline) {
+    document.getElementById('segment-count').textContent =
+        `Segmentos: ${polyline ? polyline.length - 1 : 0}`;
+}
+
+/**
+ * Atualiza a leitura do comprimento da curva
+ * Durante um arrasto a geometria muda a cada movimento e a tabela de
+ * comprimento de arco não seria reaproveitada: sem tabela já montada, a
+ * leitura usa o comprimento da polilinha desenhada (estimativa, marcada com ≈)
+ * @param {Object|null} curve - Curva do modo atual
+ * @param {Array|null} polyline - Polilinha desenhada
+ * @param {Object|null} table - Tabela de comprimento de arco, se já montada
+ */
+function updateCurveLength(curve, polyline, table) {
+    const element = document.getElementById('curve-length');
+    if (!curve) {
+        element.textContent = 'Comprimento: -';
+    } else if (!table && isDragging() && polyline) {
+        element.textContent = `Comprimento: ≈ ${Curves.polylineLength(polyline).toFixed(1)} px`;
+    } else {
+        element.textContent = `Comprimento: ${(table || getArcLengthTable(state.currentMode)).total.toFixed(1)} px`;
+    }
+}
+
+/**
+ * Indica se algum arrasto (ponto, nó, alça ou profundidade) está em andamento
+ * @returns {boolean}
+ */
+function isDragging() {
+    return getCurrentManager().isCurrentlyDragging() ||
+        Boolean(state.knotDrag || state.pen.drag || state.hermiteDrag || state.space.depthDrag);
+}
+
+/**
+ * Desenha as ferramentas de análise ativas sobre a curva atual
+ */
+function drawAnalysisOverlays() {
+    const analysis = state.analysis;
+    const curve = getActiveCurve();
+    
+    drawIntersections(curve);
+    drawOffset(curve);
+    drawBounds(curve);
+    
+    if (!analysis.showComb && !analysis.showInflections && !analysis.showOsculating) return;
+    if (!curve) return;
+    
+    const samples = Curves.analyzeCurvature(curve, 300);
+    
+    if (analysis.showComb) {
+        state.renderer.drawCurvatureComb(samples, analysis.combScale);
+    }
+    
+    if (analysis.showInflections) {
+        state.renderer.drawInflectionPoints(Curves.findInflections(curve));
+    }
+    
+    if (analysis.showOsculating) {
+        const nearest = Curves.nearestSample(samples, state.mouseCoords);
+        if (nearest) {
+            state.renderer.drawOsculatingCircle(samples.find(s => s.t === nearest.t));
+        }
+    }
+}
+
+/**
+ * Monta o hodógrafo da curva: C'(t) amostrada em cada trecho entre quebras
+ * (a derivada pode saltar nas junções) e, nas curvas não-racionais, os
+ * polígonos dos pontos de controle da derivada (um por segmento de Bézier,
+ * ou o da B-spline de grau p - 1)
+ * @param {Object} curve - Curva (ver curves.js)
+ * @returns {Object} {pieces: [[{t, vector}]], polygons}
+ */
+function getHodograph(curve) {
+    const pieces = curve.breaks.slice(1).map((end, i) => {
+        const start = curve.breaks[i];
+        const samples = [];
+        for (let k = 0; k <= HODOGRAPH_SAMPLES; k++) {
+            // As pontas são amostradas pelo lado de dentro do trecho
+            const u = Math.min(1 - 1e-9, Math.max(1e-9, k / HODOGRAPH_SAMPLES));
+            const t = start + (end - start) * u;
+            samples.push({ t, vector: curve.derivatives(t).first });
+        }
+        return samples;
+    });
+    
+    const weighted = points => points.some(p => (p.weight || 1) !== 1);
+    let polygons = [];
+    if (curve.type === 'bspline') {
+        if (!weighted(curve.controlPoints)) {
+            polygons = [Spline.bSplineHodograph(curve.controlPoints, curve.degree, curve.knots).controlPoints];
+        }
+    } else if (!(curve.rational && weighted(curve.controlPoints))) {
+        polygons = curve.bezierSegments().map(s => Bezier.bezierHodograph(s.points));
+    }
+    
+    return { pieces, polygons };
+}
+
+/**
+ * Desenha o hodógrafo (no canto do canvas) e o referencial de Frenet no t do
+ * controle ou, com o mouse sobre a curva, no ponto projetado
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawFrenet(curve) {
+    const analysis = state.analysis;
+    if ((!analysis.showHodograph && !analysis.showFrenet) || !curve) {
+        setStatusMessage('frenet-status', '');
+        return;
+    }
+    
+    const [start, end] = curve.domain;
+    const t = state.curveHover ? state.curveHover.t : start + (end - start) * analysis.frenetT;
+    const derivatives = curve.derivatives(t);
+    const { first } = derivatives;
+    const speed = Math.hypot(first.x, first.y);
+    
+    const hodograph = getHodograph(curve);
+    const samples = hodograph.pieces.flat();
+    const slowest = samples.reduce((best, s) => {
+        const v = Math.hypot(s.vector.x, s.vector.y);
+        return v < best.speed ? { t: s.t, speed: v } : best;
+    }, { t: start, speed: Infinity });
+    const fastest = Math.max(...samples.map(s => Math.hypot(s.vector.x, s.vector.y)));
+    const stalled = speed <= STALL_RATIO * fastest;
+    
+    const parts = [`t = ${t.toFixed(3)}`, `|C'| = ${speed.toFixed(1)}`];
+    
+    if (analysis.showFrenet) {
+        if (stalled) {
+            state.renderer.drawFrenetFrame(derivatives.point, null, null, 0);
+            parts.push('velocidade nula: tangente indefinida');
+        } else {
+            const tangent = { x: first.x / speed, y: first.y / speed };
+            const kappa = Curves.curvature(derivatives);
+            // A normal de Frenet aponta para o centro de curvatura (lado para o qual a curva gira)
+            const sign = kappa < 0 ? -1 : 1;
+            const normal = { x: -tangent.y * sign, y: tangent.x * sign };
+            state.renderer.drawFrenetFrame(derivatives.point, tangent, normal, kappa);
+            parts.push(Math.abs(kappa) < 1e-6
+                ? 'κ ≈ 0'
+                : `κ = ${kappa.toFixed(4)} (${kappa > 0 ? 'horário' : 'anti-horário'})`);
+        }
+    }
+    
+    if (analysis.showHodograph) {
+        state.renderer.drawHodographInset(hodograph, first, MODE_COLORS[state.currentMode]);
+        parts.push(`|C'| mín. ${slowest.speed.toFixed(1)} em t = ${slowest.t.toFixed(3)}`);
+    }
+    
+    setStatusMessage('frenet-status', parts.join(' · '));
+}
+
+/**
+ * Monta as funções base do modo atual: Bernstein na Bézier e Cox-de Boor
+ * (bSplineBasis) com o vetor de nós ativo na Spline. Com algum peso diferente
+ * de 1, as funções racionais R_i = w_i B_i / Σ w_j B_j: a Spline é sempre uma
+ * NURBS, e a Bézier só usa os pesos com "Mostrar Pesos"
+ * @returns {Object|null} {domain, valid, knots, functions: [{point, samples}], evaluate, label},
+ *                        ou null fora das abas Bézier/Spline ou sem pontos suficientes
+ */
+function getBasisPlot() {
+    const mode = state.currentMode;
+    const config = getCurrentConfig();
+    const points = getCurrentManager().getAllPoints();
+    if (mode !== 'bezier' && mode !== 'spline') return null;
+    if (points.length < (mode === 'bezier' ? 2 : config.degree + 1)) return null;
+    
+    const geometry = mode === 'spline'
+        ? getSplineGeometry()
+        : { controlPoints: points, degree: points.length - 1, knots: null };
+    const { controlPoints, degree, knots } = geometry;
+    const weighted = mode === 'spline' || config.showWeights;
+    const rational = weighted && controlPoints.some(p => (p.weight || 1) !== 1);
+    const weights = controlPoints.map(p => rational ? p.weight || 1 : 1);
+    
+    const key = JSON.stringify([mode, degree, knots, weights, config.closed]);
+    if (state.basisCache && state.basisCache.key === key) return state.basisCache.plot;
+    
+    // Valores de todas as funções em t (fora do suporte [u_j, u_{j+p+1}] a B-spline é nula)
+    const evaluate = t => {
+        const values = controlPoints.map((_, j) => {
+            if (!knots) return weights[j] * Bezier.bernsteinPolynomial(degree, j, t);
+            if (t < knots[j] || t > knots[j + degree + 1]) return 0;
+            return weights[j] * Spline.bSplineBasis(j, degree, t, knots);
+        });
+        if (!rational) return values;
+        const sum = values.reduce((acc, v) => acc + v, 0);
+        return values.map(v => sum > 0 ? v / sum : 0);
+    };
+    
+    const domain = knots ? [knots[0], knots[knots.length - 1]] : [0, 1];
+    const params = [];
+    for (let i = 0; i <= BASIS_SAMPLES; i++) {
+        params.push(domain[0] + (domain[1] - domain[0]) * i / BASIS_SAMPLES);
+    }
+    if (knots) params.push(...knots);
+    params.sort((a, b) => a - b);
+    
+    const rows = params.map(evaluate);
+    // Spline fechada: os pontos repetidos no fim são os primeiros de novo
+    const functions = controlPoints.map((_, j) => ({
+        point: j % points.length,
+        samples: params.map((t, k) => ({ t, value: rows[k][j] }))
+    }));
+    
+    const family = knots ? `B-spline de grau ${degree} (nós ${config.knotType})` : `Bernstein de grau ${degree}`;
+    const plot = {
+        domain,
+        valid: knots ? [knots[degree], knots[controlPoints.length]] : [0, 1],
+        knots,
+        functions,
+        evaluate,
+        label: rational ? `${family}, racionais` : family
+    };
+    state.basisCache = { key, plot };
+    return plot;
+}
+
+/**
+ * Desenha o gráfico das funções base com o t atual (projeção do mouse na
+ * curva ou, sem ela, o t da construção) e a função do ponto em hover (ou
+ * selecionado) em destaque
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawBasisPlot(curve) {
+    const renderer = state.basisRenderer;
+    const caption = document.getElementById('basis-caption');
+    renderer.clear();
+    
+    const plot = getBasisPlot();
+    if (!plot || !curve) {
+        renderer.drawCenteredMessage(state.currentMode === 'bezier' || state.currentMode === 'spline'
+            ? 'Adicione pontos para ver as funções base'
+            : 'Funções base: abas Bézier e Spline');
+        caption.textContent = '';
+        return;
+    }
+    
+    const manager = getCurrentManager();
+    const hover = manager.getHoverIndex();
+    const highlight = hover >= 0 ? hover : manager.getSelectedIndex();
+    const [start, end] = curve.domain;
+    const t = state.curveHover ? state.curveHover.t : start + (end - start) * state.construction.t;
+    const values = plot.evaluate(t);
+    
+    renderer.drawBasisFunctions(plot, { t, values, highlight });
+    
+    const parts = [plot.label, `t = ${t.toFixed(3)}`];
+    if (highlight >= 0) {
+        const sum = values.reduce((acc, v, j) => acc + (plot.functions[j].point === highlight ? v : 0), 0);
+        parts.push(`P${highlight}: ${sum.toFixed(3)}`);
+    }
+    caption.textContent = parts.join(' · ');
+}
+
+/**
+ * Calcula a construção do ponto da curva atual no t da visualização: de Boor
+ * no span ativo da spline, De Casteljau no segmento de Bézier ativo nos demais
+ * modos (a Bézier única, os segmentos do caminho e das curvas interpoladoras)
+ * @param {Object} curve - Curva do modo atual
+ * @returns {Object} {levels, tangent, label}
+ */
+function getConstruction(curve) {
+    const [start, end] = curve.domain;
+    const t = start + (end - start) * state.construction.t;
+    const first = curve.derivatives(t).first;
+    const speed = Math.hypot(first.x, first.y);
+    const tangent = speed > 1e-12 ? { x: first.x / speed, y: first.y / speed } : null;
+    
+    if (state.currentMode === 'spline') {
+        const { span, levels } = Spline.deBoorLevels(curve.controlPoints, t, curve.degree, curve.knots);
+        return { levels, tangent, label: `de Boor · span ${span} · t = ${t.toFixed(3)}` };
+    }
+    
+    const segments = curve.bezierSegments();
+    const index = Math.max(0, segments.findIndex(s => t <= s.range[1]));
+    const { points, range } = segments[index];
+    const u = (t - range[0]) / (range[1] - range[0]);
+    const label = segments.length > 1
+        ? `De Casteljau · segmento ${index} · u = ${u.toFixed(3)}`
+        : `De Casteljau · t = ${t.toFixed(3)}`;
+    return { levels: Bezier.deCasteljauLevels(points, u), tangent, label };
+}
+
+/**
+ * Desenha a construção do ponto da curva atual, se ativa
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawConstruction(curve) {
+    if (!state.construction.show || !curve) {
+        setStatusMessage('construction-status', '');
+        return;
+    }
+    
+    const construction = getConstruction(curve);
+    state.renderer.drawConstruction(construction.levels, construction.tangent);
+    setStatusMessage('construction-status', `${construction.label} · ${construction.levels.length - 1} nível(is)`);
+}
+
+/**
+ * Quadro atual da animação ao longo da curva e total de quadros
+ * @returns {Object} {frame, frames}
+ */
+function getMotionFrame() {
+    const motion = state.motion;
+    const frames = Math.round(motion.duration * MOTION_FPS);
+    return { frame: Math.min(frames, Math.floor(motion.time * MOTION_FPS / 1000 + 1e-9)), frames };
+}
+
+/**
+ * Sincroniza o controle de quadro com o tempo da animação
+ */
+function updateMotionControls() {
+    const { frame, frames } = getMotionFrame();
+    const slider = document.getElementById('motion-frame');
+    slider.max = frames;
+    slider.value = frame;
+    document.getElementById('motion-frame-value').textContent = `${frame} / ${frames}`;
+}
+
+/**
+ * Desenha o marcador (ou a imagem) no quadro atual, orientado pela tangente.
+ * A posição depende só do quadro, então reprodução e controle de quadro coincidem
+ * @param {Object|null} curve - Curva do modo atual
+ * @param {Object|null} table - Tabela de comprimento de arco da curva
+ */
+function drawMotion(curve, table) {
+    const motion = state.motion;
+    if (!motion.show || !curve) {
+        setStatusMessage('motion-status', '');
+        return;
+    }
+    
+    const { frame, frames } = getMotionFrame();
+    const t = Curves.parameterAtProgress(table, frame / frames, motion.profile);
+    const { point, first } = curve.derivatives(t);
+    
+    // Onde a velocidade se anula (cúspide), a direção vem da corda em volta de t
+    let direction = first;
+    if (Math.hypot(first.x, first.y) < 1e-9) {
+        const [start, end] = curve.domain;
+        const delta = 1e-4 * (end - start);
+        const a = curve.evaluate(Math.max(start, t - delta));
+        const b = curve.evaluate(Math.min(end, t + delta));
+        direction = { x: b.x - a.x, y: b.y - a.y };
+    }
+    
+    state.renderer.drawMotionMarker(point, Math.atan2(direction.y, direction.x), motion.sprite, MOTION_SPRITE_SIZE);
+    setStatusMessage(
+        'motion-status',
+        `Quadro ${frame}/${frames} · t = ${t.toFixed(3)} · s = ${Curves.lengthAtParameter(table, t).toFixed(1)} px`
+    );
+}
+
+/**
+ * Inicia ou pausa a animação ao longo da curva (ligar também mostra o
+ * marcador; sem repetição, reproduzir no último quadro recomeça do início)
+ * @param {boolean} playing - Se deve animar
+ */
+function setMotionPlaying(playing) {
+    const motion = state.motion;
+    motion.playing = playing;
+    motion.lastTime = null;
+    document.getElementById('play-motion').textContent = playing ? 'Pausar' : 'Reproduzir';
+    
+    if (playing) {
+        if (motion.time >= motion.duration * 1000) motion.time = 0;
+        motion.show = true;
+        document.getElementById('show-motion').checked = true;
+        requestAnimationFrame(animateMotion);
+    }
+}
+
+/**
+ * Quadro da animação: avança o tempo e, no fim, repete ou para no último quadro
+ * @param {number} time - Instante do quadro (ms)
+ */
+function animateMotion(time) {
+    const motion = state.motion;
+    if (!motion.playing) return;
+    
+    if (motion.lastTime !== null) {
+        const total = motion.duration * 1000;
+        motion.time += time - motion.lastTime;
+        if (motion.time >= total) {
+            if (motion.loop) {
+                motion.time %= total;
+            } else {
+                motion.time = total;
+                setMotionPlaying(false);
+            }
+        }
+        updateMotionControls();
+    }
+    motion.lastTime = time;
+    render();
+    if (motion.playing) requestAnimationFrame(animateMotion);
+}
+
+/**
+ * Descarta a imagem do marcador, liberando a URL do arquivo
+ */
+function clearMotionSprite() {
+    if (state.motion.sprite) {
+        URL.revokeObjectURL(state.motion.sprite.src);
+        state.motion.sprite = null;
+    }
+}
+
+/**
+ * Se os pontos do modo atual têm profundidade editável
+ * @returns {boolean}
+ */
+function hasDepth() {
+    return state.space.show && SPACE_MODES.includes(state.currentMode);
+}
+
+/**
+ * Liga ou desliga o modo 3D. A vista é criada ao ligar e descartada ao
+ * desligar (o laço de renderização do Three.js não fica rodando escondido);
+ * as profundidades dos pontos são mantidas
+ * @param {boolean} show - Se o modo deve ficar ligado
+ */
+function setSpaceMode(show) {
+    const space = state.space;
+    const panel = document.getElementById('space-panel');
+    const container = document.getElementById('space-view');
+    space.show = show;
+    panel.hidden = !show;
+    
+    if (show && !space.view) {
+        try {
+            space.view = new CurveRenderer3D(container);
+        } catch (error) {
+            console.error('Erro ao criar a vista 3D:', error);
+            container.innerHTML = '';
+        }
+    } else if (!show && space.view) {
+        space.view.dispose();
+        space.view = null;
+        container.innerHTML = '';
+    }
+    
+    updatePointsList();
+    render();
+}
+
+/**
+ * Desenha a curva atual na vista 3D, com o polígono de controle e os prumos
+ * dos pontos até o plano do canvas
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawSpace(curve) {
+    const space = state.space;
+    if (!space.show) {
+        setStatusMessage('space-status', '');
+        return;
+    }
+    if (!space.view) {
+        setStatusMessage('space-status', 'Não foi possível iniciar a vista 3D (Three.js não carregado).', true);
+        return;
+    }
+    
+    const manager = getCurrentManager();
+    const points = manager.getAllPoints();
+    const samples = curve ? Curves.sampleParameters(curve, SPACE_SAMPLES).map(t => curve.evaluate(t)) : [];
+    const controlPoints = hasDepth() ? points : points.map(p => ({ x: p.x, y: p.y }));
+    
+    const ratio = state.renderer.pixelRatio;
+    space.view.setFrame(state.canvas.width / ratio, state.canvas.height / ratio);
+    space.view.updateCurve(samples, controlPoints, MODE_COLORS[state.currentMode], manager.getSelectedIndex());
+    
+    if (!SPACE_MODES.includes(state.currentMode)) {
+        setStatusMessage('space-status', 'Esta curva é plana (z = 0): a profundidade é editável nas abas Bézier e Spline.');
+    } else if (samples.length >= 2) {
+        let length = 0;
+        for (let i = 1; i < samples.length; i++) {
+            length += Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y,
+                (samples[i].z ?? 0) - (samples[i - 1].z ?? 0));
+        }
+        setStatusMessage('space-status', `Comprimento 3D ≈ ${length.toFixed(1)} px`);
+    } else {
+        setStatusMessage('space-status', '');
+    }
+}
+
+/**
+ * Desenha a forma polar da curva atual nos parâmetros informados, com os
+ * níveis da avaliação, e os argumentos polares dos pontos de controle
+ * (abas Bézier e Spline)
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawBlossom(curve) {
+    const { params, showLabels } = state.blossom;
+    if (!params && !showLabels) {
+        setStatusMessage('blossom-status', '');
+        return;
+    }
+    if (!curve || (curve.type !== 'bezier' && curve.type !== 'bspline')) {
+        setStatusMessage('blossom-status', 'A forma polar está disponível nas abas Bézier e Spline.', true);
+        return;
+    }
+    
+    // Bézier sem "Mostrar Pesos" é não-racional: os pontos do segmento já vêm sem pesos
+    const spline = curve.type === 'bspline';
+    const points = spline ? curve.controlPoints : curve.bezierSegments()[0].points;
+    const degree = spline ? curve.degree : points.length - 1;
+    const format = u => `${+u.toFixed(3)}`;
+    
+    if (showLabels) {
+        // Na spline fechada, os pontos repetidos no fim coincidem com os primeiros
+        const count = getCurrentManager().getPointCount();
+        const labels = points.slice(0, count).map((p, i) => {
+            const args = spline
+                ? curve.knots.slice(i + 1, i + degree + 1)
+                : [...new Array(degree - i).fill(0), ...new Array(i).fill(1)];
+            return `f(${args.map(format).join(', ')})`;
+        });
+        state.renderer.drawBlossomLabels(points.slice(0, count), labels);
+    }
+    
+    if (!params) {
+        setStatusMessage('blossom-status', '');
+        return;
+    }
+    if (params.length !== degree) {
+        setStatusMessage('blossom-status', `A curva tem grau ${degree}: informe ${degree} parâmetro(s).`, true);
+        return;
+    }
+    
+    const result = spline
+        ? Spline.bSplineBlossomLevels(points, params, degree, curve.knots)
+        : { levels: Bezier.bezierBlossomLevels(points, params) };
+    const point = result.levels[result.levels.length - 1][0];
+    state.renderer.drawConstruction(result.levels, null);
+    
+    const parts = [`f(${params.map(format).join(', ')}) = (${point.x.toFixed(1)}, ${point.y.toFixed(1)})`];
+    if (spline) {
+        parts.push(`span ${result.span} [${format(curve.knots[result.span])}, ${format(curve.knots[result.span + 1])})`);
+    }
+    if (params.every(t => t === params[0])) {
+        parts.push('ponto da curva');
+    }
+    setStatusMessage('blossom-status', parts.join(' · '));
+}
+
+/**
+ * Inicia ou pausa a animação da construção (ligar a animação também mostra a construção)
+ * @param {boolean} playing - Se deve animar
+ */
+function setConstructionPlaying(playing) {
+    const construction = state.construction;
+    construction.playing = playing;
+    construction.lastTime = null;
+    document.getElementById('play-construction').textContent = playing ? 'Pausar' : 'Reproduzir';
+    
+    if (playing) {
+        construction.show = true;
+        document.getElementById('show-construction').checked = true;
+        requestAnimationFrame(animateConstruction);
+    }
+}
+
+/**
+ * Quadro da animação: avança t proporcionalmente ao tempo e volta ao início no fim do domínio
+ * @param {number} time - Instante do quadro (ms)
+ */
+function animateConstruction(time) {
+    const construction = state.construction;
+    if (!construction.playing) return;
+    
+    if (construction.lastTime !== null) {
+        construction.t = (construction.t + (time - construction.lastTime) / CONSTRUCTION_PERIOD) % 1;
+        const value = construction.t.toFixed(3);
+        document.getElementById('construction-t').value = value;
+        document.getElementById('construction-t-value').textContent = value;
+    }
+    construction.lastTime = time;
+    render();
+    requestAnimationFrame(animateConstruction);
+}
+
+/**
+ * Desenha o fecho convexo dos pontos de controle, as caixas envolventes e os
+ * extremos da curva atual
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawBounds(curve) {
+    const analysis = state.analysis;
+    const parts = [];
+    
+    if (analysis.showConvexHull) {
+        state.renderer.drawConvexHull(Bounds.convexHull(getCurrentManager().getAllPoints()));
+    }
+    
+    if (curve && analysis.showTightBox) {
+        const box = Bounds.tightBoundingBox(curve);
+        state.renderer.drawBoundingBox([
+            { x: box.minX, y: box.minY },
+            { x: box.maxX, y: box.minY },
+            { x: box.maxX, y: box.maxY },
+            { x: box.minX, y: box.maxY }
+        ], BOX_COLORS.tight);
+        parts.push(`Caixa: ${(box.maxX - box.minX).toFixed(1)} × ${(box.maxY - box.minY).toFixed(1)} px`);
+    }
+    
+    if (curve && analysis.showOrientedBox) {
+        const box = Bounds.orientedBoundingBox(curve);
+        state.renderer.drawBoundingBox(box.corners, BOX_COLORS.oriented);
+        parts.push(`Orientada: ${box.width.toFixed(1)} × ${box.height.toFixed(1)} px a ${(box.angle * 180 / Math.PI).toFixed(1)}°`);
+    }
+    
+    if (curve && analysis.showExtrema) {
+        const extrema = Bounds.curveExtrema(curve);
+        state.renderer.drawExtremaMarkers(extrema);
+        parts.push(`${extrema.length} extremo(s)`);
+    }
+    
+    setStatusMessage('bounds-status', parts.join(' · '));
+}
+
+/**
+ * Modos diferentes do atual que têm curva
+ * @returns {Array} Modos
+ */
+function getOtherCurveModes() {
+    return Object.keys(MODE_COLORS).filter(mode => mode !== state.currentMode && getCurve(mode));
+}
+
+/**
+ * Desenha esmaecidas as curvas dos outros modos (referência para as interseções)
+ */
+function drawReferenceCurves() {
+    if (!state.analysis.showCurveIntersections) return;
+    
+    getOtherCurveModes().forEach(mode => {
+        state.renderer.drawCurve(getCurvePolyline(mode), MODE_COLORS[mode] + '66', 2);
+    });
+}
+
+/**
+ * Calcula e marca as auto-interseções da curva atual e as interseções com as
+ * curvas dos outros modos
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawIntersections(curve) {
+    const analysis = state.analysis;
+    const parts = [];
+    
+    if (analysis.showCurveIntersections && curve) {
+        let count = 0;
+        let overlapCount = 0;
+        getCurveIntersections(curve).forEach(({ points, overlaps }) => {
+            drawOverlaps(curve, overlaps);
+            state.renderer.drawIntersectionMarkers(points);
+            count += points.length;
+            overlapCount += overlaps.length;
+        });
+        parts.push(`${count} interseção(ões) com outras curvas` +
+            (overlapCount > 0 ? ` · ${overlapCount} trecho(s) sobreposto(s)` : ''));
+    }
+    
+    if (analysis.showSelfIntersections && curve) {
+        const { points, overlaps } = getSelfIntersections(curve);
+        drawOverlaps(curve, overlaps);
+        state.renderer.drawIntersectionMarkers(points);
+        parts.push(`${points.length} auto-interseção(ões)` +
+            (overlaps.length > 0 ? ` · ${overlaps.length} trecho(s) sobreposto(s)` : ''));
+    }
+    
+    setStatusMessage('intersection-status', parts.join(' · '));
+}
+
+/**
+ * Chave da geometria de um modo para os caches das análises: pontos e configuração
+ * @param {string} mode - Modo da curva
+ * @returns {Array} Chave (serializada com JSON.stringify)
+ */
+function curveGeometryKey(mode) {
+    return [mode, getManager(mode).getAllPoints(), getConfig(mode)];
+}
+
+/**
+ * Interseções da curva atual com as curvas dos outros modos
+ * O resultado é reaproveitado enquanto a geometria das curvas não muda
+ * @param {Object} curve - Curva do modo atual
+ * @returns {Array} Um resultado de Intersection.intersectCurves por modo
+ */
+function getCurveIntersections(curve) {
+    const modes = getOtherCurveModes();
+    const key = JSON.stringify([state.currentMode, ...modes].map(curveGeometryKey));
+    if (!state.intersectionCache || state.intersectionCache.key !== key) {
+        state.intersectionCache = {
+            key,
+            result: modes.map(mode => Intersection.intersectCurves(curve, getCurve(mode)))
+        };
+    }
+    return state.intersectionCache.result;
+}
+
+/**
+ * Auto-interseções da curva atual, reaproveitadas enquanto a geometria não muda
+ * @param {Object} curve - Curva do modo atual
+ * @returns {Object} Resultado de Intersection.selfIntersections
+ */
+function getSelfIntersections(curve) {
+    const key = JSON.stringify(curveGeometryKey(state.currentMode));
+    if (!state.selfIntersectionCache || state.selfIntersectionCache.key !== key) {
+        state.selfIntersectionCache = { key, result: Intersection.selfIntersections(curve) };
+    }
+    return state.selfIntersectionCache.result;
+}
+
+/**
+ * Destaca os trechos da curva atual sobrepostos a outra curva (ou a ela mesma)
+ * @param {Object} curve - Curva do modo atual
+ * @param {Array} overlaps - Sobreposições {rangeA, rangeB, point}
+ */
+function drawOverlaps(curve, overlaps) {
+    overlaps.forEach(({ rangeA }) => {
+        const [t0, t1] = rangeA;
+        const polyline = [];
+        for (let i = 0; i <= OVERLAP_SAMPLES; i++) {
+            const point = curve.evaluate(t0 + (t1 - t0) * i / OVERLAP_SAMPLES);
+            if (point) polyline.push(point);
+        }
+        state.renderer.drawCurve(polyline, OVERLAP_COLOR + '99', 6);
+    });
+}
+
+/**
+ * Calcula o offset de um modo com a distância e a tolerância configuradas
+ * O resultado é reaproveitado enquanto pontos, configuração e parâmetros não mudam
+ * @param {string} mode - Modo da curva
+ * @returns {Object|null} Resultado de Offset.offsetCurve, ou null sem curva
+ */
+function getOffset(mode) {
+    const curve = getCurve(mode);
+    if (!curve) return null;
+    
+    const { offsetDistance, offsetTolerance } = state.analysis;
+    const key = JSON.stringify([mode, getManager(mode).getAllPoints(), getConfig(mode), offsetDistance, offsetTolerance]);
+    if (!state.offsetCache || state.offsetCache.key !== key) {
+        state.offsetCache = { key, result: Offset.offsetCurve(curve, offsetDistance, offsetTolerance) };
+    }
+    return state.offsetCache.result;
+}
+
+/**
+ * Desenha o offset da curva atual
+ * @param {Object|null} curve - Curva do modo atual
+ */
+function drawOffset(curve) {
+    if (!state.analysis.showOffset || !curve) {
+        setStatusMessage('offset-status', '');
+        return;
+    }
+    
+    const offset = getOffset(state.currentMode);
+    const tolerance = state.analysis.offsetTolerance;
+    offset.chains.forEach(chain => {
+        state.renderer.drawCurve(Tessellation.flattenBezierSegments(chain, tolerance), OFFSET_COLOR, 2);
+    });
+    
+    const cubicCount = offset.chains.reduce((sum, chain) => sum + chain.length, 0);
+    setStatusMessage(
+        'offset-status',
+        `${cubicCount} cúbica(s) em ${offset.chains.length} trecho(s) · ` +
+        `${offset.cusps} cúspide(s) · ${offset.trimmed} trecho(s) recortado(s)`
+    );
+}
+
+/**
+ * Descarta o vetor de nós personalizado
+ */
+function resetCustomKnots() {
+    if (state.splineConfig.knotType === 'custom') {
+        state.splineConfig.knotType = 'clamped';
+    }
+    state.splineConfig.knots = null;
+    state.knotDrag = null;
+}
+
+/**
+ * Calcula os marcadores de nós sobre a curva (um por valor distinto no domínio)
+ * @returns {Array} Marcadores {x, y, value, first, last, multiplicity, draggable}
+ */
+function getKnotMarkers() {
+    const geometry = getSplineGeometry();
+    const { controlPoints, knots, degree } = geometry;
+    const n = controlPoints.length;
+    const markers = [];
+    
+    if (n < degree + 1) return markers;
+    
+    let i = degree;
+    while (i <= n) {
+        let last = i;
+        while (last + 1 <= n && knots[last + 1] === knots[i]) {
+            last++;
+        }
+        // Estende o grupo para incluir nós repetidos fora do domínio (multiplicidade real)
+        let first = i;
+        while (first - 1 >= 0 && knots[first - 1] === knots[i]) {
+            first--;
+        }
+        let end = last;
+        while (end + 1 < knots.length && knots[end + 1] === knots[i]) {
+            end++;
+        }
+        
+        const point = Spline.evaluateBSpline(controlPoints, knots[i], degree, knots);
+        if (point) {
+            markers.push({
+                x: point.x,
+                y: point.y,
+                value: knots[i],
+                first: first,
+                last: end,
+                multiplicity: end - first + 1,
+                draggable: i > degree && last < n
+            });
+        }
+        i = last + 1;
+    }
+    
+    return markers;
+}
+
+/**
+ * Procura um marcador de nó arrastável próximo de uma coordenada
+ * @param {Object} coords - {x, y}
+ * @returns {number} Índice do marcador ou -1
+ */
+function findKnotMarkerNear(coords) {
+    if (state.currentMode !== 'spline' || !state.splineConfig.showKnots) return -1;
+    
+    const markers = getKnotMarkers();
+    for (let i = markers.length - 1; i >= 0; i--) {
+        const m = markers[i];
+        if (m.draggable && Math.hypot(m.x - coords.x, m.y - coords.y) <= 8) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Inicia o arrasto de um marcador de nó, tornando o vetor de nós explícito
+ * Na spline fechada guarda o período N (número de pontos): o vetor periódico
+ * tem u_{i+N} = u_i + T e as cópias do nó precisam acompanhar o arrasto
+ * @param {number} markerIndex - Índice do marcador
+ */
+function startKnotDrag(markerIndex) {
+    const geometry = getSplineGeometry();
+    const marker = getKnotMarkers()[markerIndex];
+    
+    state.splineConfig.knots = [...geometry.knots];
+    state.splineConfig.knotType = 'custom';
+    state.knotDrag = {
+        first: marker.first,
+        last: marker.last,
+        period: state.splineConfig.closed ? state.splineManager.getAllPoints().length : 0
+    };
+}
+
+/**
+ * Move o grupo de nós arrastado para o parâmetro da curva mais próximo do mouse,
+ * mantendo-o entre os nós vizinhos. Na spline fechada o mesmo deslocamento é
+ * aplicado às cópias periódicas do grupo, para a curva continuar fechada e suave
+ * @param {Object} coords - {x, y}
+ */
+function dragKnot(coords) {
+    const { controlPoints, knots, degree } = getSplineGeometry();
+    const { first, last, period } = state.knotDrag;
+    const lo = knots[first - 1];
+    const hi = knots[last + 1];
+    const margin = (hi - lo) * 0.01;
+    const samples = 60;
+    
+    let bestValue = knots[first];
+    let bestDistance = Infinity;
+    for (let i = 0; i <= samples; i++) {
+        const u = lo + margin + (hi - lo - 2 * margin) * i / samples;
+        const p = Spline.evaluateBSpline(controlPoints, u, degree, knots);
+        const d = p ? Math.hypot(p.x - coords.x, p.y - coords.y) : Infinity;
+        if (d < bestDistance) {
+            bestDistance = d;
+            bestValue = u;
+        }
+    }
+    
+    const shift = bestValue - knots[first];
+    for (let i = first; i <= last; i++) {
+        if (!period) {
+            state.splineConfig.knots[i] = bestValue;
+            continue;
+        }
+        for (let j = i % period; j < knots.length; j += period) {
+            state.splineConfig.knots[j] += shift;
+        }
+    }
+}
+
+/**
+ * Ajusta uma B-spline (ou cadeia de Béziers) ao traço desenhado e substitui
+ * os pontos da spline pelo resultado, com o vetor de nós ajustado
+ */
+function fitStroke() {
+    const config = state.splineConfig;
+    const samples = Fitting.simplifyStroke(state.stroke, 2);
+    const degree = config.degree;
+    state.isDrawingStroke = false;
+    
+    if (samples.length < 3) {
+        setFitReport('Traço muito curto para ajustar.', true);
+        render();
+        return;
+    }
+    
+    let fit;
+    let controlPoints;
+    let knots;
+    
+    if (config.fitType === 'bezier-chain') {
+        fit = Fitting.fitBezierChain(samples, degree, config.fitTolerance);
+        ({ controlPoints, knots } = Spline.bezierChainToBSpline(fit.segments, degree));
+    } else {
+        fit = Fitting.fitBSplineToTolerance(samples, degree, config.fitTolerance);
+        if (!fit) {
+            setFitReport('Não foi possível ajustar o traço.', true);
+            render();
+            return;
+        }
+        controlPoints = fit.controlPoints;
+        // Mesma escala do vetor clamped uniforme (0 a n - p)
+        knots = fit.knots.map(k => k * (controlPoints.length - degree));
+    }
+    
+    state.splineManager.setAllPoints(controlPoints);
+    config.closed = false;
+    config.knotType = 'custom';
+    config.knots = knots;
+    setKnotStatus('');
+    
+    const chain = config.fitType === 'bezier-chain';
+    const segments = chain ? ` (${fit.segments.length} segmentos)` : '';
+    // Quebra de tangente acima do ruído numérico denuncia uma junção não G1
+    const kinked = chain && fit.jointAngle > 1e-6;
+    const joints = !chain ? '' : kinked
+        ? ` · quebra de tangente de ${(fit.jointAngle * 180 / Math.PI).toFixed(1)}° numa junção`
+        : ' · junções G1';
+    setFitReport(
+        `${controlPoints.length} pontos${segments} · erro máx. ${fit.maxError.toFixed(2)} px · ` +
+        `RMS ${fit.rmsError.toFixed(2)} px` +
+        (fit.withinTolerance ? '' : ' (tolerância não atingida)') + joints,
+        !fit.withinTolerance || kinked
+    );
+    
+    updatePointsList();
+    updatePointCount();
+    render();
+}
+
+/**
+ * Reduz o grau da Bézier em uma unidade e informa o erro
+ * Com "Mostrar Pesos" a redução é racional (a curva desenhada usa os pesos);
+ * sem ele, os pesos guardados não estão em uso e são descartados
+ */
+function reduceBezierDegree() {
+    const points = state.bezierManager.getAllPoints();
+    if (points.length < 3) {
+        setStatusMessage('reduce-status', 'A curva precisa ter grau 2 ou maior.', true);
+        return;
+    }
+    
+    const showWeights = state.bezierConfig.showWeights;
+    const weighted = showWeights ? points : points.map(p => ({ ...p, weight: 1 }));
+    const result = Fitting.reduceBezierDegree(weighted);
+    
+    if (!result) {
+        setStatusMessage('reduce-status', 'Redução racional não aplicada: algum peso do resultado não seria positivo.', true);
+        return;
+    }
+    
+    const discarded = !showWeights && points.some(p => (p.weight || 1) !== 1);
+    const rational = result.points.some(p => p.weight !== 1);
+    state.bezierManager.setAllPoints(result.points);
+    setStatusMessage(
+        'reduce-status',
+        `Grau ${points.length - 1} → ${result.points.length - 1}${rational ? ' (racional)' : ''} · ` +
+        `erro máx. ${result.maxError.toFixed(2)} px (limite ${result.errorBound.toFixed(2)} px)` +
+        (discarded ? ' · pesos descartados' : '')
+    );
+    
+    updatePointsList();
+    updatePointCount();
+    render();
+}
+
+/**
+ * Cria a cônica escolhida no grupo "Cônicas Exatas"
+ */
+function createConic() {
+    const value = id => parseFloat(document.getElementById(id).value);
+    const type = document.getElementById('conic-type').value;
+    const center = { x: value('conic-cx'), y: value('conic-cy') };
+    const a = value('conic-a');
+    const b = value('conic-b');
+    const rotation = value('conic-rotation') * Math.PI / 180;
+    const start = value('conic-start');
+    const end = value('conic-end');
+    
+    if ([center.x, center.y, a, b, rotation, start, end].some(Number.isNaN)) {
+        setStatusMessage('conic-status', 'Preencha todos os campos com números.', true);
+        return;
+    }
+    
+    const conics = {
+        'circle': () => Conics.circle(center, a),
+        'ellipse': () => Conics.ellipse(center, a, b, rotation),
+        'arc': () => Conics.circularArc(center, a, start * Math.PI / 180, end * Math.PI / 180),
+        'parabola': () => Conics.parabolaArc(center, a, rotation, start, end),
+        'hyperbola': () => Conics.hyperbolaArc(center, a, b, rotation, start, end)
+    };
+    // Na parábola o sinal da distância focal escolhe o lado da abertura
+    const parabola = type === 'parabola';
+    const conic = (parabola ? a !== 0 : a > 0) ? conics[type]() : null;
+    
+    if (!conic) {
+        setStatusMessage('conic-status', parabola
+            ? 'Parâmetros inválidos: a distância focal deve ser diferente de zero e o início diferente do fim.'
+            : 'Parâmetros inválidos: a e b devem ser positivos e o início diferente do fim.', true);
+        return;
+    }
+    applyConic(conic);
+}
+
+/**
+ * Troca os três pontos da Bézier pelo arco de circunferência que passa por eles
+ */
+function createArcThroughPoints() {
+    const points = state.bezierManager.getAllPoints();
+    if (points.length !== 3) {
+        setStatusMessage('conic-status', 'A curva precisa ter exatamente 3 pontos.', true);
+        return;
+    }
+    
+    const arc = Conics.arcThroughPoints(...points);
+    if (!arc) {
+        setStatusMessage('conic-status', 'Os pontos são colineares.', true);
+        return;
+    }
+    applyConic(arc);
+}
+
+/**
+ * Aplica uma cônica exata: um trecho só vira a Bézier quadrática racional
+ * desta aba (com os pesos visíveis); uma cadeia vira NURBS quadrática na
+ * aba Spline
+ * @param {Object} conic - {segments, ranges} (ver conics.js)
+ */
+function applyConic(conic) {
+    if (conic.segments.length === 1) {
+        state.bezierConfig.showWeights = true;
+        document.getElementById('show-weights-bezier').checked = true;
+        state.bezierManager.setAllPoints(conic.segments[0]);
+        setStatusMessage('conic-status', 'Cônica criada como Bézier quadrática racional.');
+        switchTab('bezier');
+        return;
+    }
+    
+    const nurbs = Conics.conicToNURBS(conic);
+    const degreeSlider = document.getElementById('spline-degree');
+    state.splineConfig.degree = nurbs.degree;
+    degreeSlider.value = nurbs.degree;
+    document.getElementById('spline-degree-value').textContent = nurbs.degree;
+    
+    setStatusMessage(
+        'conic-status',
+        `Cônica criada como NURBS quadrática na aba Spline (${conic.segments.length} trechos, nós duplos nas junções).`
+    );
+    applySplineRepresentation(nurbs);
+    switchTab('spline');
+}
+
+/**
+ * Mostra o tipo de cônica da Bézier quadrática (sem "Mostrar Pesos" ela é
+ * não-racional, logo uma parábola)
+ */
+function updateConicClassification() {
+    const points = state.bezierManager.getAllPoints();
+    const weighted = state.bezierConfig.showWeights ? points : points.map(p => ({ ...p, weight: 1 }));
+    const result = state.currentMode === 'bezier' ? Conics.classifyConic(weighted) : null;
+    
+    if (!result) {
+        setStatusMessage('conic-classification', '');
+    } else if (result.type === 'degenerada') {
+        setStatusMessage('conic-classification', 'Cônica degenerada (pontos colineares ou w = 0).');
+    } else {
+        const arc = result.type === 'circunferência'
+            ? ` · arco de ${(result.arcAngle * 180 / Math.PI).toFixed(1)}°`
+            : '';
+        const complement = result.weight < 0 ? ' (arco complementar, w < 0)' : '';
+        setStatusMessage(
+            'conic-classification',
+            `Cônica: ${result.type}${complement} · w = ${result.weight.toFixed(4)}${arc}`
+        );
+    }
+}
+
+/**
+ * Divide a Bézier em t (de Casteljau) e leva as duas metades para a aba
+ * Caminho de Béziers, como dois segmentos com junção G1 (as derivadas nas
+ * pontas valem t·C'(t) e (1 - t)·C'(t)). A aba Spline não é tocada e o
+ * caminho existente só é substituído com confirmação
+ * @param {number} t - Parâmetro da divisão
+ */
+function splitBezierAt(t) {
+    const config = state.bezierConfig;
+    const points = state.bezierManager.getAllPoints();
+    const degreeSelect = document.getElementById('path-degree');
+    const degrees = [...degreeSelect.options].map(option => parseInt(option.value));
+    // Grau 1 é elevado (exato) ao menor grau do caminho
+    const degree = Math.max(points.length - 1, degrees[0]);
+    
+    let refusal = null;
+    if (!degrees.includes(degree)) {
+        refusal = `O caminho aceita graus de ${degrees[0]} a ${degrees[degrees.length - 1]} (a curva tem grau ${degree}).`;
+    } else if (config.showWeights && points.some(p => p.weight !== 1)) {
+        refusal = 'O caminho não é racional: com pesos diferentes de 1 as metades não cabem nele.';
+    } else if (points.some(p => (p.z ?? 0) !== 0)) {
+        refusal = 'O caminho é plano: zere as profundidades para dividir a curva.';
+    }
+    if (refusal) {
+        setStatusMessage('split-status', refusal, true);
+        return;
+    }
+    
+    const path = state.pathManager;
+    if (path.getPointCount() > 0 &&
+        !confirm('O caminho de Béziers atual será substituído pelas duas metades. Continuar?')) {
+        setStatusMessage('split-status', 'Divisão cancelada: o caminho atual foi mantido.');
+        return;
+    }
+    
+    const controlPoints = points.map(p => ({ x: p.x, y: p.y }));
+    const elevate = segment => segment.length - 1 < degree ? Bezier.elevateBezierDegree(segment) : segment;
+    const { left, right } = Bezier.splitBezier(controlPoints, t);
+    
+    // A caneta monta segmentos cúbicos
+    if (state.pathConfig.penTool && degree !== 3) {
+        state.pathConfig.penTool = false;
+        document.getElementById('pen-tool-path').checked = false;
+    }
+    path.setSegments([elevate(left), elevate(right)], degree, [undefined, 'G1']);
+    state.pen.pending = null;
+    degreeSelect.value = String(degree);
+    
+    const message = `Bézier dividida em t=${t.toFixed(3)}: as duas metades estão na aba Caminho.`;
+    setStatusMessage('split-status', message);
+    setStatusMessage('path-status', message);
+    switchTab('path');
+}
+
+/**
+ * Muda o grau dos segmentos do caminho: elevação exata ou redução aproximada
+ * (mínimos quadrados com extremos fixos) de cada segmento
+ * @param {number} degree - Novo grau
+ */
+function changePathDegree(degree) {
+    const manager = state.pathManager;
+    const joints = manager.getJoints();
+    const closed = manager.closed;
+    
+    const segments = manager.getSegments().map(segment => {
+        let points = segment;
+        while (points.length - 1 < degree) {
+            points = Bezier.elevateBezierDegree(points);
+        }
+        while (points.length - 1 > degree) {
+            points = Fitting.reduceBezierDegree(points).points;
+        }
+        return points;
+    });
+    
+    if (segments.length > 0) {
+        manager.setSegments(segments, degree, joints, closed);
+        manager.getJointIndices().forEach(a => manager.setJoint(a, manager.getPoint(a).joint));
+    } else {
+        // Sem segmentos completos: mantém só a âncora inicial, se houver
+        manager.setAllPoints(manager.getAllPoints().slice(0, 1));
+        manager.degree = degree;
+    }
+    
+    setStatusMessage('path-status', degree < 3 && joints.includes('C2')
+        ? 'Junções C2 exigem grau 3 ou maior; no grau 2 valem como C1.'
+        : '');
+    updatePointsList();
+    updatePointCount();
+    render();
+}
+
+/**
+ * Divide o segmento do caminho que contém t (a curva não muda)
+ * @param {number} t - Parâmetro global do caminho (o segmento i cobre [i, i + 1])
+ */
+function splitPathAt(t) {
+    const manager = state.pathManager;
+    const index = Math.min(Math.floor(t), manager.getSegmentCount() - 1);
+    const { left, right } = Bezier.splitBezier(manager.getSegments()[index], t - index);
+    manager.replaceSegment(index, [left, right], 'G1');
+    setStatusMessage('path-status', `Segmento ${index} dividido em t=${(t - index).toFixed(3)}.`);
+    
+    updatePointsList();
+    updatePointCount();
+    render();
+}
+
+/**
+ * Verifica se a caneta está em uso (aba do caminho)
+ * @returns {boolean}
+ */
+function isPenActive() {
+    return state.currentMode === 'path' && state.pathConfig.penTool;
+}
+
+/**
+ * Alça de saída pendente da última âncora, se ainda vale (a âncora pode ter
+ * sido removida ou o caminho fechado depois)
+ * @returns {Object|null} {id, out, joint}
+ */
+function getPendingPenHandle() {
+    const manager = state.pathManager;
+    const pending = state.pen.pending;
+    const count = manager.getPointCount();
+    if (!pending || manager.closed || count === 0) return null;
+    return manager.getPoint(count - 1).id === pending.id ? pending : null;
+}
+
+/**
+ * Alça a desenhar enquanto a caneta está em uso
+ * @returns {Object|null} {anchor, handle}
+ */
+function getPenHandle() {
+    const pending = isPenActive() ? getPendingPenHandle() : null;
+    if (!pending || Math.hypot(pending.out.x, pending.out.y) === 0) return null;
+    
+    const anchor = state.pathManager.getPoint(state.pathManager.getPointCount() - 1);
+    return { anchor, handle: { x: anchor.x + pending.out.x, y: anchor.y + pending.out.y } };
+}
+
+/**
+ * Cria um nó com a caneta: um segmento cúbico da última âncora (com a alça de
+ * saída pendente) até o ponto clicado, que começa como canto. O arrasto que
+ * segue define as alças (ver dragPenHandle)
+ * @param {Object} coords - Ponto clicado {x, y}
+ */
+function placePenNode(coords) {
+    const manager = state.pathManager;
+    const pending = getPendingPenHandle();
+    let index;
+    
+    if (manager.getPointCount() === 0) {
+        index = manager.addPoint(coords.x, coords.y);
+    } else {
+        const last = manager.getPoint(manager.getPointCount() - 1);
+        const out = pending ? pending.out : { x: 0, y: 0 };
+        index = manager.appendSegment([
+            last,
+            { x: last.x + out.x, y: last.y + out.y },
+            coords,
+            coords
+        ], pending ? pending.joint : 'C0');
+    }
+    
+    const id = manager.getPoint(index).id;
+    state.pen.pending = { id, out: { x: 0, y: 0 }, joint: 'C0' };
+    if (index === 0) {
+        state.pen.first = { id, in: { x: 0, y: 0 }, joint: 'C0' };
+    }
+    state.pen.drag = { index, broken: false };
+    
+    updatePointsList();
+    updatePointCount();
+}
+
+/**
+ * Arrasta as alças do nó recém-criado: a de saída segue o mouse e a de entrada
+ * fica simétrica (nó suave, C1). Com Alt a simetria é quebrada até o fim do
+ * arrasto: só a alça de saída se move e o nó vira canto (C0)
+ * @param {Object} coords - Posição do mouse {x, y}
+ * @param {boolean} breakSymmetry - Se Alt está pressionado
+ */
+function dragPenHandle(coords, breakSymmetry) {
+    const manager = state.pathManager;
+    const drag = state.pen.drag;
+    const pending = getPendingPenHandle();
+    if (!pending) {
+        state.pen.drag = null;
+        return;
+    }
+    
+    const anchor = manager.getPoint(drag.index);
+    let out = { x: coords.x - anchor.x, y: coords.y - anchor.y };
+    if (Math.hypot(out.x, out.y) < PEN_MIN_HANDLE) out = { x: 0, y: 0 };
+    drag.broken = drag.broken || breakSymmetry;
+    
+    pending.out = out;
+    pending.joint = !drag.broken && (out.x !== 0 || out.y !== 0) ? 'C1' : 'C0';
+    if (drag.broken) return;
+    
+    // Alça de entrada espelhada
+    if (drag.index > 0) {
+        manager.movePoint(drag.index - 1, anchor.x - out.x, anchor.y - out.y);
+        updatePointsList();
+    } else {
+        state.pen.first.in = { x: -out.x, y: -out.y };
+        state.pen.first.joint = pending.joint;
+    }
+}
+
+/**
+ * Fecha o caminho da caneta com um segmento cúbico da última âncora até a
+ * primeira, usando a alça de saída pendente e a de entrada da primeira âncora
+ * @returns {boolean} True se o caminho foi fechado
+ */
+function closePenPath() {
+    const manager = state.pathManager;
+    if (manager.closed || manager.getSegmentCount() === 0) return false;
+    
+    const pending = getPendingPenHandle();
+    const firstPoint = manager.getPoint(0);
+    const last = manager.getPoint(manager.getPointCount() - 1);
+    const first = state.pen.first && state.pen.first.id === firstPoint.id
+        ? state.pen.first
+        : { in: { x: 0, y: 0 }, joint: 'C0' };
+    const out = pending ? pending.out : { x: 0, y: 0 };
+    
+    manager.closePath([
+        last,
+        { x: last.x + out.x, y: last.y + out.y },
+        { x: firstPoint.x + first.in.x, y: firstPoint.y + first.in.y },
+        firstPoint
+    ], pending ? pending.joint : 'C0', first.joint);
+    state.pen.pending = null;
+    setStatusMessage('path-status', 'Caminho fechado.');
+    
+    updatePointsList();
+    updatePointCount();
+    render();
+    return true;
+}
+
+/**
+ * Procura a ponta de uma alça de tangente de Hermite próxima de uma coordenada
+ * @param {Object} coords - {x, y}
+ * @returns {Object|null} Alça {index, side}: side 1 é a de saída (p + m/3), -1 a de entrada
+ */
+function findTangentHandleNear(coords) {
+    if (state.currentMode !== 'hermite' || !state.hermiteConfig.showTangents) return null;
+    
+    const points = state.hermiteManager.getAllPoints();
+    const tangents = Interpolation.hermiteTangents(points);
+    for (let i = points.length - 1; i >= 0; i--) {
+        for (const side of [1, -1]) {
+            const x = points[i].x + side * tangents[i].x / 3;
+            const y = points[i].y + side * tangents[i].y / 3;
+            if (Math.hypot(x - coords.x, y - coords.y) <= HANDLE_PICK_DISTANCE) {
+                return { index: i, side };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Arrasta a alça de tangente: a ponta fica no mouse, então m = ±3 (mouse - p),
+ * e a tangente do nó passa a ser explícita
+ * @param {Object} coords - Posição do mouse {x, y}
+ */
+function dragTangentHandle(coords) {
+    const { index, side } = state.hermiteDrag;
+    const p = state.hermiteManager.getPoint(index);
+    state.hermiteManager.updateTangent(index, {
+        x: 3 * side * (coords.x - p.x),
+        y: 3 * side * (coords.y - p.y)
+    });
+}
+
+/**
+ * Remove os nós da spline que podem sair sem desviar a curva além da tolerância
+ */
+function removeSplineKnots() {
+    const config = state.splineConfig;
+    
+    if (config.closed) {
+        setStatusMessage('knot-removal-status', 'A remoção de nós não está disponível para curvas fechadas.', true);
+        return;
+    }
+    if (state.splineManager.getPointCount() < config.degree + 1) {
+        setStatusMessage('knot-removal-status', 'Pontos insuficientes para o grau atual.', true);
+        return;
+    }
+    
+    const geometry = getSplineGeometry();
+    const result = Spline.removeKnots(
+        geometry.controlPoints,
+        geometry.degree,
+        geometry.knots,
+        config.knotRemovalTolerance
+    );
+    
+    if (result.removed === 0) {
+        setStatusMessage('knot-removal-status', 'Nenhum nó pode ser removido dentro da tolerância.');
+        return;
+    }
+    
+    state.splineManager.setAllPoints(result.controlPoints);
+    config.knotType = 'custom';
+    config.knots = result.knots;
+    setKnotStatus('');
+    setStatusMessage(
+        'knot-removal-status',
+        `${result.removed} nó(s) removido(s): ${geometry.controlPoints.length} → ` +
+        `${result.controlPoints.length} pontos · desvio máx. ${result.maxError.toFixed(2)} px`
+    );
+    
+    updatePointsList();
+    updatePointCount();
+    render();
+}
+
+/**
+ * Substitui a spline por uma representação equivalente (pontos e vetor de nós
+ * personalizado). Curvas fechadas passam a ser abertas com os pontos repetidos,
+ * mantendo a mesma forma, salvo se a representação já for periódica
+ * @param {Object} result - {controlPoints, knots}
+ * @param {boolean} closed - Se controlPoints são os pontos distintos de uma
+ *                           curva fechada e knots o seu vetor periódico
+ */
+function applySplineRepresentation(result, closed = false) {
+    const config = state.splineConfig;
+    state.splineManager.setAllPoints(result.controlPoints);
+    config.closed = closed;
+    config.knotType = 'custom';
+    config.knots = result.knots;
+    setKnotStatus('');
+    
+    updatePointsList();
+    updatePointCount();
+    render();
+}
+
+/**
+ * Verifica se a spline tem pontos suficientes para as operações de nós
+ * @param {string} statusId - Elemento onde exibir o erro
+ * @returns {boolean} true se a operação pode prosseguir
+ */
+function checkSplineReady(statusId) {
+    if (state.splineManager.getPointCount() < state.splineConfig.degree + 1) {
+        setStatusMessage(statusId, 'Pontos insuficientes para o grau atual.', true);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Converte a spline em seus segmentos de Bézier exatos
+ * (nós internos elevados à multiplicidade igual ao grau)
+ */
+function decomposeSpline() {
+    if (!checkSplineReady('segments-status')) return;
+    
+    const geometry = getSplineGeometry();
+    const segments = Spline.decomposeBSpline(geometry.controlPoints, geometry.degree, geometry.knots);
+    const result = Spline.bezierChainToBSpline(
+        segments.map(s => s.points),
+        geometry.degree,
+        segments.map(s => s.range)
+    );
+    
+    setStatusMessage(
+        'segments-status',
+        `${segments.length} segmento(s) de Bézier de grau ${geometry.degree}: ` +
+        `${geometry.controlPoints.length} → ${result.controlPoints.length} pontos`
+    );
+    applySplineRepresentation(result);
+}
+
+/**
+ * Mescla a cadeia de Béziers da spline, removendo os nós redundantes
+ */
+function mergeSpline() {
+    if (!checkSplineReady('segments-status')) return;
+    
+    const geometry = getSplineGeometry();
+    const segments = Spline.decomposeBSpline(geometry.controlPoints, geometry.degree, geometry.knots);
+    const result = Spline.mergeBezierChain(
+        segments.map(s => s.points),
+        geometry.degree,
+        segments.map(s => s.range)
+    );
+    
+    setStatusMessage(
+        'segments-status',
+        `${segments.length} segmento(s) mesclado(s): ` +
+        `${geometry.controlPoints.length} → ${result.controlPoints.length} pontos`
+    );
+    applySplineRepresentation(result);
+}
+
+/**
+ * Insere o nó digitado na spline (a forma da curva não muda)
+ */
+function insertSplineKnot() {
+    if (!checkSplineReady('segments-status')) return;
+    
+    insertSplineKnotAt(parseFloat(document.getElementById('insert-knot-value').value));
+}
+
+/**
+ * Insere um nó na spline (a curva não muda)
+ * @param {number} value - Valor do nó, no interior do domínio
+ */
+function insertSplineKnotAt(value) {
+    const geometry = getSplineGeometry();
+    const { controlPoints, knots, degree } = geometry;
+    const start = knots[degree];
+    const end = knots[controlPoints.length];
+    
+    if (isNaN(value) || value <= start || value >= end) {
+        setStatusMessage('segments-status', `O nó deve estar dentro do domínio (${start}, ${end}).`, true);
+        return;
+    }
+    if (knots.filter(k => k === value).length >= degree) {
+        setStatusMessage('segments-status', `O nó ${value} já tem multiplicidade máxima (${degree}).`, true);
+        return;
+    }
+    
+    const message = `Nó u=${Math.round(value * 1000) / 1000} inserido.`;
+    if (state.splineConfig.closed) {
+        // Na curva fechada o nó entra com as suas cópias periódicas e ela continua fechada
+        const periodic = Spline.insertPeriodicKnot(state.splineManager.getAllPoints(), knots, degree, value);
+        if (periodic) {
+            setStatusMessage('segments-status', message);
+            applySplineRepresentation({ controlPoints: periodic.points, knots: periodic.knots }, true);
+            return;
+        }
+        if (!confirm('O vetor de nós não é periódico: inserir o nó transforma a curva fechada em aberta. Continuar?')) {
+            return;
+        }
+    }
+    
+    setStatusMessage('segments-status', message);
+    applySplineRepresentation(Spline.insertKnot(controlPoints, knots, degree, value));
+}
+
+/**
+ * Exibe uma mensagem de estado em um elemento .status-message
+ * @param {string} elementId - Id do elemento
+ * @param {string} message - Mensagem
+ * @param {boolean} isError - Se é uma mensagem de erro
+ */
+function setStatusMessage(elementId, message, isError = false) {
+    const status = document.getElementById(elementId);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Exibe o resultado do último ajuste de traço
+ * @param {string} message - Mensagem
+ * @param {boolean} isError - Se é uma mensagem de erro
+ */
+function setFitReport(message, isError = false) {
+    setStatusMessage('fit-report', message, isError);
+}
+
+/**
+ * Exibe uma mensagem de estado do vetor de nós
+ * @param {string} message - Mensagem
+ * @param {boolean} isError - Se é uma mensagem de erro
+ */
+function setKnotStatus(message, isError = false) {
+    setStatusMessage('knot-status', message, isError);
+}
+
+/**
+ * Sincroniza os controles do vetor de nós com a geometria atual
+ * @param {Object} geometry - Geometria (ou curva) da spline, com o vetor de nós
+ */
+function updateKnotControls(geometry) {
+    document.getElementById('spline-knot-type').value = state.splineConfig.knotType;
+    document.getElementById('spline-closed').checked = state.splineConfig.closed;
+    
+    const input = document.getElementById('spline-knots');
+    if (document.activeElement !== input) {
+        input.value = geometry.knots.map(k => Math.round(k * 1000) / 1000).join(', ');
+    }
+}
+
+/**
+ * Atualiza a lista de pontos na interface
+ */
+function updatePointsList() {
+    const manager = getCurrentManager();
+    const listElement = document.getElementById(`${state.currentMode}-points-list`);
+    const hasWeights = state.currentMode === 'bezier' || state.currentMode === 'spline';
+    const showDepth = hasDepth();
+    const isPath = state.currentMode === 'path';
+    const isJoint = index => isPath && manager.getJointIndices().includes(index);
+    
+    const points = manager.getAllPoints();
+    const tangents = state.currentMode === 'hermite' ? Interpolation.hermiteTangents(points) : null;
+    
+    if (points.length === 0) {
+        listElement.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">Nenhum ponto adicionado</p>';
+        return;
+    }
+    
+    listElement.innerHTML = points.map((point, index) => `
+        <div class="point-item ${index === manager.getSelectedIndex() ? 'selected' : ''}" data-index="${index}">
+            <div class="point-header">
+                <span>${isPath ? (manager.isAnchor(index) ? 'Âncora' : 'Alça') : 'Ponto'} ${index}</span>
+                <div class="point-actions">
+                    <button class="btn-small btn-select" onclick="window.selectPoint(${index})">Selecionar</button>
+                    ${!isPath || manager.isAnchor(index) ? `
+                    <button class="btn-small btn-delete" onclick="window.deletePoint(${index})">Excluir</button>
+                    ` : ''}
+                </div>
+            </div>
+            <div class="point-coords">
+                x: ${Math.round(point.x)}, y: ${Math.round(point.y)}${showDepth ? `, z: ${Math.round(point.z ?? 0)}` : ''}
+            </div>
+            ${showDepth ? `
+            <div class="point-weight">
+                <label>z:</label>
+                <input type="number" step="1" value="${Math.round(point.z ?? 0)}" 
+                       onchange="window.updatePointDepth(${index}, this.value)">
+            </div>
+            ` : ''}
+            ${hasWeights ? `
+            <div class="point-weight">
+                <label>Peso:</label>
+                <input type="range" min="0.1" max="5" step="0.1" value="${point.weight}" 
+                       onchange="window.updatePointWeight(${index}, this.value)">
+                <input type="number" min="0.1" max="5" step="0.01" value="${point.weight}" 
+                       onchange="window.updatePointWeight(${index}, this.value)">
+            </div>
+            ` : ''}
+            ${isJoint(index) ? `
+            <div class="point-weight">
+                <label>Junção:</label>
+                <select onchange="window.updatePointJoint(${index}, this.value)">
+                    ${['C0', 'G1', 'C1', 'C2'].map(joint => `
+                    <option value="${joint}" ${point.joint === joint ? 'selected' : ''}>${joint}</option>
+                    `).join('')}
+                </select>
+            </div>
+            ` : ''}
+            ${state.currentMode === 'tcb' ? ['tension', 'continuity', 'bias'].map(key => `
+            <div class="point-weight">
+                <label>${{ tension: 'Tensão', continuity: 'Contin.', bias: 'Viés' }[key]}:</label>
+                <input type="range" min="-1" max="1" step="0.1" value="${point[key] || 0}" 
+                       onchange="window.updatePointTCB(${index}, '${key}', this.value)">
+                <input type="number" min="-1" max="1" step="0.1" value="${point[key] || 0}" 
+                       onchange="window.updatePointTCB(${index}, '${key}', this.value)">
+            </div>
+            `).join('') : ''}
+            ${tangents ? `
+            <div class="point-weight">
+                <label>Tangente${point.tangent ? '' : ' (auto)'}:</label>
+                ${['x', 'y'].map(axis => `
+                <input type="number" step="1" value="${Math.round(tangents[index][axis])}" 
+                       onchange="window.updatePointTangent(${index}, '${axis}', this.value)">
+                `).join('')}
+                ${point.tangent ? `
+                <button class="btn-small" onclick="window.resetPointTangent(${index})">Auto</button>
+                ` : ''}
+            </div>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Atualiza contador de pontos
+ */
+function updatePointCount() {
+    const count = getCurrentManager().getPointCount();
+    document.getElementById('point-count').textContent = `Pontos: ${count}`;
+}
+
+/**
+ * Renderiza a cena
+ */
+function render() {
+    const manager = getCurrentManager();
+    const config = getCurrentConfig();
+    const points = manager.getAllPoints();
+    
+    // Limpa canvas
+    state.renderer.clear();
+    
+    // Tabela de comprimento de arco, só para a amostragem uniforme e o movimento
+    // (a leitura do comprimento a monta fora dos arrastos)
+    const curve = getActiveCurve();
+    const arcTable = curve && (config.sampling === 'arc-length' || state.motion.show)
+        ? getArcLengthTable(state.currentMode)
+        : null;
+    const polyline = getCurvePolyline(state.currentMode, arcTable);
+    updateCurveLength(curve, polyline, arcTable);
+    drawBasisPlot(curve);
+    updateConicClassification();
+    drawSpace(curve);
+    
+    // Traço à mão livre (referência para o ajuste)
+    if (state.currentMode === 'spline' && state.stroke) {
+        state.renderer.drawCurve(state.stroke, 'rgba(0, 0, 0, 0.25)', 2);
+    }
+    
+    // Curvas dos outros modos (interseções)
+    drawReferenceCurves();
+    
+    if (points.length === 0) {
+        state.renderer.drawCenteredMessage('Clique no canvas para adicionar pontos');
+        setStatusMessage('intersection-status', '');
+        setStatusMessage('bounds-status', '');
+        setStatusMessage('construction-status', '');
+        setStatusMessage('blossom-status', '');
+        setStatusMessage('frenet-status', '');
+        setStatusMessage('motion-status', '');
+        setStatusMessage('subdivision-status', '');
+        return;
+    }
+    
+    // Desenha a curva
+    updateSegmentCount(polyline);
+    if (polyline) {
+        state.renderer.drawCurve(polyline, MODE_COLORS[state.currentMode], 3);
+        if (config.sampling === 'arc-length') {
+            state.renderer.drawSamplePoints(polyline, MODE_COLORS[state.currentMode]);
+        }
+    }
+    
+    if (state.currentMode === 'spline' && curve) {
+        if (config.showBezierSegments) {
+            const segments = Spline.decomposeBSpline(curve.controlPoints, curve.degree, curve.knots);
+            state.renderer.drawBezierSegments(segments.map(s => s.points));
+        }
+        if (config.showKnots) {
+            state.renderer.drawKnotMarkers(getKnotMarkers(), state.hoverKnotIndex);
+        }
+        updateKnotControls(curve);
+    }
+    
+    drawSubdivision(curve);
+    drawAnalysisOverlays();
+    
+    if (state.curveHover) {
+        state.renderer.drawCurveProjection(state.curveHover, MODE_COLORS[state.currentMode]);
+    }
+    
+    drawConstruction(curve);
+    drawBlossom(curve);
+    drawFrenet(curve);
+    drawMotion(curve, arcTable);
+    
+    // Desenha polígono de controle
+    if (config.showControlPolygon && points.length >= 2) {
+        const closed = state.currentMode === 'spline' || state.currentMode === 'subdivision'
+            ? config.closed
+            : state.currentMode === 'path' && manager.closed;
+        const polygon = closed ? [...points, points[0]] : points;
+        state.renderer.drawControlPolygon(polygon);
+    }
+    
+    // Alças do caminho
+    if (state.currentMode === 'path' && config.showHandles) {
+        state.renderer.drawPathHandles(points, manager.degree, MODE_COLORS.path, manager.closed);
+    }
+    
+    // Alça de saída que a caneta usará no próximo segmento
+    const penHandle = getPenHandle();
+    if (penHandle) {
+        state.renderer.drawPenHandle(penHandle.anchor, penHandle.handle, MODE_COLORS.path);
+    }
+    
+    // Alças de tangente dos nós de Hermite
+    if (state.currentMode === 'hermite' && config.showTangents) {
+        state.renderer.drawTangentHandles(
+            points,
+            Interpolation.hermiteTangents(points),
+            MODE_COLORS.hermite,
+            state.hoverHandle
+        );
+    }
+    
+    // Desenha pesos
+    if (config.showWeights) {
+        state.renderer.drawAllWeights(points);
+    }
+    
+    // Desenha pontos de controle
+    if (config.showPoints) {
+        state.renderer.drawAllControlPoints(
+            points,
+            manager.getSelectedIndex(),
+            manager.getHoverIndex(),
+            MODE_COLORS[state.currentMode]
+        );
+    }
+}
+
+/**
+ * Exporta dados para JSON
+ */
+function exportToJSON(mode) {
+    const manager = getManager(mode);
+    const config = getConfig(mode);
+    
+    const data = {
+        mode: mode,
+        config: config,
+        points: manager.getAllPoints(),
+        timestamp: new Date().toISOString()
+    };
+    
+    if (mode === 'spline' && manager.getPointCount() >= config.degree + 1) {
+        const geometry = getSplineGeometry();
+        data.knots = geometry.knots;
+        
+        // Segmentos de Bézier exatos; até o grau 3, também elevados a cúbicas
+        const segments = Spline.decomposeBSpline(geometry.controlPoints, geometry.degree, geometry.knots);
+        data.bezierSegments = segments.map(s => s.points);
+        if (geometry.degree <= 3) {
+            data.cubicBezierSegments = data.bezierSegments.map(points => {
+                let cubic = points;
+                while (cubic.length < 4) {
+                    cubic = Bezier.elevateBezierDegree(cubic);
+                }
+                return cubic;
+            });
+        }
+    }
+    
+    // Comprimento e a polilinha desenhada (mesma amostragem do canvas)
+    const curve = getCurve(mode);
+    if (curve) {
+        const table = getArcLengthTable(mode);
+        data.length = table.total;
+        data.polyline = getCurvePolyline(mode, table);
+        data.segmentCount = data.polyline.length - 1;
+        
+        // Offset: cadeias de cúbicas e as B-splines cúbicas equivalentes
+        if (state.analysis.showOffset) {
+            const offset = getOffset(mode);
+            data.offset = {
+                distance: state.analysis.offsetDistance,
+                tolerance: state.analysis.offsetTolerance,
+                bezierChains: offset.chains,
+                bSplines: offset.chains.map(chain => Spline.bezierChainToBSpline(chain, 3))
+            };
+        }
+        
+        // Caixas envolventes e extremos da curva
+        const analysis = state.analysis;
+        if (analysis.showTightBox || analysis.showOrientedBox || analysis.showExtrema) {
+            const oriented = Bounds.orientedBoundingBox(curve);
+            data.bounds = {
+                box: Bounds.tightBoundingBox(curve),
+                orientedBox: {
+                    center: oriented.center,
+                    width: oriented.width,
+                    height: oriented.height,
+                    angle: oriented.angle,
+                    corners: oriented.corners
+                },
+                extrema: Bounds.curveExtrema(curve)
+            };
+        }
+    }
+    
+    // Curvas interpoladoras também exportam os segmentos de Bézier equivalentes
+    if (INTERPOLATING_MODES.includes(mode) && manager.getPointCount() >= 2) {
+        data.bezierSegments = getInterpolationSegments(mode, manager.getAllPoints());
+    }
+    
+    // Hermite: tangente usada em cada nó (explícita ou automática)
+    if (mode === 'hermite') {
+        data.tangents = Interpolation.hermiteTangents(manager.getAllPoints());
+    }
+    
+    // Subdivisão: a polilinha é o polígono do último nível (sem limite
+    // analítico, no esquema de quatro pontos, ela não foi exportada acima);
+    // nos esquemas aproximadores vai também a B-spline limite
+    if (mode === 'subdivision') {
+        const limit = getSubdivisionLimit();
+        const polyline = curve ? null : getCurvePolyline(mode);
+        if (polyline) {
+            data.polyline = polyline;
+            data.segmentCount = polyline.length - 1;
+        }
+        if (limit) {
+            data.limit = { degree: limit.degree, knots: limit.knots, controlPoints: limit.controlPoints };
+        }
+    }
+    
+    // Caminho: segmentos e continuidade de cada junção (se fechado, a
+    // primeira é a da âncora inicial)
+    if (mode === 'path') {
+        data.degree = manager.degree;
+        data.closed = manager.closed;
+        data.bezierSegments = manager.getSegments();
+        data.joints = manager.getJointIndices().map(a => manager.getPoint(a).joint);
+    }
     
     const jsonString = JSON.stringify(data, null, 2);
     
@@ -474,13 +3603,51 @@ window.deletePoint = (index) => {
 
 window.updatePointWeight = (index, weight) => {
     const w = parseFloat(weight);
-    state.bezierManager.updateWeight(index, w);
+    getCurrentManager().updateWeight(index, w);
+    updatePointsList();
+    render();
+};
+
+window.updatePointDepth = (index, value) => {
+    const z = parseFloat(value);
+    if (isNaN(z)) return;
+    getCurrentManager().updateDepth(index, z);
+    updatePointsList();
+    render();
+};
+
+window.updatePointTCB = (index, key, value) => {
+    getCurrentManager().updateTCB(index, { [key]: parseFloat(value) });
+    updatePointsList();
+    render();
+};
+
+// Editar uma componente torna explícita a tangente do nó (a outra fica como estava)
+window.updatePointTangent = (index, axis, value) => {
+    const v = parseFloat(value);
+    if (isNaN(v)) return;
+    const tangent = Interpolation.hermiteTangents(state.hermiteManager.getAllPoints())[index];
+    state.hermiteManager.updateTangent(index, { ...tangent, [axis]: v });
+    updatePointsList();
+    render();
+};
+
+window.resetPointTangent = (index) => {
+    state.hermiteManager.updateTangent(index, null);
+    updatePointsList();
+    render();
+};
+
+window.updatePointJoint = (index, joint) => {
+    state.pathManager.setJoint(index, joint);
+    updatePointsList();
     render();
 };
 
 // Redimensionamento da janela
 window.addEventListener('resize', () => {
     state.renderer.resize();
+    state.basisRenderer.resize();
     render();
 });
 
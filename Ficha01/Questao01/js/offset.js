@@ -0,0 +1,299 @@
+/**
+ * Módulo de curvas paralelas (offset)
+ * O offset O(t) = C(t) + d·N(t) de uma curva polinomial em geral não é
+ * polinomial, então é aproximado por uma cadeia de Béziers cúbicas dentro de
+ * uma tolerância. Cantos ganham arcos de junção e os laços criados pelo offset
+ * (cúspides e sobreposições) são recortados.
+ */
+
+import { splitBezier, deCasteljauSimple } from './bezier.js';
+import { curvature, closestPoint, createSegmentedCurve } from './curves.js';
+import { selfIntersections } from './intersection.js';
+
+// Limite de subdivisões de cada trecho (até 2^10 cúbicas)
+const MAX_DEPTH = 10;
+
+// Amostras por trecho na busca de cúspides (troca de sinal de 1 - dκ)
+const CUSP_SAMPLES = 32;
+
+// Pontos internos usados para medir o erro da cúbica e para testar os trechos recortados
+const CHECK_SAMPLES = 8;
+
+// Distância (px) em que dois extremos de trechos são considerados o mesmo ponto
+const JOIN_DISTANCE = 0.01;
+
+/**
+ * Ponto e velocidade do offset em t
+ * Com N a normal à esquerda de C', N' = -κ|C'|T e portanto O' = C'(1 - dκ)
+ * @param {Object} curve - Curva (ver curves.js)
+ * @param {number} distance - Distância com sinal (lado da normal (-y', x'))
+ * @param {number} t - Parâmetro
+ * @param {number} side - Lado de onde t é aproximado (-1 ou 1; relevante em cantos)
+ * @returns {Object} {point, velocity, normal}
+ */
+function offsetAt(curve, distance, t, side = 1) {
+    const [start, end] = curve.domain;
+    const nudge = 1e-9 * (end - start);
+    const probe = Math.min(Math.max(t + side * nudge, start), end);
+    const d = curve.derivatives(probe);
+    const speed = Math.hypot(d.first.x, d.first.y) || 1;
+    const normal = { x: -d.first.y / speed, y: d.first.x / speed };
+    const factor = 1 - distance * curvature(d);
+    const base = curve.evaluate(t);
+
+    return {
+        point: { x: base.x + distance * normal.x, y: base.y + distance * normal.y },
+        velocity: { x: d.first.x * factor, y: d.first.y * factor },
+        normal
+    };
+}
+
+/**
+ * Encontra as cúspides do offset em (a, b): zeros de 1 - dκ (raio de curvatura
+ * igual à distância), refinados por bisseção
+ * @returns {Array} Parâmetros das cúspides
+ */
+function findCusps(curve, distance, a, b) {
+    const g = t => 1 - distance * curvature(curve.derivatives(t));
+    const cusps = [];
+    let previousT = a;
+    let previousG = g(a);
+
+    for (let i = 1; i <= CUSP_SAMPLES; i++) {
+        const t = a + (b - a) * i / CUSP_SAMPLES;
+        const value = g(t);
+        if (previousG * value < 0) {
+            let lo = previousT;
+            let hi = t;
+            let gLo = previousG;
+            for (let iter = 0; iter < 50; iter++) {
+                const mid = (lo + hi) / 2;
+                const gMid = g(mid);
+                if (gLo * gMid <= 0) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                    gLo = gMid;
+                }
+            }
+            cusps.push((lo + hi) / 2);
+        }
+        previousT = t;
+        previousG = value;
+    }
+
+    return cusps.filter(t => t > a && t < b);
+}
+
+/**
+ * Aproxima o offset em [a, b] por cúbicas de Hermite (extremos e velocidades
+ * exatos), subdividindo enquanto o erro amostrado excede a tolerância
+ * @param {Object} curve - Curva
+ * @param {number} distance - Distância com sinal
+ * @param {number} a - Início do trecho
+ * @param {number} b - Fim do trecho
+ * @param {number} tolerance - Erro máximo em pixels
+ * @param {Array} out - Acumulador de cúbicas
+ * @param {number} depth - Profundidade atual
+ */
+function fitOffsetPiece(curve, distance, a, b, tolerance, out, depth = 0) {
+    const start = offsetAt(curve, distance, a, 1);
+    const end = offsetAt(curve, distance, b, -1);
+    const h = (b - a) / 3;
+    const cubic = [
+        start.point,
+        { x: start.point.x + start.velocity.x * h, y: start.point.y + start.velocity.y * h },
+        { x: end.point.x - end.velocity.x * h, y: end.point.y - end.velocity.y * h },
+        end.point
+    ];
+
+    let error = 0;
+    for (let i = 1; i < CHECK_SAMPLES; i++) {
+        const u = i / CHECK_SAMPLES;
+        const approx = deCasteljauSimple(cubic, u);
+        const exact = offsetAt(curve, distance, a + (b - a) * u).point;
+        error = Math.max(error, Math.hypot(approx.x - exact.x, approx.y - exact.y));
+    }
+
+    if (error <= tolerance || depth >= MAX_DEPTH) {
+        out.push(cubic);
+        return;
+    }
+
+    const mid = (a + b) / 2;
+    fitOffsetPiece(curve, distance, a, mid, tolerance, out, depth + 1);
+    fitOffsetPiece(curve, distance, mid, b, tolerance, out, depth + 1);
+}
+
+/**
+ * Arco circular de centro c entre os pontos p0 e p1 (mesmo raio) pelo menor
+ * ângulo, em cúbicas de até 90° (k = 4/3·tan(θ/4))
+ * @returns {Array} Cúbicas
+ */
+function arcCubics(center, p0, p1) {
+    const radius = Math.hypot(p0.x - center.x, p0.y - center.y);
+    const phi0 = Math.atan2(p0.y - center.y, p0.x - center.x);
+    let sweep = Math.atan2(p1.y - center.y, p1.x - center.x) - phi0;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+    const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const step = sweep / count;
+    const k = 4 / 3 * Math.tan(step / 4) * radius;
+    const cubics = [];
+
+    for (let i = 0; i < count; i++) {
+        const a0 = phi0 + step * i;
+        const a1 = a0 + step;
+        const q0 = i === 0 ? p0 : { x: center.x + radius * Math.cos(a0), y: center.y + radius * Math.sin(a0) };
+        const q3 = i === count - 1 ? p1 : { x: center.x + radius * Math.cos(a1), y: center.y + radius * Math.sin(a1) };
+        cubics.push([
+            q0,
+            { x: q0.x - k * Math.sin(a0), y: q0.y + k * Math.cos(a0) },
+            { x: q3.x + k * Math.sin(a1), y: q3.y - k * Math.cos(a1) },
+            q3
+        ]);
+    }
+
+    return cubics;
+}
+
+/**
+ * Trecho de uma Bézier entre os parâmetros u0 < u1
+ * @returns {Array} Pontos de controle do trecho
+ */
+function subBezier(points, u0, u1) {
+    const right = u0 > 0 ? splitBezier(points, u0).right : points;
+    if (u1 >= 1) return right;
+    return splitBezier(right, (u1 - u0) / (1 - u0)).left;
+}
+
+/**
+ * Trecho de uma cadeia de cúbicas entre os parâmetros globais t0 < t1
+ * (a cúbica i cobre [i, i + 1])
+ * @returns {Array} Cúbicas do trecho
+ */
+function sliceChain(cubics, t0, t1) {
+    const slice = [];
+    const first = Math.min(Math.floor(t0), cubics.length - 1);
+    const last = Math.min(Math.ceil(t1) - 1, cubics.length - 1);
+
+    for (let i = first; i <= last; i++) {
+        const u0 = Math.max(t0 - i, 0);
+        const u1 = Math.min(t1 - i, 1);
+        if (u1 - u0 < 1e-12) continue;
+        slice.push(subBezier(cubics[i], u0, u1).map(p => ({ x: p.x, y: p.y })));
+    }
+
+    return slice;
+}
+
+/**
+ * Verifica se dois pontos coincidem (junção de trechos)
+ * @returns {boolean}
+ */
+function samePoint(p, q) {
+    return Math.hypot(p.x - q.x, p.y - q.y) < JOIN_DISTANCE;
+}
+
+/**
+ * Gera o offset de uma curva aproximado por cúbicas
+ *
+ * 1. O domínio é dividido nas quebras da curva e nas cúspides do offset
+ * 2. Cada trecho é aproximado por cúbicas de Hermite até a tolerância
+ * 3. Cantos (tangente descontínua) recebem um arco de raio |d| centrado no canto
+ * 4. A cadeia é cortada nas auto-interseções e nas cúspides; os trechos com
+ *    algum ponto a menos de |d| - tolerância da curva original (laços e
+ *    sobreposições) ou presos entre cortes numa cúspide são descartados e os
+ *    restantes são religados
+ *
+ * @param {Object} curve - Curva (ver curves.js)
+ * @param {number} distance - Distância com sinal (lado da normal (-y', x'))
+ * @param {number} tolerance - Erro máximo em pixels
+ * @returns {Object} {chains (cadeias de cúbicas), cusps, trimmed}
+ */
+export function offsetCurve(curve, distance, tolerance = 0.5) {
+    if (distance === 0) {
+        return { chains: [], cusps: 0, trimmed: 0 };
+    }
+
+    const cubics = [];
+    const cusps = []; // Parâmetros da cadeia onde há cúspides
+    let cuspCount = 0;
+
+    for (let k = 0; k < curve.breaks.length - 1; k++) {
+        const a = curve.breaks[k];
+        const b = curve.breaks[k + 1];
+
+        // Canto na quebra: liga o fim do trecho anterior ao início deste
+        if (k > 0) {
+            const before = offsetAt(curve, distance, a, -1).point;
+            const after = offsetAt(curve, distance, a, 1).point;
+            if (!samePoint(before, after)) {
+                cubics.push(...arcCubics(curve.evaluate(a), before, after));
+            }
+        }
+
+        const pieceCusps = findCusps(curve, distance, a, b);
+        cuspCount += pieceCusps.length;
+        const bounds = [a, ...pieceCusps, b];
+        for (let i = 0; i < bounds.length - 1; i++) {
+            if (i > 0) cusps.push(cubics.length);
+            fitOffsetPiece(curve, distance, bounds[i], bounds[i + 1], tolerance, cubics);
+        }
+    }
+
+    // Cortes nas cúspides e nas auto-interseções da cadeia
+    const cuts = [...cusps];
+    selfIntersections(createSegmentedCurve(cubics)).points.forEach(hit => {
+        cuts.push(hit.tA, hit.tB);
+    });
+    const params = [0, ...cuts.sort((p, q) => p - q), cubics.length]
+        .filter((t, i, all) => i === 0 || t - all[i - 1] > 1e-9);
+    const isCusp = t => cusps.some(c => Math.abs(c - t) < 1e-9);
+
+    // Descarta os trechos que chegam perto demais da curva original e, mesmo
+    // que o laço seja mais estreito que a tolerância, os trechos internos de
+    // um "rabo de andorinha" (entre dois cortes, com uma cúspide na ponta)
+    const limit = Math.abs(distance) - tolerance;
+    const chains = [];
+    let trimmed = 0;
+
+    for (let i = 0; i < params.length - 1; i++) {
+        const run = sliceChain(cubics, params[i], params[i + 1]);
+        if (run.length === 0) continue;
+
+        const interior = i > 0 && i < params.length - 2;
+        const runCurve = createSegmentedCurve(run);
+        let tooClose = interior && (isCusp(params[i]) || isCusp(params[i + 1]));
+        for (let j = 1; j < CHECK_SAMPLES && !tooClose; j++) {
+            const p = runCurve.evaluate(run.length * j / CHECK_SAMPLES);
+            tooClose = closestPoint(curve, p).distance < limit;
+        }
+        if (tooClose) {
+            trimmed++;
+            continue;
+        }
+
+        const previous = chains[chains.length - 1];
+        if (previous) {
+            const lastCubic = previous[previous.length - 1];
+            if (samePoint(lastCubic[3], run[0][0])) {
+                previous.push(...run);
+                continue;
+            }
+        }
+        chains.push(run);
+    }
+
+    // Curva fechada: o último trecho continua no primeiro
+    if (chains.length > 1) {
+        const first = chains[0];
+        const last = chains[chains.length - 1];
+        if (samePoint(last[last.length - 1][3], first[0][0])) {
+            chains[0] = [...chains.pop(), ...first];
+        }
+    }
+
+    return { chains, cusps: cuspCount, trimmed };
+}
@@ -151,6 +151,626 @@ export class Renderer {
         });
     }
 
+    /**
+     * Desenha as alças de um caminho de Béziers: linhas das âncoras aos pontos
+     * vizinhos e as âncoras como quadrados (com a continuidade da junção)
+     * @param {Array} points - Pontos do caminho (âncoras nos múltiplos do grau)
+     * @param {number} degree - Grau dos segmentos
+     * @param {string} color - Cor das alças
+     * @param {boolean} closed - Se o último segmento termina na âncora 0
+     */
+    drawPathHandles(points, degree, color = '#795548', closed = false) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let a = 0; a < points.length; a += degree) {
+            [a - 1, a + 1].forEach(index => {
+                const neighbor = closed ? (index + points.length) % points.length : index;
+                if (neighbor < 0 || neighbor >= points.length || neighbor === a) return;
+                this.ctx.moveTo(points[a].x, points[a].y);
+                this.ctx.lineTo(points[neighbor].x, points[neighbor].y);
+            });
+        }
+        this.ctx.stroke();
+
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        for (let a = 0; a < points.length; a += degree) {
+            this.ctx.strokeRect(points[a].x - 10, points[a].y - 10, 20, 20);
+            if (points[a].joint) {
+                this.ctx.fillStyle = color;
+                this.ctx.fillText(points[a].joint, points[a].x, points[a].y + 12);
+            }
+        }
+    }
+
+    /**
+     * Desenha a alça de saída pendente da caneta (ainda sem segmento)
+     * @param {Object} anchor - Âncora {x, y}
+     * @param {Object} handle - Ponta da alça {x, y}
+     * @param {string} color - Cor da alça
+     */
+    drawPenHandle(anchor, handle, color = '#795548') {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(anchor.x, anchor.y);
+        this.ctx.lineTo(handle.x, handle.y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.beginPath();
+        this.ctx.arc(handle.x, handle.y, 4, 0, 2 * Math.PI);
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+
+    /**
+     * Desenha as alças de tangente dos nós de Hermite: a reta p - m/3 .. p + m/3
+     * (tracejada se a tangente é automática), com a alça de saída cheia e a
+     * de entrada vazada
+     * @param {Array} points - Nós {x, y, tangent?}
+     * @param {Array} tangents - Tangente de cada nó {x, y}
+     * @param {string} color - Cor das alças
+     * @param {Object|null} hover - Alça em hover {index, side}
+     */
+    drawTangentHandles(points, tangents, color = '#3f51b5', hover = null) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+
+        points.forEach((p, index) => {
+            const m = tangents[index];
+            const ends = [-1, 1].map(side => ({ side, x: p.x + side * m.x / 3, y: p.y + side * m.y / 3 }));
+
+            this.ctx.setLineDash(p.tangent ? [] : [4, 3]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(ends[0].x, ends[0].y);
+            this.ctx.lineTo(ends[1].x, ends[1].y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            ends.forEach(end => {
+                const isHover = hover && hover.index === index && hover.side === end.side;
+                this.ctx.fillStyle = end.side > 0 ? color : '#ffffff';
+                this.ctx.beginPath();
+                this.ctx.arc(end.x, end.y, isHover ? 6 : 4, 0, 2 * Math.PI);
+                this.ctx.fill();
+                this.ctx.stroke();
+            });
+        });
+    }
+
+    /**
+     * Desenha os polígonos dos níveis de refinamento de uma curva de
+     * subdivisão com seus vértices, do mais grosso (mais claro) ao mais fino
+     * @param {Array} levels - Polígonos (arrays de pontos), do nível 0 em diante
+     * @param {string} color - Cor dos polígonos
+     */
+    drawRefinementLevels(levels, color = '#607d8b') {
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 1;
+
+        levels.forEach((level, k) => {
+            this.ctx.globalAlpha = 0.2 + 0.5 * (k + 1) / levels.length;
+
+            this.ctx.beginPath();
+            level.forEach((p, i) => {
+                if (i === 0) this.ctx.moveTo(p.x, p.y);
+                else this.ctx.lineTo(p.x, p.y);
+            });
+            this.ctx.stroke();
+
+            level.forEach(p => {
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, 2, 0, 2 * Math.PI);
+                this.ctx.fill();
+            });
+        });
+
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Desenha os marcadores de nós sobre a curva
+     * @param {Array} markers - Marcadores {x, y, value, multiplicity, draggable}
+     * @param {number} hoverIndex - Índice do marcador em hover
+     */
+    drawKnotMarkers(markers, hoverIndex = -1) {
+        const size = 5;
+
+        markers.forEach((marker, index) => {
+            const isHover = index === hoverIndex;
+
+            // Losango: preenchido se arrastável, vazado nos extremos do domínio
+            this.ctx.beginPath();
+            this.ctx.moveTo(marker.x, marker.y - size);
+            this.ctx.lineTo(marker.x + size, marker.y);
+            this.ctx.lineTo(marker.x, marker.y + size);
+            this.ctx.lineTo(marker.x - size, marker.y);
+            this.ctx.closePath();
+            this.ctx.fillStyle = marker.draggable ? (isHover ? '#e65100' : '#ff9800') : '#ffffff';
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#e65100';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+
+            if (isHover || marker.multiplicity > 1) {
+                const label = marker.multiplicity > 1
+                    ? `u=${marker.value.toFixed(2)} (×${marker.multiplicity})`
+                    : `u=${marker.value.toFixed(2)}`;
+                this.ctx.fillStyle = '#e65100';
+                this.ctx.font = '10px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'bottom';
+                this.ctx.fillText(label, marker.x, marker.y - size - 3);
+            }
+        });
+    }
+
+    /**
+     * Desenha o polígono de controle de cada segmento de Bézier, alternando cores
+     * @param {Array} segments - Segmentos (arrays de pontos de controle)
+     */
+    drawBezierSegments(segments) {
+        const palette = ['#e91e63', '#009688', '#ff9800', '#3f51b5', '#8bc34a'];
+
+        segments.forEach((segment, index) => {
+            const color = palette[index % palette.length];
+            this.drawControlPolygon(segment, color, 1.5);
+
+            segment.forEach((point, i) => {
+                const isJunction = i === 0 || i === segment.length - 1;
+                this.ctx.fillStyle = isJunction ? '#ffffff' : color;
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 1.5;
+                this.ctx.beginPath();
+                if (isJunction) {
+                    this.ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI);
+                } else {
+                    this.ctx.rect(point.x - 3, point.y - 3, 6, 6);
+                }
+                this.ctx.fill();
+                this.ctx.stroke();
+            });
+        });
+    }
+
+    /**
+     * Desenha pontos amostrados sobre a curva (ex.: amostragem por comprimento de arco)
+     * @param {Array} points - Pontos {x, y}
+     * @param {string} color - Cor dos pontos
+     */
+    drawSamplePoints(points, color = '#667eea') {
+        this.ctx.fillStyle = color;
+        points.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 2.5, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Desenha o pente de curvatura: segmentos ao longo da normal com comprimento
+     * proporcional à curvatura, apontando para o lado convexo
+     * @param {Array} samples - Amostras {point, normal, curvature}
+     * @param {number} scale - Pixels por unidade de curvatura
+     * @param {string} color - Cor dos dentes
+     */
+    drawCurvatureComb(samples, scale, color = 'rgba(255, 87, 34, 0.6)') {
+        const tips = samples.map(s => ({
+            x: s.point.x - s.normal.x * s.curvature * scale,
+            y: s.point.y - s.normal.y * s.curvature * scale
+        }));
+
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        samples.forEach((s, i) => {
+            this.ctx.moveTo(s.point.x, s.point.y);
+            this.ctx.lineTo(tips[i].x, tips[i].y);
+        });
+        this.ctx.stroke();
+
+        // Envoltória do pente
+        this.drawCurve(tips, color, 1.5);
+    }
+
+    /**
+     * Desenha os pontos de inflexão
+     * @param {Array} inflections - Inflexões {t, point}
+     */
+    drawInflectionPoints(inflections) {
+        inflections.forEach(({ point }) => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI);
+            this.ctx.fillStyle = '#ffeb3b';
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#f57f17';
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Destaca a projeção do mouse na curva e mostra o parâmetro
+     * @param {Object} hit - Projeção {t, point, distance}
+     * @param {string} color - Cor do destaque
+     */
+    drawCurveProjection(hit, color = '#333') {
+        const { point } = hit;
+
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 7, 0, 2 * Math.PI);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`t=${hit.t.toFixed(3)}`, point.x + 9, point.y - 9);
+    }
+
+    /**
+     * Marca pontos de interseção com um X
+     * @param {Array} intersections - Interseções {tA, tB, point}
+     */
+    drawIntersectionMarkers(intersections) {
+        this.ctx.strokeStyle = '#d32f2f';
+        this.ctx.lineWidth = 2.5;
+        intersections.forEach(({ point }) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(point.x - 6, point.y - 6);
+            this.ctx.lineTo(point.x + 6, point.y + 6);
+            this.ctx.moveTo(point.x + 6, point.y - 6);
+            this.ctx.lineTo(point.x - 6, point.y + 6);
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Desenha a construção de De Casteljau / de Boor: cada nível como uma
+     * poligonal de uma cor, o ponto resultante e a tangente (que passa pelos
+     * dois pontos do penúltimo nível)
+     * @param {Array} levels - Níveis (o último tem só o ponto da curva)
+     * @param {Object|null} tangent - Direção unitária da tangente {x, y}
+     */
+    drawConstruction(levels, tangent) {
+        const last = levels.length - 1;
+
+        levels.slice(0, last).forEach((level, r) => {
+            const color = `hsl(${Math.round(240 * r / Math.max(1, last - 1))}, 70%, 45%)`;
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.lineWidth = r === 0 ? 2 : 1.5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(level[0].x, level[0].y);
+            level.slice(1).forEach(p => this.ctx.lineTo(p.x, p.y));
+            this.ctx.stroke();
+
+            level.forEach(p => {
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, 3, 0, 2 * Math.PI);
+                this.ctx.fill();
+            });
+        });
+
+        const point = levels[last][0];
+        if (tangent) {
+            this.ctx.strokeStyle = '#212121';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(point.x - tangent.x * 60, point.y - tangent.y * 60);
+            this.ctx.lineTo(point.x + tangent.x * 60, point.y + tangent.y * 60);
+            this.ctx.stroke();
+        }
+
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#d32f2f';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Desenha uma seta de from até to
+     * @param {Object} from - Origem {x, y}
+     * @param {Object} to - Ponta {x, y}
+     * @param {string} color - Cor
+     * @param {number} lineWidth - Espessura
+     */
+    drawArrow(from, to, color, lineWidth = 2) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const head = 8;
+
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.beginPath();
+        this.ctx.moveTo(from.x, from.y);
+        this.ctx.lineTo(to.x, to.y);
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(to.x, to.y);
+        this.ctx.lineTo(to.x - head * Math.cos(angle - 0.4), to.y - head * Math.sin(angle - 0.4));
+        this.ctx.lineTo(to.x - head * Math.cos(angle + 0.4), to.y - head * Math.sin(angle + 0.4));
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
+    /**
+     * Desenha o referencial de Frenet: tangente T e normal N (para o centro
+     * de curvatura). Sem tangente (velocidade nula) marca só o ponto
+     * @param {Object} point - Ponto da curva
+     * @param {Object|null} tangent - Tangente unitária
+     * @param {Object|null} normal - Normal unitária
+     * @param {number} curvature - Curvatura com sinal
+     */
+    drawFrenetFrame(point, tangent, normal, curvature) {
+        const length = 50;
+
+        if (tangent) {
+            const tip = { x: point.x + tangent.x * length, y: point.y + tangent.y * length };
+            this.drawArrow(point, tip, '#1565c0');
+            const normalTip = { x: point.x + normal.x * length, y: point.y + normal.y * length };
+            this.drawArrow(point, normalTip, '#2e7d32');
+
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillStyle = '#1565c0';
+            this.ctx.fillText('T', tip.x + tangent.x * 10, tip.y + tangent.y * 10);
+            this.ctx.fillStyle = '#2e7d32';
+            this.ctx.fillText(Math.abs(curvature) < 1e-6 ? 'N (κ≈0)' : 'N',
+                normalTip.x + normal.x * 12, normalTip.y + normal.y * 12);
+        }
+
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI);
+        this.ctx.fillStyle = tangent ? '#212121' : '#d32f2f';
+        this.ctx.fill();
+    }
+
+    /**
+     * Desenha o hodógrafo num quadro no canto inferior direito do canvas,
+     * com a origem no centro e escala que cabe a curva e os polígonos
+     * @param {Object} hodograph - {pieces: [[{vector}]], polygons}
+     * @param {Object} current - Vetor C'(t) em destaque
+     * @param {string} color - Cor da curva
+     */
+    drawHodographInset(hodograph, current, color) {
+        const { width, height } = this.getCanvasSize();
+        const size = 200;
+        const left = width - size - 12;
+        const top = height - size - 12;
+        const center = { x: left + size / 2, y: top + size / 2 };
+
+        const vectors = [current, ...hodograph.pieces.flat().map(s => s.vector), ...hodograph.polygons.flat()];
+        const extent = Math.max(...vectors.map(v => Math.max(Math.abs(v.x), Math.abs(v.y))));
+        const scale = extent > 0 ? (size / 2 - 12) / extent : 1;
+        const toInset = v => ({ x: center.x + v.x * scale, y: center.y + v.y * scale });
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        this.ctx.fillRect(left, top, size, size);
+        this.ctx.strokeStyle = '#bdbdbd';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(left, top, size, size);
+
+        // Eixos pela origem
+        this.ctx.strokeStyle = '#e0e0e0';
+        this.ctx.beginPath();
+        this.ctx.moveTo(left, center.y);
+        this.ctx.lineTo(left + size, center.y);
+        this.ctx.moveTo(center.x, top);
+        this.ctx.lineTo(center.x, top + size);
+        this.ctx.stroke();
+
+        this.ctx.setLineDash([4, 3]);
+        hodograph.polygons.forEach(polygon => {
+            if (polygon.length === 0) return;
+            const points = polygon.map(toInset);
+            this.ctx.strokeStyle = '#9e9e9e';
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(p => this.ctx.lineTo(p.x, p.y));
+            this.ctx.stroke();
+        });
+        this.ctx.setLineDash([]);
+        this.ctx.fillStyle = '#9e9e9e';
+        hodograph.polygons.flat().map(toInset).forEach(p => {
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, 2.5, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+
+        hodograph.pieces.forEach(piece => this.drawCurve(piece.map(s => toInset(s.vector)), color, 2));
+
+        this.drawArrow(center, toInset(current), '#d32f2f');
+
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, 3, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#212121';
+        this.ctx.fill();
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillStyle = '#424242';
+        this.ctx.fillText("Hodógrafo C'(t)", left + 6, top + 5);
+    }
+
+    /**
+     * Desenha o marcador que percorre a curva: a imagem (se houver) ou uma
+     * seta, centrados no ponto e girados pelo ângulo da tangente
+     * @param {Object} point - Ponto da curva
+     * @param {number} angle - Ângulo da tangente (rad)
+     * @param {HTMLImageElement|null} sprite - Imagem, com a frente voltada para +x
+     * @param {number} size - Maior dimensão da imagem (px)
+     */
+    drawMotionMarker(point, angle, sprite, size = 48) {
+        this.ctx.save();
+        this.ctx.translate(point.x, point.y);
+        this.ctx.rotate(angle);
+
+        if (sprite) {
+            const scale = size / Math.max(sprite.width, sprite.height, 1);
+            const w = sprite.width * scale;
+            const h = sprite.height * scale;
+            this.ctx.drawImage(sprite, -w / 2, -h / 2, w, h);
+        } else {
+            this.ctx.beginPath();
+            this.ctx.moveTo(14, 0);
+            this.ctx.lineTo(-10, -9);
+            this.ctx.lineTo(-5, 0);
+            this.ctx.lineTo(-10, 9);
+            this.ctx.closePath();
+            this.ctx.fillStyle = '#ff6f00';
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Desenha rótulos acima dos pontos de controle (argumentos da forma polar)
+     * @param {Array} points - Pontos {x, y}
+     * @param {Array} labels - Texto de cada ponto
+     */
+    drawBlossomLabels(points, labels) {
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+
+        points.forEach((p, i) => {
+            const width = this.ctx.measureText(labels[i]).width;
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            this.ctx.fillRect(p.x - width / 2 - 3, p.y - 30, width + 6, 15);
+            this.ctx.fillStyle = '#37474f';
+            this.ctx.fillText(labels[i], p.x, p.y - 16);
+        });
+    }
+
+    /**
+     * Desenha o fecho convexo dos pontos de controle
+     * @param {Array} hull - Vértices do fecho, em ordem
+     */
+    drawConvexHull(hull) {
+        if (hull.length < 2) return;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(hull[0].x, hull[0].y);
+        hull.slice(1).forEach(p => this.ctx.lineTo(p.x, p.y));
+        this.ctx.closePath();
+        this.ctx.fillStyle = 'rgba(76, 175, 80, 0.08)';
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'rgba(56, 142, 60, 0.8)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Desenha uma caixa envolvente (alinhada aos eixos ou orientada)
+     * @param {Array} corners - Os quatro cantos, em ordem
+     * @param {string} color - Cor do contorno
+     */
+    drawBoundingBox(corners, color = '#1e88e5') {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach(p => this.ctx.lineTo(p.x, p.y));
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Desenha os extremos em x e y com um traço na direção da tangente
+     * (vertical nos extremos em x, horizontal nos extremos em y)
+     * @param {Array} extrema - Extremos {t, point, axis}
+     */
+    drawExtremaMarkers(extrema) {
+        this.ctx.strokeStyle = '#1565c0';
+        this.ctx.fillStyle = '#1565c0';
+        this.ctx.lineWidth = 2;
+        extrema.forEach(({ point, axis }) => {
+            this.ctx.beginPath();
+            if (axis === 'x') {
+                this.ctx.moveTo(point.x, point.y - 8);
+                this.ctx.lineTo(point.x, point.y + 8);
+            } else {
+                this.ctx.moveTo(point.x - 8, point.y);
+                this.ctx.lineTo(point.x + 8, point.y);
+            }
+            this.ctx.stroke();
+
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Desenha o círculo osculador num ponto da curva
+     * Com curvatura quase nula desenha apenas a tangente
+     * @param {Object} sample - Amostra {t, point, normal, curvature}
+     */
+    drawOsculatingCircle(sample) {
+        const { point, normal, curvature } = sample;
+        const radius = Math.abs(curvature) > 1e-6 ? 1 / Math.abs(curvature) : Infinity;
+
+        this.ctx.strokeStyle = 'rgba(0, 150, 136, 0.8)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([5, 4]);
+        this.ctx.beginPath();
+
+        if (radius < 5000) {
+            const center = {
+                x: point.x + normal.x / curvature,
+                y: point.y + normal.y / curvature
+            };
+            this.ctx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+            this.ctx.moveTo(point.x, point.y);
+            this.ctx.lineTo(center.x, center.y);
+        } else {
+            // Tangente: perpendicular à normal
+            this.ctx.moveTo(point.x + normal.y * 200, point.y - normal.x * 200);
+            this.ctx.lineTo(point.x - normal.y * 200, point.y + normal.x * 200);
+        }
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#009688';
+        this.ctx.fill();
+
+        const label = radius < 5000
+            ? `t=${sample.t.toFixed(3)}  κ=${curvature.toFixed(4)}  R=${radius.toFixed(1)}`
+            : `t=${sample.t.toFixed(3)}  κ≈0`;
+        this.ctx.fillStyle = '#00695c';
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(label, point.x + 8, point.y - 8);
+    }
+
     /**
      * Desenha o peso de um ponto (visualização)
      * @param {Object} point - Ponto {x, y, weight}
@@ -362,6 +982,94 @@ export class Renderer {
         };
     }
 
+    /**
+     * Desenha o gráfico das funções base: uma curva por função (cor do ponto
+     * de controle), a região fora do domínio válido sombreada, os nós no eixo
+     * e o t atual com o valor de cada função
+     * @param {Object} plot - {domain, valid, knots, functions: [{point, samples: [{t, value}]}]}
+     * @param {Object} current - {t, values, highlight (índice do ponto em destaque ou -1)}
+     */
+    drawBasisFunctions(plot, current) {
+        const width = this.canvas.width / this.pixelRatio;
+        const height = this.canvas.height / this.pixelRatio;
+        const margin = { left: 28, right: 12, top: 12, bottom: 24 };
+        const [a, b] = plot.domain;
+        const toX = t => margin.left + (t - a) / ((b - a) || 1) * (width - margin.left - margin.right);
+        const toY = v => height - margin.bottom - v * (height - margin.top - margin.bottom);
+        const colorOf = point => `hsl(${(point * 47) % 360}, 65%, 45%)`;
+
+        // Fora do domínio válido (spline com nós não presos)
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+        this.ctx.fillRect(toX(a), toY(1), toX(plot.valid[0]) - toX(a), toY(0) - toY(1));
+        this.ctx.fillRect(toX(plot.valid[1]), toY(1), toX(b) - toX(plot.valid[1]), toY(0) - toY(1));
+
+        // Eixos em 0 e 1
+        this.ctx.strokeStyle = '#bbbbbb';
+        this.ctx.lineWidth = 1;
+        this.ctx.fillStyle = '#666666';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        [0, 1].forEach(v => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(toX(a), toY(v));
+            this.ctx.lineTo(toX(b), toY(v));
+            this.ctx.stroke();
+            this.ctx.fillText(String(v), margin.left - 6, toY(v));
+        });
+
+        // Nós (com a multiplicidade quando maior que 1)
+        if (plot.knots) {
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'top';
+            const distinct = plot.knots.filter((u, i, all) => i === 0 || u > all[i - 1]);
+            distinct.forEach(u => {
+                const multiplicity = plot.knots.filter(k => k === u).length;
+                this.ctx.beginPath();
+                this.ctx.moveTo(toX(u), toY(0));
+                this.ctx.lineTo(toX(u), toY(0) + 5);
+                this.ctx.stroke();
+                this.ctx.fillText(multiplicity > 1 ? `${+u.toFixed(2)} (×${multiplicity})` : `${+u.toFixed(2)}`, toX(u), toY(0) + 7);
+            });
+        }
+
+        // Funções (a destacada por cima)
+        const dimmed = current.highlight >= 0;
+        const order = [...plot.functions].sort((f, g) =>
+            (f.point === current.highlight) - (g.point === current.highlight));
+        order.forEach(fn => {
+            const isHighlight = fn.point === current.highlight;
+            this.ctx.globalAlpha = dimmed && !isHighlight ? 0.35 : 1;
+            this.ctx.strokeStyle = colorOf(fn.point);
+            this.ctx.lineWidth = isHighlight ? 3 : 1.5;
+            this.ctx.beginPath();
+            fn.samples.forEach((s, i) => {
+                if (i === 0) this.ctx.moveTo(toX(s.t), toY(s.value));
+                else this.ctx.lineTo(toX(s.t), toY(s.value));
+            });
+            this.ctx.stroke();
+        });
+        this.ctx.globalAlpha = 1;
+
+        // t atual e o valor de cada função nele
+        this.ctx.strokeStyle = '#d32f2f';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(toX(current.t), toY(0));
+        this.ctx.lineTo(toX(current.t), toY(1));
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        current.values.forEach((value, j) => {
+            if (value <= 0) return;
+            this.ctx.beginPath();
+            this.ctx.arc(toX(current.t), toY(value), 3, 0, 2 * Math.PI);
+            this.ctx.fillStyle = colorOf(plot.functions[j].point);
+            this.ctx.fill();
+        });
+    }
+
     /**
      * Redimensiona o canvas
      */
@@ -0,0 +1,133 @@
+/**
+ * Módulo de visualização 3D das curvas espaciais
+ * Reaproveita a cena, a câmera e os controles de órbita do Renderer3D da
+ * Questão 02; o plano do canvas vira o chão da cena (x para a direita, y do
+ * canvas para a frente) e a profundidade z de cada ponto vira a altura
+ */
+
+import { Renderer3D } from '../../Questao02/js/renderer3D.js';
+
+// Tamanho, em unidades da cena, do lado maior do canvas
+const SCENE_SIZE = 8;
+
+export class CurveRenderer3D extends Renderer3D {
+    constructor(container) {
+        super(container);
+        this.curveObjects = [];
+        this.center = { x: 0, y: 0 };
+        this.scale = 1;
+    }
+
+    /**
+     * Auxiliares visuais: eixos e grade no plano do canvas (z = 0)
+     */
+    setupHelpers() {
+        this.axisHelper = new THREE.AxesHelper(SCENE_SIZE / 2);
+        this.scene.add(this.axisHelper);
+
+        const gridHelper = new THREE.GridHelper(SCENE_SIZE, 16, 0x444444, 0x222222);
+        this.scene.add(gridHelper);
+    }
+
+    /**
+     * Define a região do canvas mostrada na cena (a escala é fixa para que a
+     * vista não mude enquanto os pontos são arrastados)
+     * @param {number} width - Largura do canvas
+     * @param {number} height - Altura do canvas
+     */
+    setFrame(width, height) {
+        this.center = { x: width / 2, y: height / 2 };
+        this.scale = SCENE_SIZE / Math.max(width, height, 1);
+    }
+
+    /**
+     * Converte um ponto do canvas para a cena
+     * @param {Object} p - Ponto {x, y, z}
+     * @returns {THREE.Vector3} Posição na cena
+     */
+    toScene(p) {
+        return new THREE.Vector3(
+            (p.x - this.center.x) * this.scale,
+            (p.z ?? 0) * this.scale,
+            (p.y - this.center.y) * this.scale
+        );
+    }
+
+    /**
+     * Remove a curva, o polígono e os pontos desenhados
+     */
+    clearCurve() {
+        this.curveObjects.forEach(object => {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.curveObjects = [];
+    }
+
+    /**
+     * Adiciona um objeto de linhas ou pontos à cena
+     * @param {Function} Type - THREE.Line, THREE.LineSegments ou THREE.Points
+     * @param {Array} points - Pontos do canvas {x, y, z}
+     * @param {THREE.Material} material - Material
+     */
+    addObject(Type, points, material) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points.map(p => this.toScene(p)));
+        const object = new Type(geometry, material);
+        if (material.isLineDashedMaterial) object.computeLineDistances();
+        this.scene.add(object);
+        this.curveObjects.push(object);
+    }
+
+    /**
+     * Atualiza a curva espacial
+     * @param {Array} curvePoints - Pontos amostrados da curva {x, y, z}
+     * @param {Array} controlPoints - Pontos de controle {x, y, z}
+     * @param {string} color - Cor da curva (CSS)
+     * @param {number} selectedIndex - Índice do ponto selecionado (-1 se nenhum)
+     */
+    updateCurve(curvePoints, controlPoints, color, selectedIndex = -1) {
+        this.clearCurve();
+
+        if (curvePoints.length >= 2) {
+            this.addObject(THREE.Line, curvePoints, new THREE.LineBasicMaterial({ color: new THREE.Color(color) }));
+        }
+
+        if (controlPoints.length >= 2) {
+            this.addObject(THREE.Line, controlPoints, new THREE.LineDashedMaterial({
+                color: 0x999999,
+                dashSize: 0.1,
+                gapSize: 0.08
+            }));
+        }
+
+        // Prumos até o plano z = 0: dão a leitura da profundidade de cada ponto
+        const drops = controlPoints
+            .filter(p => (p.z ?? 0) !== 0)
+            .flatMap(p => [p, { x: p.x, y: p.y, z: 0 }]);
+        if (drops.length > 0) {
+            this.addObject(THREE.LineSegments, drops, new THREE.LineBasicMaterial({
+                color: 0x666666,
+                transparent: true,
+                opacity: 0.6
+            }));
+        }
+
+        if (controlPoints.length > 0) {
+            this.addObject(THREE.Points, controlPoints, new THREE.PointsMaterial({ color: 0xe2e8f0, size: 0.12 }));
+        }
+
+        const selected = controlPoints[selectedIndex];
+        if (selected) {
+            this.addObject(THREE.Points, [selected], new THREE.PointsMaterial({ color: 0xf9a825, size: 0.2 }));
+        }
+    }
+
+    /**
+     * Limpa recursos, incluindo a curva
+     */
+    dispose() {
+        this.clearCurve();
+        super.dispose();
+    }
+}
@@ -1,18 +1,67 @@
 /**
  * Módulo para cálculo de Curvas Spline (B-Spline Cúbica)
  * Implementa interpolação B-spline com grau variável
+ * Suporta NURBS (B-splines racionais) através do peso de cada ponto de controle
+ * Os pontos de controle podem ter qualquer número de coordenadas (ver vector.js)
  */
 
+import {
+    axesOf,
+    coordinates,
+    toHomogeneous,
+    project,
+    toWeighted,
+    lerpPoints,
+    combinePoints,
+    zeroPoint,
+    distance
+} from './vector.js';
+
 /**
- * Gera o vetor de nós (knot vector) uniforme
+ * Gera o vetor de nós (knot vector)
+ * Tipos suportados:
+ * - 'clamped': uniforme aberto, multiplicidade p+1 nas extremidades (padrão)
+ * - 'uniform': uniforme não fixado (0, 1, 2, ...), a curva não toca os extremos
+ * - 'chord': fixado, nós internos por média dos parâmetros de comprimento de corda
+ * - 'centripetal': fixado, como 'chord' mas usando a raiz das distâncias
  * @param {number} n - Número de pontos de controle
  * @param {number} degree - Grau da spline
+ * @param {string} type - Tipo do vetor de nós
+ * @param {Array} controlPoints - Pontos de controle (necessário para 'chord' e 'centripetal')
  * @returns {Array} Vetor de nós
  */
-export function generateKnotVector(n, degree) {
+export function generateKnotVector(n, degree, type = 'clamped', controlPoints = null) {
     const m = n + degree + 1; // Tamanho do vetor de nós
     const knots = [];
 
+    if (type === 'uniform') {
+        for (let i = 0; i < m; i++) {
+            knots.push(i);
+        }
+        return knots;
+    }
+
+    if ((type === 'chord' || type === 'centripetal') && controlPoints && n > degree) {
+        const params = chordParameters(controlPoints, type === 'centripetal' ? 0.5 : 1);
+        const span = n - degree;
+
+        for (let i = 0; i <= degree; i++) {
+            knots.push(0);
+        }
+        // Nós internos pela média de p parâmetros consecutivos (Piegl & Tiller)
+        for (let j = 1; j < n - degree; j++) {
+            let sum = 0;
+            for (let i = j; i < j + degree; i++) {
+                sum += params[i];
+            }
+            knots.push(span * sum / degree);
+        }
+        for (let i = 0; i <= degree; i++) {
+            knots.push(span);
+        }
+        return knots;
+    }
+
     // Vetor de nós uniforme aberto (clamped)
     for (let i = 0; i < m; i++) {
         if (i <= degree) {
@@ -27,8 +76,129 @@ export function generateKnotVector(n, degree) {
     return knots;
 }
 
+/**
+ * Calcula parâmetros normalizados em [0, 1] a partir das distâncias entre pontos
+ * @param {Array} points - Pontos {x, y}
+ * @param {number} exponent - 1 para comprimento de corda, 0.5 para centrípeto
+ * @returns {Array} Parâmetros crescentes, o primeiro 0 e o último 1
+ */
+export function chordParameters(points, exponent = 1) {
+    const axes = axesOf(points);
+    const params = [0];
+    let total = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        total += Math.pow(distance(points[i], points[i - 1], axes), exponent);
+        params.push(total);
+    }
+
+    // Pontos coincidentes: recai em parâmetros uniformes
+    if (total < 1e-12) {
+        return points.map((_, i) => points.length > 1 ? i / (points.length - 1) : 0);
+    }
+
+    return params.map(u => u / total);
+}
+
+/**
+ * Gera o vetor de nós de uma B-spline fechada (periódica)
+ * Deve ser usado junto com wrapControlPoints: para n pontos distintos
+ * a curva usa n + p pontos e n + 2p + 1 nós, com intervalos que se repetem a cada n
+ * @param {Array} points - Pontos de controle distintos (sem repetição)
+ * @param {number} degree - Grau da spline
+ * @param {string} type - 'uniform', 'chord' ou 'centripetal' ('clamped' equivale a 'uniform')
+ * @returns {Array} Vetor de nós periódico
+ */
+export function generatePeriodicKnotVector(points, degree, type = 'uniform') {
+    const n = points.length;
+    const intervals = new Array(n).fill(1);
+
+    if ((type === 'chord' || type === 'centripetal') && n > 1) {
+        const exponent = type === 'centripetal' ? 0.5 : 1;
+        const axes = axesOf(points);
+        const chords = points.map((p, i) => Math.pow(distance(points[(i + 1) % n], p, axes), exponent));
+
+        // Cada vão recebe a média das p cordas dos pontos que o influenciam
+        for (let j = 0; j < n; j++) {
+            let sum = 0;
+            for (let i = j - degree; i < j; i++) {
+                sum += chords[((i % n) + n) % n];
+            }
+            intervals[j] = sum / degree;
+        }
+
+        const total = intervals.reduce((a, b) => a + b, 0);
+        if (total < 1e-12) {
+            intervals.fill(1);
+        } else {
+            for (let j = 0; j < n; j++) {
+                intervals[j] = intervals[j] * n / total;
+            }
+        }
+    }
+
+    const knots = [0];
+    for (let j = 0; j < n + 2 * degree; j++) {
+        knots.push(knots[j] + intervals[j % n]);
+    }
+
+    return knots;
+}
+
+/**
+ * Repete os primeiros p pontos no final para fechar a curva periodicamente
+ * @param {Array} points - Pontos de controle distintos
+ * @param {number} degree - Grau da spline
+ * @returns {Array} Pontos de controle estendidos
+ */
+export function wrapControlPoints(points, degree) {
+    if (points.length === 0) return [];
+
+    const wrapped = [...points];
+    for (let i = 0; i < degree; i++) {
+        wrapped.push(points[i % points.length]);
+    }
+    return wrapped;
+}
+
+/**
+ * Valida um vetor de nós para n pontos de controle e grau p
+ * @param {Array} knots - Vetor de nós
+ * @param {number} n - Número de pontos de controle
+ * @param {number} degree - Grau da spline
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+export function validateKnotVector(knots, n, degree) {
+    if (!Array.isArray(knots) || knots.some(k => !Number.isFinite(k))) {
+        return 'O vetor de nós deve conter apenas números.';
+    }
+    if (knots.length !== n + degree + 1) {
+        return `O vetor de nós deve ter ${n + degree + 1} valores (pontos + grau + 1).`;
+    }
+    for (let i = 1; i < knots.length; i++) {
+        if (knots[i] < knots[i - 1]) {
+            return 'Os nós devem estar em ordem não decrescente.';
+        }
+    }
+    if (knots[n] <= knots[degree]) {
+        return 'O domínio da curva (entre os nós p e n) está vazio.';
+    }
+    for (let i = degree + 1; i < n; i++) {
+        let multiplicity = 1;
+        while (i + multiplicity < n && knots[i + multiplicity] === knots[i]) {
+            multiplicity++;
+        }
+        if (multiplicity > degree) {
+            return `Nó interno ${knots[i]} com multiplicidade maior que o grau.`;
+        }
+    }
+    return null;
+}
+
 /**
  * Calcula a função base B-spline usando a fórmula de Cox-de Boor
+ * Versão recursiva, mantida como referência didática: o custo cresce
+ * exponencialmente com o grau. Para avaliar a curva use basisFunctions/deBoor.
  * @param {number} i - Índice da função base
  * @param {number} degree - Grau da spline
  * @param {number} t - Parâmetro t
@@ -38,8 +208,10 @@ export function generateKnotVector(n, degree) {
 export function bSplineBasis(i, degree, t, knots) {
     // Caso base: grau 0
     if (degree === 0) {
-        // Tratamento especial para o último intervalo (t == knots[i+1])
-        if (i === knots.length - degree - 2 && Math.abs(t - knots[i + 1]) < 1e-10) {
+        // Tratamento especial para o último intervalo não vazio, fechado à
+        // direita no último nó (com nós repetidos no fim ele não é o de índice m-2)
+        const last = knots[knots.length - 1];
+        if (knots[i] < knots[i + 1] && knots[i + 1] === last && Math.abs(t - last) < 1e-10) {
             return 1;
         }
         return (t >= knots[i] && t < knots[i + 1]) ? 1 : 0;
@@ -67,33 +239,382 @@ export function bSplineBasis(i, degree, t, knots) {
 }
 
 /**
- * Calcula um ponto na curva B-spline
- * @param {Array} controlPoints - Pontos de controle
+ * Encontra o intervalo de nós (span) que contém t
+ * Retorna s tal que knots[s] <= t < knots[s+1], restrito a [degree, n-1];
+ * no fim do domínio retorna o último intervalo não vazio
+ * @param {number} n - Número de pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {number} t - Parâmetro t
+ * @param {Array} knots - Vetor de nós
+ * @returns {number} Índice do span
+ */
+export function findKnotSpan(n, degree, t, knots) {
+    if (t >= knots[n]) {
+        let span = n - 1;
+        while (span > degree && knots[span] >= knots[n]) {
+            span--;
+        }
+        return span;
+    }
+    if (t <= knots[degree]) {
+        let span = degree;
+        while (span < n - 1 && knots[span + 1] <= knots[degree]) {
+            span++;
+        }
+        return span;
+    }
+
+    // Busca binária
+    let low = degree;
+    let high = n;
+    let mid = Math.floor((low + high) / 2);
+    while (t < knots[mid] || t >= knots[mid + 1]) {
+        if (t < knots[mid]) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+        mid = Math.floor((low + high) / 2);
+    }
+    return mid;
+}
+
+/**
+ * Calcula as p+1 funções base não nulas no span (algoritmo triangular de Cox-de Boor)
+ * O resultado N[j] corresponde a N_{span-p+j, p}(t)
+ * @param {number} span - Índice do span (de findKnotSpan)
+ * @param {number} t - Parâmetro t
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Valores das funções base não nulas
+ */
+export function basisFunctions(span, t, degree, knots) {
+    const N = [1];
+    const left = [0];
+    const right = [0];
+
+    for (let j = 1; j <= degree; j++) {
+        left[j] = t - knots[span + 1 - j];
+        right[j] = knots[span + j] - t;
+        let saved = 0;
+        for (let r = 0; r < j; r++) {
+            const denom = right[r + 1] + left[j - r];
+            const temp = denom !== 0 ? N[r] / denom : 0;
+            N[r] = saved + right[r + 1] * temp;
+            saved = left[j - r] * temp;
+        }
+        N[j] = saved;
+    }
+
+    return N;
+}
+
+/**
+ * Soma os p+1 pontos homogêneos do span ponderados pelas funções base
+ * Em 2D e 3D as coordenadas são acumuladas diretamente; as demais dimensões
+ * usam combinePoints
+ * @param {Array} points - Pontos homogêneos {x, y, ..., w}
+ * @param {number} span - Índice do span
+ * @param {Array} N - Funções base não nulas (de basisFunctions)
+ * @param {number} degree - Grau da spline
+ * @param {Array} axes - Eixos dos pontos
+ * @returns {Object} Ponto homogêneo {x, y, ..., w}
+ */
+function combineSpan(points, span, N, degree, axes) {
+    const first = span - degree;
+
+    if (axes.length <= 3) {
+        const spatial = axes.length === 3;
+        let x = 0, y = 0, z = 0, w = 0;
+        for (let j = 0; j <= degree; j++) {
+            const p = points[first + j];
+            x += N[j] * p.x;
+            y += N[j] * p.y;
+            if (spatial) z += N[j] * p.z;
+            w += N[j] * p.w;
+        }
+        return spatial ? { x, y, z, w } : { x, y, w };
+    }
+
+    const terms = N.slice(0, degree + 1).map((value, j) => [value, points[first + j]]);
+    return combinePoints(terms, [...axes, 'w']);
+}
+
+/**
+ * Triângulo de de Boor da forma polar (blossom) do trecho polinomial do span:
+ * a etapa r interpola com o r-ésimo parâmetro, em coordenadas homogêneas
+ * @param {Array} controlPoints - Pontos de controle {x, y, ..., weight}
+ * @param {Array} params - Parâmetros (t1, ..., tp)
+ * @param {number} span - Índice do span (o trecho [u_span, u_span+1))
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Níveis homogêneos; o nível r tem os pontos j >= r e o último só f(t1, ..., tp)
+ */
+function blossomTriangle(controlPoints, params, span, degree, knots) {
+    const axes = axesOf(controlPoints);
+    const keys = [...axes, 'w'];
+    const d = toHomogeneous(controlPoints.slice(span - degree, span + 1), axes);
+    const levels = [d.slice()];
+
+    params.forEach((t, index) => {
+        const r = index + 1;
+        for (let j = degree; j >= r; j--) {
+            const i = span - degree + j;
+            const denom = knots[i + degree + 1 - r] - knots[i];
+            const alpha = denom !== 0 ? (t - knots[i]) / denom : 0;
+            d[j] = lerpPoints(d[j - 1], d[j], alpha, keys);
+        }
+        levels.push(d.slice(r));
+    });
+
+    return levels;
+}
+
+/**
+ * Forma polar homogênea f_span(t1, ..., tp)
+ * @returns {Object} Ponto homogêneo {x, y, ..., w}
+ */
+function blossomHomogeneous(controlPoints, params, span, degree, knots) {
+    return blossomTriangle(controlPoints, params, span, degree, knots)[params.length][0];
+}
+
+/**
+ * Span padrão da forma polar: o que contém a média dos parâmetros
+ * (todos iguais a t: o span de t)
+ * @returns {number} Índice do span
+ */
+function defaultBlossomSpan(n, params, degree, knots) {
+    const mean = params.reduce((acc, t) => acc + t, 0) / params.length;
+    return findKnotSpan(n, degree, Math.max(knots[degree], Math.min(knots[n], mean)), knots);
+}
+
+/**
+ * Avalia a forma polar (blossom) de um trecho polinomial da B-spline
+ * No span s, f_s(t1, ..., tp) é simétrica e afim em cada argumento, com
+ * f_s(t, ..., t) = C(t) em [u_s, u_{s+1}) e P_i = f_s(u_{i+1}, ..., u_{i+p})
+ * para i = s-p..s; inserção de nós e derivadas saem de f. Em NURBS f é
+ * avaliada em coordenadas homogêneas
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+ * @param {Array} params - Parâmetros (t1, ..., tp), p = grau
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @param {number|null} span - Span do trecho (padrão: o da média dos parâmetros)
+ * @returns {Object|null} Ponto {x, y, weight}, ou null se a quantidade de parâmetros não é o grau
+ */
+export function bSplineBlossom(controlPoints, params, degree, knots, span = null) {
+    const n = controlPoints.length;
+    if (n < degree + 1 || params.length !== degree) return null;
+
+    const s = span ?? defaultBlossomSpan(n, params, degree, knots);
+    const h = blossomHomogeneous(controlPoints, params, s, degree, knots);
+    return toWeighted(h, axesOf(controlPoints));
+}
+
+/**
+ * Níveis intermediários da avaliação da forma polar (visualização)
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+ * @param {Array} params - Parâmetros (t1, ..., tp), p = grau
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @param {number|null} span - Span do trecho (padrão: o da média dos parâmetros)
+ * @returns {Object|null} {span, levels}: o nível 0 são os p+1 pontos do span e o último tem só f(t1, ..., tp)
+ */
+export function bSplineBlossomLevels(controlPoints, params, degree, knots, span = null) {
+    const n = controlPoints.length;
+    if (n < degree + 1 || params.length !== degree) return null;
+
+    const s = span ?? defaultBlossomSpan(n, params, degree, knots);
+    const axes = axesOf(controlPoints);
+    const levels = blossomTriangle(controlPoints, params, s, degree, knots)
+        .map(level => level.map(p => project(p, axes)));
+    return { span: s, levels };
+}
+
+/**
+ * Algoritmo de de Boor: avalia a NURBS pela forma polar do span ativo com
+ * todos os parâmetros iguais a t
+ * Os p+1 pontos homogêneos do span são sobrescritos no lugar a cada etapa;
+ * os níveis intermediários só são guardados em deBoorLevels
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
  * @param {number} t - Parâmetro t
  * @param {number} degree - Grau da spline
  * @param {Array} knots - Vetor de nós
+ * @param {Array} axes - Eixos dos pontos (calculados uma vez por curva; padrão: axesOf)
  * @returns {Object} Ponto calculado {x, y}
  */
-export function evaluateBSpline(controlPoints, t, degree, knots) {
-    if (controlPoints.length === 0) return null;
-    
+export function deBoor(controlPoints, t, degree, knots, axes = axesOf(controlPoints)) {
     const n = controlPoints.length;
-    let x = 0;
-    let y = 0;
+    if (n === 0) return null;
+
+    const tClamped = Math.max(knots[degree], Math.min(knots[n], t));
+    const span = findKnotSpan(n, degree, tClamped, knots);
+    if (axes.length <= 3) {
+        return deBoorCartesian(controlPoints, tClamped, span, degree, knots, axes.length === 3);
+    }
+
+    const keys = [...axes, 'w'];
+    const d = toHomogeneous(controlPoints.slice(span - degree, span + 1), axes);
+
+    for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+            const i = span - degree + j;
+            const denom = knots[i + degree + 1 - r] - knots[i];
+            const alpha = denom !== 0 ? (tClamped - knots[i]) / denom : 0;
+            d[j] = lerpPoints(d[j - 1], d[j], alpha, keys);
+        }
+    }
+
+    const h = d[degree];
+    if (Math.abs(h.w) < 1e-12) return null;
+
+    return project(h, axes);
+}
+
+/**
+ * de Boor em 2D e 3D com as coordenadas homogêneas em vetores numéricos
+ * (sem objetos intermediários)
+ * @param {Array} controlPoints - Pontos de controle {x, y, (z), weight}
+ * @param {number} t - Parâmetro t, já limitado ao domínio
+ * @param {number} span - Span de t
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @param {boolean} spatial - Se os pontos têm z
+ * @returns {Object|null} Ponto {x, y} ou {x, y, z}, ou null se w se anula
+ */
+function deBoorCartesian(controlPoints, t, span, degree, knots, spatial) {
+    const x = new Array(degree + 1);
+    const y = new Array(degree + 1);
+    const z = new Array(degree + 1);
+    const w = new Array(degree + 1);
+    for (let j = 0; j <= degree; j++) {
+        const p = controlPoints[span - degree + j];
+        const weight = p.weight || 1;
+        x[j] = p.x * weight;
+        y[j] = p.y * weight;
+        z[j] = spatial ? (p.z ?? 0) * weight : 0;
+        w[j] = weight;
+    }
+
+    for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+            const i = span - degree + j;
+            const denom = knots[i + degree + 1 - r] - knots[i];
+            const alpha = denom !== 0 ? (t - knots[i]) / denom : 0;
+            x[j] = (1 - alpha) * x[j - 1] + alpha * x[j];
+            y[j] = (1 - alpha) * y[j - 1] + alpha * y[j];
+            if (spatial) z[j] = (1 - alpha) * z[j - 1] + alpha * z[j];
+            w[j] = (1 - alpha) * w[j - 1] + alpha * w[j];
+        }
+    }
+
+    const h = w[degree];
+    if (Math.abs(h) < 1e-12) return null;
+    return spatial
+        ? { x: x[degree] / h, y: y[degree] / h, z: z[degree] / h }
+        : { x: x[degree] / h, y: y[degree] / h };
+}
+
+/**
+ * Algoritmo de de Boor guardando todos os níveis intermediários
+ * (visualização da construção); cada ponto é projetado de volta dividindo por w
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+ * @param {number} t - Parâmetro t
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @returns {Object} {span, levels}: o nível 0 são os p+1 pontos do span e o último tem só o ponto da curva
+ */
+export function deBoorLevels(controlPoints, t, degree, knots) {
+    const n = controlPoints.length;
+    const tClamped = Math.max(knots[degree], Math.min(knots[n], t));
+    const span = findKnotSpan(n, degree, tClamped, knots);
+    return bSplineBlossomLevels(controlPoints, new Array(degree).fill(tClamped), degree, knots, span);
+}
 
-    // Garante que t está no intervalo válido
+/**
+ * Calcula um ponto na curva B-spline racional (NURBS)
+ * Avalia em coordenadas homogêneas e projeta de volta dividindo por w;
+ * com todos os pesos iguais a 1 o resultado é a B-spline polinomial
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+ * @param {number} t - Parâmetro t
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @param {Array} axes - Eixos dos pontos (padrão: axesOf)
+ * @returns {Object} Ponto calculado {x, y}
+ */
+export function evaluateBSpline(controlPoints, t, degree, knots, axes = axesOf(controlPoints)) {
+    if (controlPoints.length === 0) return null;
+    return deBoor(controlPoints, t, degree, knots, axes);
+}
+
+// Cache de funções base amostradas, indexado por grau, passo e vetor de nós.
+// Enquanto apenas as posições dos pontos mudam (ex.: arrastando um ponto),
+// os valores das funções base são reaproveitados entre os quadros.
+const basisCache = new Map();
+const BASIS_CACHE_LIMIT = 16;
+
+/**
+ * Parâmetros amostrados no domínio [u_p, u_n] com o passo dado: tMin + k·passo
+ * enquanto fica antes de tMax, e tMax exatamente no fim (sem repeti-lo quando o
+ * passo divide o domínio)
+ * @param {number} n - Número de pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {number} step - Passo de interpolação
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Parâmetros t
+ */
+export function sampleDomain(n, degree, step, knots) {
     const tMin = knots[degree];
     const tMax = knots[n];
-    const tClamped = Math.max(tMin, Math.min(tMax, t));
+    const params = [];
+    const count = Math.floor((tMax - tMin) / step + 1e-9);
+
+    for (let k = 0; k <= count; k++) {
+        const t = tMin + k * step;
+        if (t >= tMax - step * 1e-6) break;
+        params.push(t);
+    }
+    params.push(tMax);
+
+    return params;
+}
 
-    // Soma ponderada dos pontos de controle
-    for (let i = 0; i < n; i++) {
-        const basis = bSplineBasis(i, degree, tClamped, knots);
-        x += basis * controlPoints[i].x;
-        y += basis * controlPoints[i].y;
+/**
+ * Amostra o domínio da spline e calcula (ou reaproveita) span e funções base
+ * de cada amostra
+ * @param {number} n - Número de pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {number} step - Passo de interpolação
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Amostras {t, span, N}
+ */
+export function sampleBasis(n, degree, step, knots) {
+    const key = `${degree}|${step}|${knots.join(',')}`;
+    const cached = basisCache.get(key);
+    if (cached) {
+        // Reinsere para manter a ordem de uso recente
+        basisCache.delete(key);
+        basisCache.set(key, cached);
+        return cached;
     }
 
-    return { x, y };
+    const samples = sampleDomain(n, degree, step, knots).map(t => {
+        const span = findKnotSpan(n, degree, t, knots);
+        return { t, span, N: basisFunctions(span, t, degree, knots) };
+    });
+
+    basisCache.set(key, samples);
+    if (basisCache.size > BASIS_CACHE_LIMIT) {
+        basisCache.delete(basisCache.keys().next().value);
+    }
+
+    return samples;
+}
+
+/**
+ * Esvazia o cache de funções base (usado no benchmark)
+ */
+export function clearBasisCache() {
+    basisCache.clear();
 }
 
 /**
@@ -101,34 +622,31 @@ export function evaluateBSpline(controlPoints, t, degree, knots) {
  * @param {Array} controlPoints - Pontos de controle
  * @param {number} degree - Grau da spline
  * @param {number} step - Passo de interpolação
+ * @param {Array} knots - Vetor de nós explícito (opcional, padrão clamped uniforme)
  * @returns {Array} Array de pontos da curva
  */
-export function generateBSplineCurve(controlPoints, degree = 3, step = 0.01) {
+export function generateBSplineCurve(controlPoints, degree = 3, step = 0.01, knots = null) {
     if (controlPoints.length < degree + 1) {
         console.warn(`Número insuficiente de pontos. Necessário pelo menos ${degree + 1} pontos.`);
         return [];
     }
 
     const n = controlPoints.length;
-    const knots = generateKnotVector(n, degree);
-    const curvePoints = [];
+    if (!knots || knots.length !== n + degree + 1) {
+        knots = generateKnotVector(n, degree);
+    }
 
-    const tMin = knots[degree];
-    const tMax = knots[n];
+    const axes = axesOf(controlPoints);
+    const homogeneous = toHomogeneous(controlPoints, axes);
+    const curvePoints = [];
 
-    // Gera pontos ao longo da curva
-    for (let t = tMin; t <= tMax; t += step) {
-        const point = evaluateBSpline(controlPoints, t, degree, knots);
-        if (point) {
-            curvePoints.push(point);
+    // Gera pontos ao longo da curva reaproveitando as funções base em cache
+    sampleBasis(n, degree, step, knots).forEach(sample => {
+        const h = combineSpan(homogeneous, sample.span, sample.N, degree, axes);
+        if (Math.abs(h.w) >= 1e-12) {
+            curvePoints.push(project(h, axes));
         }
-    }
-
-    // Garante que o último ponto seja incluído
-    const lastPoint = evaluateBSpline(controlPoints, tMax, degree, knots);
-    if (lastPoint) {
-        curvePoints.push(lastPoint);
-    }
+    });
 
     return curvePoints;
 }
@@ -194,51 +712,109 @@ function evaluateCubicSegment(segment, t) {
     const b2 = (-3 * t3 + 3 * t2 + 3 * t + 1) / 6;
     const b3 = t3 / 6;
 
+    const axes = axesOf(segment);
+    return combinePoints([b0, b1, b2, b3].map((b, i) => [b, coordinates(segment[i], axes)]), axes);
+}
+
+/**
+ * Hodógrafo (curva derivada) da B-spline não-racional
+ * Q_i = p / (u_{i+p+1} - u_{i+1}) * (P_{i+1} - P_i), grau p-1, sobre o vetor de
+ * nós sem o primeiro e o último nó. Intervalos de nós nulos geram vetor nulo
+ * para manter os índices alinhados
+ * @param {Array} controlPoints - Pontos de controle {x, y}
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @returns {Object} {controlPoints, degree, knots} do hodógrafo
+ */
+export function bSplineHodograph(controlPoints, degree, knots) {
+    const axes = axesOf(controlPoints);
+    const derivativePoints = controlPoints.slice(1).map((p, i) => {
+        const denom = knots[i + degree + 1] - knots[i + 1];
+        const factor = denom !== 0 ? degree / denom : 0;
+        const terms = [[1, coordinates(p, axes)], [-1, coordinates(controlPoints[i], axes)]];
+        return combinePoints(terms, axes, factor);
+    });
+
     return {
-        x: b0 * segment[0].x + b1 * segment[1].x + b2 * segment[2].x + b3 * segment[3].x,
-        y: b0 * segment[0].y + b1 * segment[1].y + b2 * segment[2].y + b3 * segment[3].y
+        controlPoints: derivativePoints,
+        degree: degree - 1,
+        knots: knots.slice(1, -1)
     };
 }
 
 /**
- * Calcula a derivada da curva B-spline em um ponto
- * @param {Array} controlPoints - Pontos de controle
+ * Calcula ponto, primeira e segunda derivadas da B-spline racional (NURBS)
+ * Pela forma polar do span [a, b) de t, afim em cada argumento:
+ * A' = p [f(t, ..., t, b) - f(t, ..., t, a)] / (b - a) e
+ * A'' = p(p-1) [f(.., b, b) - 2 f(.., a, b) + f(.., a, a)] / (b - a)².
+ * Com C(t) = A(t) / W(t):
+ * C' = (A' - W' C) / W,  C'' = (A'' - 2 W' C' - W'' C) / W
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
  * @param {number} t - Parâmetro t
  * @param {number} degree - Grau da spline
  * @param {Array} knots - Vetor de nós
- * @returns {Object} Vetor derivada {x, y}
+ * @returns {Object} {point, first, second}
  */
-export function bSplineDerivative(controlPoints, t, degree, knots) {
-    if (controlPoints.length < 2 || degree < 1) {
-        return { x: 0, y: 0 };
-    }
-
+export function bSplineDerivatives(controlPoints, t, degree, knots) {
+    const axes = axesOf(controlPoints);
+    const keys = [...axes, 'w'];
+    const zero = zeroPoint(axes);
     const n = controlPoints.length;
-    const derivativePoints = [];
+    const tClamped = Math.max(knots[degree], Math.min(knots[n], t));
+    const span = findKnotSpan(n, degree, tClamped, knots);
+    const at = (k, tail) => blossomHomogeneous(
+        controlPoints, [...new Array(degree - k).fill(tClamped), ...tail], span, degree, knots);
+    const a = at(0, []);
 
-    // Pontos de controle da derivada
-    for (let i = 0; i < n - 1; i++) {
-        const denom = knots[i + degree + 1] - knots[i + 1];
-        if (denom !== 0) {
-            const factor = degree / denom;
-            derivativePoints.push({
-                x: factor * (controlPoints[i + 1].x - controlPoints[i].x),
-                y: factor * (controlPoints[i + 1].y - controlPoints[i].y)
-            });
-        }
+    if (Math.abs(a.w) < 1e-12) {
+        return { point: null, first: zero, second: zero };
     }
 
-    if (derivativePoints.length === 0) {
-        return { x: 0, y: 0 };
+    const point = project(a, axes);
+    if (n < 2 || degree < 1) {
+        return { point, first: zero, second: zero };
     }
 
-    const derivativeKnots = knots.slice(1, -1);
-    return evaluateBSpline(derivativePoints, t, degree - 1, derivativeKnots);
+    const u0 = knots[span];
+    const u1 = knots[span + 1];
+    const h = u1 - u0;
+    const combine = (terms, factor) => combinePoints(terms, keys, factor);
+
+    const da = combine([[1, at(1, [u1])], [-1, at(1, [u0])]], degree / h);
+    const dda = degree >= 2
+        ? combine([[1, at(2, [u1, u1])], [-2, at(2, [u0, u1])], [1, at(2, [u0, u0])]], degree * (degree - 1) / (h * h))
+        : zeroPoint(keys);
+
+    const first = combinePoints([[1, da], [-da.w, point]], axes, 1 / a.w);
+    const second = combinePoints([[1, dda], [-2 * da.w, first], [-dda.w, point]], axes, 1 / a.w);
+
+    return { point, first, second };
 }
 
 /**
- * Insere um nó no vetor de nós (knot insertion)
- * Técnica importante para refinamento de B-splines
+ * Calcula a derivada da curva B-spline racional (NURBS) em um ponto
+ * Usa a regra do quociente sobre C(t) = A(t) / W(t):
+ * C'(t) = (A'(t) - W'(t) * C(t)) / W(t)
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+ * @param {number} t - Parâmetro t
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @returns {Object} Vetor derivada {x, y}
+ */
+export function bSplineDerivative(controlPoints, t, degree, knots) {
+    if (controlPoints.length < 2 || degree < 1) {
+        return zeroPoint(axesOf(controlPoints));
+    }
+
+    return bSplineDerivatives(controlPoints, t, degree, knots).first;
+}
+
+/**
+ * Insere um nó no vetor de nós (knot insertion, algoritmo de Boehm)
+ * Técnica importante para refinamento de B-splines: a curva não muda, mas
+ * ganha um ponto de controle. Os novos pontos vêm da forma polar do span que
+ * contém o nó: Q_i = f(u_{i+1}, ..., u_{i+p-1}, ū), em coordenadas homogêneas
+ * para preservar os pesos (NURBS)
  * @param {Array} controlPoints - Pontos de controle
  * @param {Array} knots - Vetor de nós
  * @param {number} degree - Grau da spline
@@ -248,31 +824,31 @@ export function bSplineDerivative(controlPoints, t, degree, knots) {
 export function insertKnot(controlPoints, knots, degree, newKnot) {
     const n = controlPoints.length;
     
-    // Encontra o intervalo onde o novo nó será inserido
-    let k = degree;
-    while (k < knots.length - 1 && knots[k] < newKnot) {
-        k++;
+    // Intervalo s com knots[s] <= newKnot < knots[s+1] (último índice em caso de repetição)
+    let s = degree;
+    while (s < n && knots[s + 1] <= newKnot) {
+        s++;
     }
 
-    // Novos pontos de controle
+    // No fim do domínio (s = n) a forma polar é a do último span não vazio
+    const span = findKnotSpan(n, degree, newKnot, knots);
+    const axes = axesOf(controlPoints);
     const newControlPoints = [];
     
-    for (let i = 0; i < n; i++) {
-        if (i <= k - degree - 1) {
-            newControlPoints.push({ ...controlPoints[i] });
-        } else if (i > k - 1) {
+    for (let i = 0; i <= n; i++) {
+        if (i <= s - degree) {
             newControlPoints.push({ ...controlPoints[i] });
+        } else if (i > s) {
+            newControlPoints.push({ ...controlPoints[i - 1] });
         } else {
-            const alpha = (newKnot - knots[i]) / (knots[i + degree] - knots[i]);
-            newControlPoints.push({
-                x: (1 - alpha) * controlPoints[i - 1].x + alpha * controlPoints[i].x,
-                y: (1 - alpha) * controlPoints[i - 1].y + alpha * controlPoints[i].y
-            });
+            const params = [...knots.slice(i + 1, i + degree), newKnot];
+            const h = blossomHomogeneous(controlPoints, params, span, degree, knots);
+            newControlPoints.push(toWeighted(h, axes));
         }
     }
 
     // Novo vetor de nós
-    const newKnots = [...knots.slice(0, k), newKnot, ...knots.slice(k)];
+    const newKnots = [...knots.slice(0, s + 1), newKnot, ...knots.slice(s + 1)];
 
     return {
         controlPoints: newControlPoints,
@@ -280,6 +856,232 @@ export function insertKnot(controlPoints, knots, degree, newKnot) {
     };
 }
 
+/**
+ * Insere um nó numa B-spline fechada sem abri-la
+ * A curva periódica equivale a uma B-spline com pontos e nós repetidos a cada
+ * período T; inserir ū é inserir também ū ± T. A inserção é feita numa cópia
+ * estendida por um período de cada lado e dela se extrai um período, que
+ * começa no mesmo nó u_p (o domínio não muda)
+ * @param {Array} points - Pontos de controle distintos (sem repetição)
+ * @param {Array} knots - Vetor periódico de n + 2p + 1 nós (ver generatePeriodicKnotVector)
+ * @param {number} degree - Grau da spline
+ * @param {number} newKnot - Novo nó, no domínio [u_p, u_{n+p})
+ * @returns {Object|null} {points, knots} com n + 1 pontos distintos, ou null
+ *                        se os intervalos do vetor não se repetem a cada n
+ */
+export function insertPeriodicKnot(points, knots, degree, newKnot) {
+    const n = points.length;
+    const period = knots[n] - knots[0];
+    for (let i = 0; i + n < knots.length; i++) {
+        if (Math.abs(knots[i + n] - knots[i] - period) > 1e-9 * Math.max(1, Math.abs(period))) {
+            return null;
+        }
+    }
+
+    // Índices j de -n a 2n + p: ponto P_{j mod n}, nó u_{j mod n} + ⌊j/n⌋·T
+    const wrap = j => ((j % n) + n) % n;
+    let controlPoints = [];
+    let extended = [];
+    for (let j = -n; j < 2 * n + degree; j++) {
+        controlPoints.push(points[wrap(j)]);
+    }
+    for (let j = -n; j <= 2 * n + 2 * degree; j++) {
+        extended.push(knots[wrap(j)] + Math.floor(j / n) * period);
+    }
+
+    // ū - T, ū e ū + T caem no interior do domínio estendido; os inseridos
+    // antes de u_p deslocam o início do período
+    let shift = 0;
+    [newKnot - period, newKnot, newKnot + period].forEach(value => {
+        ({ controlPoints, knots: extended } = insertKnot(controlPoints, extended, degree, value));
+        if (value < knots[degree]) shift++;
+    });
+
+    const start = n + shift;
+    return {
+        points: controlPoints.slice(start, start + n + 1),
+        knots: extended.slice(start, start + n + 1 + 2 * degree + 1)
+    };
+}
+
+/**
+ * Tenta remover uma ocorrência de um nó interno (algoritmo de Tiller,
+ * Piegl & Tiller A5.8). Os pontos afetados são recalculados a partir das
+ * duas extremidades do trecho; a remoção só é aceita se as duas estimativas
+ * do ponto central coincidirem dentro da tolerância (em coordenadas
+ * homogêneas; para curvas racionais a tolerância é ajustada pela eq. 5.30
+ * para limitar o desvio da curva em pixels)
+ * @param {Array} controlPoints - Pontos de controle
+ * @param {Array} knots - Vetor de nós
+ * @param {number} degree - Grau da spline
+ * @param {number} r - Índice da última ocorrência do nó a remover
+ * @param {number} tolerance - Desvio máximo permitido (px)
+ * @returns {Object|null} {controlPoints, knots} ou null se a remoção excede a tolerância
+ */
+export function removeKnot(controlPoints, knots, degree, r, tolerance) {
+    const u = knots[r];
+    let s = 0;
+    while (r - s >= 0 && knots[r - s] === u) {
+        s++;
+    }
+
+    const axes = axesOf(controlPoints);
+    const keys = [...axes, 'w'];
+    const Pw = toHomogeneous(controlPoints, axes);
+    const weights = controlPoints.map(p => p.weight || 1);
+    // Sem pesos a distância entre pontos já limita o desvio; com pesos usa a eq. 5.30
+    const rational = weights.some(w => w !== 1);
+    const maxNorm = Math.max(...controlPoints.map(p => distance(p, zeroPoint(axes), axes)));
+    const tol = rational ? tolerance * Math.min(...weights) / (1 + maxNorm) : tolerance;
+
+    const first = r - degree;
+    const last = r - s;
+    const off = first - 1;
+    const temp = new Array(last - off + 2);
+    temp[0] = Pw[off];
+    temp[last + 1 - off] = Pw[last + 1];
+
+    const combine = (a, pa, b, pb, scale) => combinePoints([[a, pa], [b, pb]], keys, 1 / scale);
+
+    let i = first;
+    let j = last;
+    let ii = 1;
+    let jj = last - off;
+    while (j - i > 0) {
+        const alfi = (u - knots[i]) / (knots[i + degree + 1] - knots[i]);
+        const alfj = (u - knots[j]) / (knots[j + degree + 1] - knots[j]);
+        temp[ii] = combine(1, Pw[i], -(1 - alfi), temp[ii - 1], alfi);
+        temp[jj] = combine(1, Pw[j], -alfj, temp[jj + 1], 1 - alfj);
+        i++;
+        ii++;
+        j--;
+        jj--;
+    }
+
+    let accepted;
+    if (j - i < 0) {
+        accepted = distance(temp[ii - 1], temp[jj + 1], keys) <= tol;
+    } else {
+        const alfi = (u - knots[i]) / (knots[i + degree + 1] - knots[i]);
+        accepted = distance(Pw[i], combine(alfi, temp[ii + 1], 1 - alfi, temp[ii - 1], 1), keys) <= tol;
+    }
+    if (!accepted) return null;
+
+    // Substitui os pontos recalculados e descarta o ponto central
+    const result = [...Pw];
+    i = first;
+    j = last;
+    while (j - i > 0) {
+        result[i] = temp[i - off];
+        result[j] = temp[j - off];
+        i++;
+        j--;
+    }
+    const removed = Math.floor((2 * r - s - degree) / 2);
+    result.splice(removed, 1);
+
+    return {
+        controlPoints: result.map(p => toWeighted(p, axes)),
+        knots: [...knots.slice(0, r), ...knots.slice(r + 1)]
+    };
+}
+
+/**
+ * Remove todos os nós internos possíveis mantendo o desvio em relação à curva
+ * original dentro da tolerância. Cada remoção candidata passa pelo teste local
+ * de removeKnot e depois é conferida por amostragem contra a curva original,
+ * de modo que os erros de remoções sucessivas não se acumulem além do limite;
+ * a cada passo é aceita a candidata de menor desvio
+ * @param {Array} controlPoints - Pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @param {number} tolerance - Desvio máximo permitido (px)
+ * @returns {Object} {controlPoints, knots, removed, maxError}
+ */
+export function removeKnots(controlPoints, degree, knots, tolerance) {
+    const axes = axesOf(controlPoints);
+    const domainStart = knots[degree];
+    const domainEnd = knots[controlPoints.length];
+    const samples = [];
+    for (let k = 0; k <= 200; k++) {
+        const t = domainStart + (domainEnd - domainStart) * k / 200;
+        samples.push({ t, point: evaluateBSpline(controlPoints, t, degree, knots, axes) });
+    }
+
+    const deviation = (points, refinedKnots) => Math.max(...samples.map(({ t, point }) => {
+        const c = evaluateBSpline(points, t, degree, refinedKnots, axes);
+        return distance(c, point, axes);
+    }));
+
+    let current = { controlPoints, knots };
+    let removed = 0;
+    let maxError = 0;
+
+    // A cada passo remove o nó cuja remoção menos desvia a curva
+    while (true) {
+        const n = current.controlPoints.length;
+        let best = null;
+        for (let r = degree + 1; r < n; r++) {
+            const u = current.knots[r];
+            // Última ocorrência de um nó estritamente interno
+            if (u <= domainStart || u >= domainEnd || current.knots[r + 1] === u) continue;
+
+            const candidate = removeKnot(current.controlPoints, current.knots, degree, r, tolerance);
+            if (!candidate) continue;
+
+            const error = deviation(candidate.controlPoints, candidate.knots);
+            if (error <= tolerance && (!best || error < best.error)) {
+                best = { candidate, error };
+            }
+        }
+        if (!best) break;
+
+        current = best.candidate;
+        removed++;
+        maxError = Math.max(maxError, best.error);
+    }
+
+    return { ...current, removed, maxError };
+}
+
+/**
+ * Decompõe a B-spline em segmentos de Bézier (racionais)
+ * Cada nó distinto do domínio é inserido até ter multiplicidade igual ao grau;
+ * então os p+1 pontos de controle de cada intervalo não vazio formam uma Bézier
+ * @param {Array} controlPoints - Pontos de controle
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @returns {Array} Segmentos {points, range: [u0, u1]}
+ */
+export function decomposeBSpline(controlPoints, degree, knots) {
+    let points = controlPoints;
+    let refinedKnots = knots;
+    const n = controlPoints.length;
+    const breaks = knots
+        .slice(degree, n + 1)
+        .filter((u, i, all) => i === 0 || u > all[i - 1]);
+
+    breaks.forEach(u => {
+        let multiplicity = refinedKnots.filter(k => k === u).length;
+        while (multiplicity < degree) {
+            ({ controlPoints: points, knots: refinedKnots } = insertKnot(points, refinedKnots, degree, u));
+            multiplicity++;
+        }
+    });
+
+    const segments = [];
+    for (let s = degree; s < points.length; s++) {
+        if (refinedKnots[s] < refinedKnots[s + 1]) {
+            segments.push({
+                points: points.slice(s - degree, s + 1),
+                range: [refinedKnots[s], refinedKnots[s + 1]]
+            });
+        }
+    }
+
+    return segments;
+}
+
 /**
  * Converte uma curva de Bézier em B-spline equivalente
  * @param {Array} bezierPoints - Pontos de controle da Bézier
@@ -306,26 +1108,67 @@ export function bezierToBSpline(bezierPoints) {
 }
 
 /**
- * Calcula a curvatura em um ponto da spline
+ * Converte uma cadeia de Béziers de mesmo grau em B-spline equivalente
+ * (pontos de junção compartilhados, nós internos com multiplicidade p)
+ * @param {Array} segments - Segmentos de Bézier de grau p
+ * @param {number} degree - Grau
+ * @param {Array} ranges - Intervalo de parâmetro [u0, u1] de cada segmento
+ *                         (opcional; padrão [s, s+1])
+ * @returns {Object} {controlPoints, knots}
+ */
+export function bezierChainToBSpline(segments, degree, ranges = null) {
+    const axes = axesOf(segments.flat());
+    const controlPoints = [];
+    const start = ranges ? ranges[0][0] : 0;
+    const knots = new Array(degree + 1).fill(start);
+
+    segments.forEach((segment, s) => {
+        segment.forEach((p, i) => {
+            if (s > 0 && i === 0) return; // junção já incluída
+            controlPoints.push({ ...coordinates(p, axes), weight: p.weight || 1 });
+        });
+        const value = ranges ? ranges[s][1] : s + 1;
+        const multiplicity = s === segments.length - 1 ? degree + 1 : degree;
+        for (let i = 0; i < multiplicity; i++) {
+            knots.push(value);
+        }
+    });
+
+    return { controlPoints, knots };
+}
+
+/**
+ * Mescla uma cadeia de Béziers em uma única B-spline com o mínimo de nós
+ * A cadeia é convertida com nós internos de multiplicidade p e em seguida os
+ * nós redundantes são removidos: onde as junções têm continuidade C^k, restam
+ * p - k nós. A tolerância só absorve erros de arredondamento
+ * @param {Array} segments - Segmentos de Bézier de grau p
+ * @param {number} degree - Grau
+ * @param {Array} ranges - Intervalos de parâmetro dos segmentos (opcional)
+ * @param {number} tolerance - Desvio máximo permitido (px)
+ * @returns {Object} {controlPoints, knots, removed, maxError}
+ */
+export function mergeBezierChain(segments, degree, ranges = null, tolerance = 1e-3) {
+    const chain = bezierChainToBSpline(segments, degree, ranges);
+    return removeKnots(chain.controlPoints, degree, chain.knots, tolerance);
+}
+
+/**
+ * Calcula a curvatura com sinal em um ponto da spline
+ * κ = (x'y'' - y'x'') / |C'|³; o sinal indica o lado para o qual a curva gira
+ * (positivo no sentido de x para y; com y para baixo na tela, sentido horário)
  * @param {Array} controlPoints - Pontos de controle
  * @param {number} t - Parâmetro t
  * @param {number} degree - Grau da spline
  * @param {Array} knots - Vetor de nós
- * @returns {number} Curvatura no ponto
+ * @returns {number} Curvatura no ponto (0 onde a velocidade se anula)
  */
 export function bSplineCurvature(controlPoints, t, degree, knots) {
-    const firstDeriv = bSplineDerivative(controlPoints, t, degree, knots);
-    
-    // Calcula segunda derivada (derivada da derivada)
     if (degree < 2) return 0;
-    
-    const dx = firstDeriv.x;
-    const dy = firstDeriv.y;
-    
-    const speed = Math.sqrt(dx * dx + dy * dy);
+
+    const { first, second } = bSplineDerivatives(controlPoints, t, degree, knots);
+    const speed = Math.sqrt(first.x * first.x + first.y * first.y);
     if (speed < 1e-10) return 0;
 
-    // Simplificação: retorna a magnitude da velocidade
-    // Para curvatura exata, seria necessário calcular a segunda derivada
-    return 1 / speed;
+    return (first.x * second.y - first.y * second.x) / (speed * speed * speed);
 }
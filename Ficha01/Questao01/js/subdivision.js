@@ -0,0 +1,182 @@
+/**
+ * Módulo de curvas de subdivisão
+ * Refina o polígono de controle iterativamente. Chaikin e Lane-Riesenfeld são
+ * esquemas aproximadores cujo limite é a B-spline uniforme (Chaikin é o caso
+ * quadrático); o esquema de quatro pontos de Dyn-Levin-Gregory é interpolador
+ * e seu limite, C1, não é polinomial por partes.
+ */
+
+import { axesOf, coordinates, lerpPoints, combinePoints, distance } from './vector.js';
+
+// Peso w do esquema de quatro pontos: 1/16 reproduz cúbicas; o limite é C1 para 0 < w < 1/8
+export const FOUR_POINT_WEIGHT = 1 / 16;
+
+/**
+ * Um passo de Chaikin (corte de cantos): cada aresta P_i P_{i+1} é trocada
+ * pelos pontos 3/4 P_i + 1/4 P_{i+1} e 1/4 P_i + 3/4 P_{i+1}
+ * Equivale a laneRiesenfeld(points, 2)
+ * @param {Array} points - Polígono {x, y, ...}
+ * @param {boolean} closed - Se o polígono é fechado
+ * @returns {Array} Polígono refinado
+ */
+export function chaikin(points, closed = false) {
+    const axes = axesOf(points);
+    const n = points.length;
+    const edges = closed ? n : n - 1;
+    const result = [];
+
+    for (let i = 0; i < edges; i++) {
+        const p0 = coordinates(points[i], axes);
+        const p1 = coordinates(points[(i + 1) % n], axes);
+        result.push(lerpPoints(p0, p1, 0.25, axes), lerpPoints(p0, p1, 0.75, axes));
+    }
+
+    return result;
+}
+
+/**
+ * Um passo de Lane-Riesenfeld de grau p: duplica cada ponto (refinamento da
+ * B-spline de grau 0) e aplica p médias entre vizinhos, cada uma subindo o
+ * grau em 1. O resultado são os pontos de controle da mesma B-spline uniforme
+ * com os nós na metade do espaçamento
+ * Aberto, n pontos viram 2n - p (o domínio da curva não muda); fechado, 2n
+ * @param {Array} points - Polígono {x, y, ...}
+ * @param {number} degree - Grau p da B-spline limite (1: pontos médios, 2: Chaikin)
+ * @param {boolean} closed - Se o polígono é fechado
+ * @returns {Array} Polígono refinado
+ */
+export function laneRiesenfeld(points, degree, closed = false) {
+    const axes = axesOf(points);
+    let result = points.flatMap(p => {
+        const q = coordinates(p, axes);
+        return [q, q];
+    });
+
+    for (let k = 0; k < degree; k++) {
+        const m = result.length;
+        const count = closed ? m : m - 1;
+        const averaged = [];
+        for (let i = 0; i < count; i++) {
+            averaged.push(lerpPoints(result[i], result[(i + 1) % m], 0.5, axes));
+        }
+        result = averaged;
+    }
+
+    return result;
+}
+
+/**
+ * Um passo do esquema de quatro pontos de Dyn-Levin-Gregory: os pontos ficam
+ * e cada aresta ganha (1/2 + w)(P_i + P_{i+1}) - w(P_{i-1} + P_{i+2})
+ * No polígono aberto, os vizinhos que faltam nas pontas são pontos fantasmas
+ * refletidos (2P_0 - P_1), como nas curvas interpoladoras
+ * @param {Array} points - Polígono {x, y, ...}
+ * @param {boolean} closed - Se o polígono é fechado
+ * @param {number} weight - Peso w
+ * @returns {Array} Polígono refinado
+ */
+export function fourPoint(points, closed = false, weight = FOUR_POINT_WEIGHT) {
+    const axes = axesOf(points);
+    const n = points.length;
+    const pts = points.map(p => coordinates(p, axes));
+    const at = i => {
+        if (closed) return pts[((i % n) + n) % n];
+        if (i < 0) return combinePoints([[2, pts[0]], [-1, pts[1]]], axes);
+        if (i >= n) return combinePoints([[2, pts[n - 1]], [-1, pts[n - 2]]], axes);
+        return pts[i];
+    };
+
+    const edges = closed ? n : n - 1;
+    const result = [];
+    for (let i = 0; i < edges; i++) {
+        result.push(pts[i]);
+        result.push(combinePoints([
+            [0.5 + weight, at(i)],
+            [0.5 + weight, at(i + 1)],
+            [-weight, at(i - 1)],
+            [-weight, at(i + 2)]
+        ], axes));
+    }
+    if (!closed) result.push(pts[n - 1]);
+
+    return result;
+}
+
+/**
+ * Grau da B-spline uniforme limite de um esquema
+ * @param {string} scheme - 'chaikin', 'lane-riesenfeld' ou 'four-point'
+ * @param {number} degree - Grau do Lane-Riesenfeld
+ * @returns {number|null} Grau, ou null se o limite não é uma B-spline
+ */
+export function limitDegree(scheme, degree) {
+    if (scheme === 'chaikin') return 2;
+    if (scheme === 'lane-riesenfeld') return degree;
+    return null;
+}
+
+/**
+ * Abscissas de Greville (médias de p nós consecutivos) dos vértices de um
+ * nível de Lane-Riesenfeld, no parâmetro da B-spline limite de nós inteiros.
+ * No nível 0, ξ_j = j + (p + 1)/2; cada passo divide o espaçamento por 2 e as
+ * p médias deslocam o início em (p - 1)/4 do espaçamento anterior
+ * @param {number} count - Número de vértices do nível
+ * @param {number} degree - Grau p
+ * @param {number} level - Número de passos aplicados
+ * @returns {Array} Parâmetros ξ_j
+ */
+export function grevilleAbscissas(count, degree, level) {
+    let start = (degree + 1) / 2;
+    let spacing = 1;
+    for (let k = 0; k < level; k++) {
+        start += (degree - 1) * spacing / 4;
+        spacing /= 2;
+    }
+    return Array.from({ length: count }, (_, j) => start + j * spacing);
+}
+
+/**
+ * Maior distância entre os vértices de um nível e os pontos C(ξ_j) da
+ * B-spline limite. Cai pela metade a cada passo (é O(h) nas pontas do
+ * polígono aberto, que começa antes do domínio) e por 4 no interior
+ * @param {Array} level - Vértices do nível
+ * @param {number} levelIndex - Número de passos aplicados
+ * @param {Object} curve - B-spline limite (ver curves.js), de nós inteiros
+ * @param {boolean} closed - Se o polígono é fechado (ξ é tomado módulo o período)
+ * @returns {number} Distância máxima
+ */
+export function distanceToLimit(level, levelIndex, curve, closed = false) {
+    const [start, end] = curve.domain;
+    const period = end - start;
+    const axes = axesOf(level);
+
+    return grevilleAbscissas(level.length, curve.degree, levelIndex).reduce((max, xi, j) => {
+        const t = closed
+            ? start + (((xi - start) % period) + period) % period
+            : Math.max(start, Math.min(end, xi));
+        return Math.max(max, distance(level[j], curve.evaluate(t), axes));
+    }, 0);
+}
+
+/**
+ * Aplica um esquema de subdivisão repetidamente
+ * @param {Array} points - Polígono inicial {x, y, ...}
+ * @param {string} scheme - 'chaikin', 'lane-riesenfeld' ou 'four-point'
+ * @param {number} iterations - Número de passos
+ * @param {Object} options - {degree (Lane-Riesenfeld), closed}
+ * @returns {Array} Níveis de refinamento: [polígono inicial, passo 1, ..., passo k]
+ */
+export function subdivisionLevels(points, scheme, iterations, { degree = 3, closed = false } = {}) {
+    const step = {
+        'chaikin': level => chaikin(level, closed),
+        'lane-riesenfeld': level => laneRiesenfeld(level, degree, closed),
+        'four-point': level => fourPoint(level, closed)
+    }[scheme];
+
+    const axes = axesOf(points);
+    const levels = [points.map(p => coordinates(p, axes))];
+    for (let k = 0; k < iterations; k++) {
+        levels.push(step(levels[k]));
+    }
+
+    return levels;
+}
@@ -0,0 +1,98 @@
+/**
+ * Módulo de tesselação adaptativa (flattening)
+ * Converte curvas em polilinhas subdividindo cada Bézier até que ela fique
+ * "plana" dentro de uma tolerância em pixels. B-splines são antes decompostas
+ * em segmentos de Bézier por inserção de nós.
+ */
+
+import { splitBezier } from './bezier.js';
+import { decomposeBSpline } from './spline.js';
+
+// Limite de profundidade da subdivisão (até 2^16 segmentos por Bézier)
+const MAX_DEPTH = 16;
+
+/**
+ * Medida de planicidade: maior distância de um ponto de controle interno ao
+ * segmento entre os extremos (não à reta: pontos que voltam além das pontas
+ * contam). Pela propriedade do fecho convexo (pesos positivos), a curva fica a
+ * no máximo essa distância do segmento
+ * @param {Array} points - Pontos de controle {x, y}
+ * @returns {number} Distância em pixels
+ */
+export function bezierFlatness(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const lengthSq = dx * dx + dy * dy;
+    let max = 0;
+
+    for (let i = 1; i < points.length - 1; i++) {
+        const p = points[i];
+        // Projeção na corda, limitada ao segmento
+        const t = lengthSq > 1e-24
+            ? Math.max(0, Math.min(1, ((p.x - first.x) * dx + (p.y - first.y) * dy) / lengthSq))
+            : 0;
+        const distance = Math.hypot(p.x - first.x - t * dx, p.y - first.y - t * dy);
+        max = Math.max(max, distance);
+    }
+
+    return max;
+}
+
+/**
+ * Tessela uma Bézier (racional ou não) por subdivisão recursiva em t = 0.5
+ * @param {Array} points - Pontos de controle {x, y, weight}
+ * @param {number} tolerance - Erro máximo em pixels
+ * @returns {Array} Polilinha {x, y} (inclui os dois extremos)
+ */
+export function flattenBezier(points, tolerance = 0.5) {
+    const polyline = [{ x: points[0].x, y: points[0].y }];
+
+    const subdivide = (controlPoints, depth) => {
+        if (depth >= MAX_DEPTH || bezierFlatness(controlPoints) <= tolerance) {
+            const last = controlPoints[controlPoints.length - 1];
+            polyline.push({ x: last.x, y: last.y });
+            return;
+        }
+        const { left, right } = splitBezier(controlPoints, 0.5);
+        subdivide(left, depth + 1);
+        subdivide(right, depth + 1);
+    };
+
+    if (points.length > 1) {
+        subdivide(points, 0);
+    }
+    return polyline;
+}
+
+/**
+ * Tessela uma sequência de segmentos de Bézier
+ * @param {Array} segments - Segmentos (arrays de pontos de controle)
+ * @param {number} tolerance - Erro máximo em pixels
+ * @returns {Array} Polilinha {x, y}
+ */
+export function flattenBezierSegments(segments, tolerance = 0.5) {
+    const polyline = [];
+
+    segments.forEach((segment, index) => {
+        const part = flattenBezier(segment, tolerance);
+        // O primeiro ponto de cada segmento repete o último do anterior
+        polyline.push(...(index === 0 ? part : part.slice(1)));
+    });
+
+    return polyline;
+}
+
+/**
+ * Tessela uma B-spline/NURBS: decomposição em Béziers e subdivisão de cada uma
+ * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+ * @param {number} degree - Grau da spline
+ * @param {Array} knots - Vetor de nós
+ * @param {number} tolerance - Erro máximo em pixels
+ * @returns {Array} Polilinha {x, y}
+ */
+export function flattenBSpline(controlPoints, degree, knots, tolerance = 0.5) {
+    const segments = decomposeBSpline(controlPoints, degree, knots).map(s => s.points);
+    return flattenBezierSegments(segments, tolerance);
+}
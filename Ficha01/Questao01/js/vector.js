@@ -0,0 +1,154 @@
+/**
+ * Módulo de operações com pontos n-dimensionais
+ * Um ponto é um objeto com uma propriedade por coordenada (x, y e, nas curvas
+ * espaciais, z). Bézier e B-spline operam sobre a lista de eixos presentes nos
+ * pontos de controle, então curvas planas continuam devolvendo {x, y}
+ * Como os eixos seguem a ordem de AXES, 2 eixos são sempre [x, y] e 3 são
+ * [x, y, z]; as rotinas de avaliação usam isso para ter caminhos dedicados
+ * com aritmética direta nesses casos
+ */
+
+// Nomes das coordenadas, em ordem; x e y estão sempre presentes
+export const AXES = ['x', 'y', 'z'];
+
+/**
+ * Eixos usados por um conjunto de pontos: x, y e os demais que aparecem em
+ * algum ponto (nos outros pontos a coordenada ausente vale 0)
+ * @param {Array} points - Pontos
+ * @returns {Array} Nomes das coordenadas
+ */
+export function axesOf(points) {
+    const axes = AXES.slice(0, 2);
+    for (let i = 2; i < AXES.length; i++) {
+        const axis = AXES[i];
+        for (let k = 0; k < points.length; k++) {
+            if (points[k][axis] !== undefined) {
+                axes.push(axis);
+                break;
+            }
+        }
+    }
+    return axes;
+}
+
+/**
+ * Copia só as coordenadas de um ponto (descarta peso e outros atributos)
+ * @param {Object} p - Ponto
+ * @param {Array} axes - Eixos
+ * @returns {Object} Ponto com as coordenadas dos eixos
+ */
+export function coordinates(p, axes) {
+    const result = {};
+    axes.forEach(axis => {
+        result[axis] = p[axis] ?? 0;
+    });
+    return result;
+}
+
+/**
+ * Converte pontos de controle para coordenadas homogêneas (w*x, w*y, ..., w)
+ * @param {Array} points - Pontos de controle {x, y, ..., weight}
+ * @param {Array} axes - Eixos
+ * @returns {Array} Pontos homogêneos {x, y, ..., w}
+ */
+export function toHomogeneous(points, axes) {
+    if (axes.length === 2) {
+        return points.map(p => {
+            const w = p.weight || 1;
+            return { x: p.x * w, y: p.y * w, w: w };
+        });
+    }
+    if (axes.length === 3) {
+        return points.map(p => {
+            const w = p.weight || 1;
+            return { x: p.x * w, y: p.y * w, z: (p.z ?? 0) * w, w: w };
+        });
+    }
+
+    return points.map(p => {
+        const w = p.weight || 1;
+        const h = { w: w };
+        axes.forEach(axis => {
+            h[axis] = (p[axis] ?? 0) * w;
+        });
+        return h;
+    });
+}
+
+/**
+ * Projeta um ponto homogêneo dividindo por w
+ * @param {Object} h - Ponto homogêneo {x, y, ..., w}
+ * @param {Array} axes - Eixos
+ * @returns {Object} Ponto {x, y, ...}
+ */
+export function project(h, axes) {
+    if (axes.length === 2) return { x: h.x / h.w, y: h.y / h.w };
+    if (axes.length === 3) return { x: h.x / h.w, y: h.y / h.w, z: h.z / h.w };
+
+    const result = {};
+    axes.forEach(axis => {
+        result[axis] = h[axis] / h.w;
+    });
+    return result;
+}
+
+/**
+ * Projeta um ponto homogêneo, mantendo o peso
+ * @param {Object} h - Ponto homogêneo {x, y, ..., w}
+ * @param {Array} axes - Eixos
+ * @returns {Object} Ponto {x, y, ..., weight}
+ */
+export function toWeighted(h, axes) {
+    return { ...project(h, axes), weight: h.w };
+}
+
+/**
+ * Interpolação linear (1 - t) p0 + t p1 nas chaves indicadas
+ * @param {Object} p0 - Ponto inicial
+ * @param {Object} p1 - Ponto final
+ * @param {number} t - Parâmetro
+ * @param {Array} keys - Chaves a interpolar (eixos e, em pontos homogêneos, 'w')
+ * @returns {Object} Ponto interpolado
+ */
+export function lerpPoints(p0, p1, t, keys) {
+    const result = {};
+    keys.forEach(key => {
+        result[key] = (1 - t) * p0[key] + t * p1[key];
+    });
+    return result;
+}
+
+/**
+ * Combinação linear factor · Σ c_k p_k nas chaves indicadas
+ * @param {Array} terms - Pares [c, p]
+ * @param {Array} keys - Chaves a combinar
+ * @param {number} factor - Fator comum
+ * @returns {Object} Ponto resultante
+ */
+export function combinePoints(terms, keys, factor = 1) {
+    const result = {};
+    keys.forEach(key => {
+        result[key] = factor * terms.reduce((acc, [c, p]) => acc + c * p[key], 0);
+    });
+    return result;
+}
+
+/**
+ * Vetor nulo nas chaves indicadas
+ * @param {Array} keys - Chaves
+ * @returns {Object} {x: 0, y: 0, ...}
+ */
+export function zeroPoint(keys) {
+    return combinePoints([], keys);
+}
+
+/**
+ * Distância euclidiana entre dois pontos
+ * @param {Object} a - Ponto
+ * @param {Object} b - Ponto
+ * @param {Array} axes - Eixos
+ * @returns {number} Distância
+ */
+export function distance(a, b, axes) {
+    return Math.hypot(...axes.map(axis => (a[axis] ?? 0) - (b[axis] ?? 0)));
+}